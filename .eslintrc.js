@@ -12,5 +12,11 @@ module.exports = {
   },
   rules: {
       'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }]
-  }
+  },
+  overrides: [
+      {
+          files: ['test/**/*.js'],
+          env: { jest: true }
+      }
+  ]
 };
\ No newline at end of file
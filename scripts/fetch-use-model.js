@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Download locations and output directory for the Universal Sentence Encoder lite model.
+ * @constant {string} MODEL_URL - TF Hub URL of the TensorFlow.js graph model.
+ * @constant {string} VOCAB_URL - URL of the encoder's SentencePiece vocabulary.
+ * @constant {string} outputDir - Directory bundled into the extension as `use/`.
+ */
+const MODEL_URL = 'https://tfhub.dev/tensorflow/tfjs-model/universal-sentence-encoder-lite/1/default/1';
+const VOCAB_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/universal_sentence_encoder/vocab.json';
+const outputDir = path.join(__dirname, '..', 'src', 'data', 'use');
+
+/**
+ * Downloads a file, following redirects.
+ * @async
+ * @function download
+ * @param {string} url - URL to fetch.
+ * @returns {Promise<Buffer>} The file contents.
+ * @throws {Error} If the response is not OK.
+ */
+async function download(url) {
+    const response = await fetch(url, { redirect: 'follow' });
+    if (!response.ok) throw new Error(`Failed to download ${url}: ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Checks whether the model graph, every weight shard it lists and the vocabulary are in place.
+ * @function hasModel
+ * @returns {boolean} True if nothing needs downloading.
+ */
+function hasModel() {
+    try {
+        const { weightsManifest } = JSON.parse(fs.readFileSync(path.join(outputDir, 'model.json'), 'utf8'));
+        return ['vocab.json', ...weightsManifest.flatMap(group => group.paths)]
+            .every(file => fs.existsSync(path.join(outputDir, file)));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Downloads the model graph, its weight shards and the vocabulary into src/data/use, where the
+ * build copies them into the extension so the encoder loads without network access. Builds
+ * without the files ship GloVe only. Does nothing when the files are already there.
+ * Usage: `node scripts/fetch-use-model.js [--force]`; `--force` downloads them again.
+ * @async
+ * @function fetchModel
+ * @returns {Promise<void>} Resolves when every file is written.
+ * @throws {Error} If a download fails.
+ */
+async function fetchModel() {
+    if (!process.argv.includes('--force') && hasModel()) {
+        console.log(`Universal Sentence Encoder already in ${outputDir}`);
+        return;
+    }
+    const modelJson = await download(`${MODEL_URL}/model.json?tfjs-format=file`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'model.json'), modelJson);
+    const { weightsManifest } = JSON.parse(modelJson.toString('utf8'));
+
+    const shardPaths = weightsManifest.flatMap(group => group.paths);
+    for (const shardPath of shardPaths) {
+        fs.writeFileSync(path.join(outputDir, shardPath), await download(`${MODEL_URL}/${shardPath}?tfjs-format=file`));
+        console.log(`Downloaded ${shardPath}`);
+    }
+    fs.writeFileSync(path.join(outputDir, 'vocab.json'), await download(VOCAB_URL));
+    console.log(`Saved model.json, ${shardPaths.length} weight shards and vocab.json to ${outputDir}`);
+}
+
+// Download the model; a failure leaves no partial model behind to be copied into a build
+fetchModel().catch(error => {
+    console.error('Error fetching the Universal Sentence Encoder:', error);
+    // An incomplete model would still be copied into the build
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    console.error(`Download the model with network access or copy it into ${outputDir}`);
+    process.exitCode = 1;
+});
@@ -4,61 +4,363 @@ const path = require('path');
 /**
  * Configuration constants for embedding generation.
  * @constant {string} gloveFile - Absolute path to the GloVe embeddings file.
- * @constant {number} VOCAB_SIZE - Maximum number of vocabulary words to process from the GloVe file.
+ * @constant {string} outputDir - Directory the embeddings files are written to.
+ * @constant {string} shardDir - Directory the shard index and shards are written to.
+ * @constant {number} BLOOM_FALSE_POSITIVE_RATE - Target false positive rate of the shard Bloom filters.
+ * @constant {number[]} NGRAM_SIZES - Smallest and largest character n-gram used for subword vectors.
  */
 const gloveFile = path.join(__dirname, '..', 'glove.6B.50d.txt');
-const VOCAB_SIZE = 7000;
+const outputDir = path.join(__dirname, '..', 'src', 'data');
+const shardDir = path.join(outputDir, 'embeddings');
+const BLOOM_FALSE_POSITIVE_RATE = 0.01;
+const NGRAM_SIZES = [3, 5];
 
 /**
- * Asynchronously generates word embeddings from a GloVe file and saves them as a JSON file.
- * Processes the GloVe file line-by-line, extracting word vectors and building a vocabulary index.
- * @async
- * @function generateEmbeddings
- * @returns {Promise<void>} Resolves when embeddings are successfully generated and saved.
- * @throws {Error} If file reading, parsing, or writing operations fail.
+ * Binary format constants; see src/models/embeddingFormat.js for the layout and the reader.
+ * @constant {Buffer} MAGIC - Magic bytes at the start of the file.
+ * @constant {number} FORMAT_VERSION - Format version written to the header.
+ * @constant {Object<string, number>} QUANTIZATION - Quantization codes stored in the header.
+ * @constant {number} HEADER_BYTES - Size of the fixed header.
+ * @constant {string} SHARD_INDEX_FORMAT - `format` field of the shard index.
  */
-async function generateEmbeddings() {
-    console.log('Reading GloVe file...');
+const MAGIC = Buffer.from('FZFE', 'ascii');
+const FORMAT_VERSION = 1;
+const QUANTIZATION = { float16: 1, int8: 2 };
+const HEADER_BYTES = 20;
+const SHARD_INDEX_FORMAT = 'fzf-embedding-shards';
 
-    // Initialize data structures for embeddings and vocabulary
+/**
+ * Parses command-line options.
+ * Usage: `node scripts/generate-embeddings.js [--input file] [--format shards|bin|json]
+ * [--quantization int8|float16] [--vocab n] [--bands n,n,...] [--buckets n]`.
+ * The input may be a GloVe text file or an existing embeddings.json, so the embeddings can be
+ * rebuilt from the JSON without downloading GloVe again. GloVe lists words by frequency, so
+ * `--bands` (cumulative word counts) splits the vocabulary into frequency bands; the first band is
+ * the hot shard loaded at startup and the words past the last band form the final shard.
+ * `--buckets` sets the size of the hashed n-gram table for out-of-vocabulary words (0 disables it).
+ * @function parseArgs
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{input: string, format: string, quantization: string, vocab: number, bands: number[], buckets: number}} The options.
+ * @throws {Error} If an option value is not supported.
+ */
+function parseArgs(argv) {
+    const options = { input: gloveFile, format: 'shards', quantization: 'int8', vocab: '100000', bands: '5000,20000,50000', buckets: '20000' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options) || argv[i + 1] === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        options[name] = name === 'input' ? path.resolve(argv[i + 1]) : argv[i + 1];
+    }
+    if (!['shards', 'bin', 'json'].includes(options.format)) throw new Error(`Unsupported format: ${options.format}`);
+    if (!(options.quantization in QUANTIZATION)) throw new Error(`Unsupported quantization: ${options.quantization}`);
+
+    options.vocab = Number(options.vocab);
+    if (!Number.isInteger(options.vocab) || options.vocab < 1) throw new Error(`Invalid vocabulary size: ${options.vocab}`);
+    options.bands = options.bands.split(',').map(Number);
+    if (options.bands.some((band, i) => !Number.isInteger(band) || band < 1 || band <= (options.bands[i - 1] || 0))) {
+        throw new Error(`Bands must be increasing positive word counts: ${options.bands.join(',')}`);
+    }
+    options.buckets = Number(options.buckets);
+    if (!Number.isInteger(options.buckets) || options.buckets < 0) throw new Error(`Invalid bucket count: ${options.buckets}`);
+    return options;
+}
+
+/**
+ * Reads up to `limit` word vectors from a GloVe text file.
+ * @function readGlove
+ * @param {string} file - Path to the GloVe file.
+ * @param {number} limit - Maximum number of words to read.
+ * @returns {{words: string[], embeddings: number[][]}} Words and vectors in file order.
+ */
+function readGlove(file, limit) {
+    const words = [];
     const embeddings = [];
-    const vocabulary = {};
-    let count = 0;
 
     // Read and process the GloVe file synchronously for simplicity
-    const fileContent = fs.readFileSync(gloveFile, 'utf8');
-    const lines = fileContent.split('\n');
-
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
     for (const line of lines) {
-        if (count >= VOCAB_SIZE) break;
+        if (words.length >= limit) break;
 
         const parts = line.trim().split(' ');
         if (parts.length !== 51) continue; // Skip lines that don’t match expected format (word + 50D vector)
 
-        const word = parts[0];
-        const vector = parts.slice(1).map(Number);
-
-        vocabulary[word] = count;
-        embeddings.push(vector);
-        count++;
+        words.push(parts[0]);
+        embeddings.push(parts.slice(1).map(Number));
 
         // Log progress at regular intervals
-        if (count % 1000 === 0) {
-            console.log(`Processed ${count} words...`);
+        if (words.length % 10000 === 0) {
+            console.log(`Processed ${words.length} words...`);
         }
     }
+    return { words, embeddings };
+}
+
+/**
+ * Reads words and vectors from a legacy embeddings.json file.
+ * @function readJson
+ * @param {string} file - Path to the JSON file.
+ * @returns {{words: string[], embeddings: number[][]}} Words and vectors in row order.
+ */
+function readJson(file) {
+    const { vocabulary, embeddings } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const words = new Array(embeddings.length);
+    for (const [word, index] of Object.entries(vocabulary)) words[index] = word;
+    return { words, embeddings };
+}
+
+/**
+ * Converts a number to IEEE 754 half precision, rounding to nearest even.
+ * @function floatToHalf
+ * @param {number} value - The value to convert.
+ * @returns {number} The 16-bit pattern.
+ */
+function floatToHalf(value) {
+    const floatView = new Float32Array([value]);
+    const bits = new Uint32Array(floatView.buffer)[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+    let mantissa = bits & 0x7fffff;
+
+    if (exponent >= 0x1f) return sign | 0x7c00; // Overflow to infinity
+    if (exponent <= 0) {
+        if (exponent < -10) return sign; // Underflow to zero
+        mantissa |= 0x800000;
+        const shift = 14 - exponent;
+        const half = mantissa >> shift;
+        const rest = mantissa & ((1 << shift) - 1);
+        const midpoint = 1 << (shift - 1);
+        return sign | (half + (rest > midpoint || (rest === midpoint && half & 1) ? 1 : 0));
+    }
+    const half = sign | (exponent << 10) | (mantissa >> 13);
+    const rest = mantissa & 0x1fff;
+    return half + (rest > 0x1000 || (rest === 0x1000 && half & 1) ? 1 : 0);
+}
 
-    console.log(`Finished processing ${count} words`);
+/**
+ * Encodes embeddings in the binary format.
+ * int8 stores each row as round(value / scale) with scale = max(|row|) / 127.
+ * @function encodeBinary
+ * @param {string[]} words - Vocabulary in row order.
+ * @param {number[][]} embeddings - Vectors in row order.
+ * @param {string} quantization - 'int8' or 'float16'.
+ * @returns {Buffer} The encoded file.
+ */
+function encodeBinary(words, embeddings, quantization) {
+    const vocabSize = embeddings.length;
+    const dim = embeddings[0].length;
+    const strings = Buffer.from(words.join('\n'), 'utf8');
+    const dataOffset = Math.ceil((HEADER_BYTES + strings.length) / 4) * 4;
+    const dataBytes = quantization === 'int8' ? vocabSize * 4 + vocabSize * dim : vocabSize * dim * 2;
+    const buffer = Buffer.alloc(dataOffset + dataBytes);
 
-    // Prepare output data and save to JSON file
-    const output = { vocabulary, embeddings };
-    const outputPath = path.join(__dirname, '..', 'src', 'data', 'embeddings.json');
+    MAGIC.copy(buffer, 0);
+    buffer.writeUInt16LE(FORMAT_VERSION, 4);
+    buffer.writeUInt8(QUANTIZATION[quantization], 6);
+    buffer.writeUInt32LE(vocabSize, 8);
+    buffer.writeUInt32LE(dim, 12);
+    buffer.writeUInt32LE(strings.length, 16);
+    strings.copy(buffer, HEADER_BYTES);
 
-    fs.writeFileSync(outputPath, JSON.stringify(output));
-    console.log(`Created embeddings.json at ${outputPath}`);
+    if (quantization === 'int8') {
+        const valuesOffset = dataOffset + vocabSize * 4;
+        embeddings.forEach((row, rowIndex) => {
+            const maxAbs = Math.max(...row.map(Math.abs));
+            const scale = maxAbs / 127 || 1;
+            buffer.writeFloatLE(scale, dataOffset + rowIndex * 4);
+            row.forEach((value, i) => {
+                buffer.writeInt8(Math.max(-127, Math.min(127, Math.round(value / scale))), valuesOffset + rowIndex * dim + i);
+            });
+        });
+    } else {
+        embeddings.forEach((row, rowIndex) => {
+            row.forEach((value, i) => buffer.writeUInt16LE(floatToHalf(value), dataOffset + (rowIndex * dim + i) * 2));
+        });
+    }
+    return buffer;
+}
+
+/**
+ * FNV-1a hash of a word's UTF-16 code units.
+ * @function fnv1a
+ * @param {string} word - The word to hash.
+ * @param {number} seed - Initial hash value.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+function fnv1a(word, seed) {
+    let hash = seed;
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Computes the Bloom filter bit positions of a word; must match `bloomPositions` in
+ * src/models/embeddingFormat.js.
+ * @function bloomPositions
+ * @param {string} word - The word.
+ * @param {number} bits - Filter size in bits.
+ * @param {number} hashes - Number of probes.
+ * @returns {number[]} Bit positions.
+ */
+function bloomPositions(word, bits, hashes) {
+    const h1 = fnv1a(word, 0x811c9dc5);
+    const h2 = fnv1a(word, 0x9747b28c) | 1;
+    const positions = [];
+    for (let i = 0; i < hashes; i++) positions.push(((h1 + Math.imul(i, h2)) >>> 0) % bits);
+    return positions;
+}
+
+/**
+ * Builds a Bloom filter of a shard's words, sized for BLOOM_FALSE_POSITIVE_RATE.
+ * @function buildBloom
+ * @param {string[]} words - The shard's words.
+ * @returns {{bits: number, hashes: number, data: string}} The filter, with the bit array in base64.
+ */
+function buildBloom(words) {
+    const bits = Math.max(64, Math.ceil(-words.length * Math.log(BLOOM_FALSE_POSITIVE_RATE) / Math.LN2 ** 2));
+    const hashes = Math.max(1, Math.round(bits / words.length * Math.LN2));
+    const bytes = Buffer.alloc(Math.ceil(bits / 8));
+    for (const word of words) {
+        for (const position of bloomPositions(word, bits, hashes)) bytes[position >> 3] |= 1 << (position & 7);
+    }
+    return { bits, hashes, data: bytes.toString('base64') };
+}
+
+/**
+ * Lists the hashed n-gram buckets of a word, fastText style: n-grams of `<word>` for every n in
+ * NGRAM_SIZES. Must match `subwordBuckets` in src/models/embeddingFormat.js.
+ * @function subwordBuckets
+ * @param {string} word - The word.
+ * @param {number} buckets - Number of buckets.
+ * @returns {number[]} Bucket indices, one per n-gram.
+ */
+function subwordBuckets(word, buckets) {
+    const padded = `<${word}>`;
+    const indices = [];
+    for (let n = NGRAM_SIZES[0]; n <= NGRAM_SIZES[1]; n++) {
+        for (let i = 0; i + n <= padded.length; i++) indices.push(fnv1a(padded.slice(i, i + n), 0x811c9dc5) % buckets);
+    }
+    return indices;
+}
+
+/**
+ * Precomputes hashed n-gram vectors. GloVe has no subword vectors, so each bucket gets the average
+ * of the vocabulary words containing one of its n-grams, centered on the mean word vector so n-grams
+ * shared by many unrelated words stay close to zero. The extension adds the mean back when it
+ * composes a vector for an unknown word and rescales it to `norm`.
+ * @function buildSubwords
+ * @param {string[]} words - Vocabulary in row order.
+ * @param {number[][]} embeddings - Vectors in row order.
+ * @param {number} buckets - Number of buckets.
+ * @returns {{vectors: number[][], mean: number[], norm: number}} Bucket vectors (zero for empty
+ *     buckets), the mean word vector and the mean norm of the centered word vectors.
+ */
+function buildSubwords(words, embeddings, buckets) {
+    const dim = embeddings[0].length;
+    const mean = new Array(dim).fill(0);
+    embeddings.forEach(row => row.forEach((value, i) => { mean[i] += value / embeddings.length; }));
+
+    const vectors = Array.from({ length: buckets }, () => new Array(dim).fill(0));
+    const counts = new Array(buckets).fill(0);
+    let norm = 0;
+    words.forEach((word, rowIndex) => {
+        const centered = embeddings[rowIndex].map((value, i) => value - mean[i]);
+        norm += Math.hypot(...centered) / words.length;
+        for (const bucket of new Set(subwordBuckets(word, buckets))) {
+            centered.forEach((value, i) => { vectors[bucket][i] += value; });
+            counts[bucket]++;
+        }
+    });
+    vectors.forEach((vector, bucket) => {
+        if (counts[bucket]) vector.forEach((value, i) => { vector[i] = value / counts[bucket]; });
+    });
+    console.log(`Filled ${counts.filter(Boolean).length} of ${buckets} n-gram buckets`);
+    return { vectors, mean: mean.map(value => Number(value.toFixed(6))), norm: Number(norm.toFixed(6)) };
+}
+
+/**
+ * Writes the vocabulary as frequency-band shards plus the JSON shard index read by the extension.
+ * Stale shard files from a previous run are removed.
+ * @function writeShards
+ * @param {string[]} words - Vocabulary, most frequent first.
+ * @param {number[][]} embeddings - Vectors in row order.
+ * @param {Object} options - Options from {@link parseArgs}.
+ * @returns {string} Path of the shard index.
+ */
+function writeShards(words, embeddings, options) {
+    fs.mkdirSync(shardDir, { recursive: true });
+    for (const file of fs.readdirSync(shardDir)) {
+        if (/^shard-\d+\.bin$/.test(file)) fs.unlinkSync(path.join(shardDir, file));
+    }
+
+    const bounds = [...options.bands.filter(band => band < words.length), words.length];
+    const shards = bounds.map((end, i) => {
+        const start = i ? bounds[i - 1] : 0;
+        const file = `shard-${i}.bin`;
+        const shardWords = words.slice(start, end);
+        fs.writeFileSync(path.join(shardDir, file), encodeBinary(shardWords, embeddings.slice(start, end), options.quantization));
+        console.log(`Wrote ${file}: words ${start}-${end - 1}`);
+        return i === 0
+            ? { file, start, count: end - start, hot: true }
+            : { file, start, count: end - start, bloom: buildBloom(shardWords) };
+    });
+
+    let subwords;
+    if (options.buckets) {
+        const { vectors, mean, norm } = buildSubwords(words, embeddings, options.buckets);
+        // Bucket rows have no words, so the string table is one empty line per row
+        fs.writeFileSync(path.join(shardDir, 'subwords.bin'), encodeBinary(new Array(vectors.length).fill(''), vectors, options.quantization));
+        subwords = { file: 'subwords.bin', buckets: options.buckets, minN: NGRAM_SIZES[0], maxN: NGRAM_SIZES[1], mean, norm };
+    } else if (fs.existsSync(path.join(shardDir, 'subwords.bin'))) {
+        fs.unlinkSync(path.join(shardDir, 'subwords.bin'));
+    }
+
+    const indexPath = path.join(shardDir, 'index.json');
+    fs.writeFileSync(indexPath, JSON.stringify({
+        format: SHARD_INDEX_FORMAT,
+        version: 1,
+        vocabSize: words.length,
+        dim: embeddings[0].length,
+        quantization: options.quantization,
+        shards,
+        subwords
+    }, null, 2));
+    return indexPath;
+}
+
+/**
+ * Asynchronously generates word embeddings and saves them as shards (default), a single binary file or JSON.
+ * @async
+ * @function generateEmbeddings
+ * @returns {Promise<void>} Resolves when embeddings are successfully generated and saved.
+ * @throws {Error} If file reading, parsing, or writing operations fail.
+ */
+async function generateEmbeddings() {
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`Reading ${options.input}...`);
+    const { words, embeddings } = options.input.endsWith('.json')
+        ? readJson(options.input)
+        : readGlove(options.input, options.vocab);
+    words.length = embeddings.length = Math.min(words.length, options.vocab);
+    console.log(`Finished processing ${words.length} words`);
+
+    let outputPath;
+    if (options.format === 'json') {
+        const vocabulary = Object.fromEntries(words.map((word, index) => [word, index]));
+        outputPath = path.join(outputDir, 'embeddings.json');
+        fs.writeFileSync(outputPath, JSON.stringify({ vocabulary, embeddings }));
+    } else if (options.format === 'shards') {
+        outputPath = writeShards(words, embeddings, options);
+    } else {
+        outputPath = path.join(outputDir, 'embeddings.bin');
+        fs.writeFileSync(outputPath, encodeBinary(words, embeddings, options.quantization));
+    }
+    console.log(`Created ${path.basename(outputPath)} (${fs.statSync(outputPath).size} bytes) at ${outputPath}`);
 }
 
 // Execute the embedding generation process and handle any errors
 generateEmbeddings().catch(error => {
     console.error('Error generating embeddings:', error);
-});
\ No newline at end of file
+    process.exitCode = 1;
+});
@@ -1,4 +1,17 @@
 import * as tf from '@tensorflow/tfjs';
+import { isSearchableUrl, sendTabMessage, ensureContentScript } from '../utils/tabs';
+import { sanitizeInput, validateSearchPattern } from '../utils/sanitizer';
+import { parseQuery } from '../utils/queryParser';
+import { loadSettings } from '../utils/settings';
+import {
+    encodeVector,
+    decodeVector,
+    getIndexedEmbeddings,
+    putIndexedEmbeddings,
+    evictIndexedEmbeddings,
+    clearIndexedEmbeddings,
+    getIndexStats
+} from '../utils/embeddingIndex';
 
 /**
  * Represents PDF data stored in memory.
@@ -17,6 +30,38 @@ let tfInitialized = false;
  */
 let localPdfData = null;
 
+/**
+ * Number of top snippets kept per tab for all-tabs searches.
+ * @constant {number}
+ */
+const TAB_TOP_RESULTS = 3;
+
+/**
+ * Number of tabs searched at once by all-tabs searches. Semantic searches load a model and a
+ * worker in every tab, so searching them all together would exhaust memory.
+ * @constant {number}
+ */
+const ALL_TABS_CONCURRENCY = 3;
+
+/**
+ * Session storage key holding the tabs the last all-tabs search ran in, so their highlights can
+ * be cleared even after the service worker restarted.
+ * @constant {string}
+ */
+const SEARCHED_TABS_KEY = 'fzfAllTabsSearched';
+
+/**
+ * Minimum time between two eviction passes over the embedding index.
+ * @constant {number}
+ */
+const INDEX_EVICTION_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Time of the last eviction pass over the embedding index.
+ * @type {number}
+ */
+let lastIndexEviction = 0;
+
 /**
  * Initializes TensorFlow.js with the WebGL backend for optimal performance.
  * @async
@@ -69,6 +114,143 @@ function uint8ToString(uint8Arr) {
     return result;
 }
 
+/**
+ * Search results gathered from one tab.
+ * @typedef {Object} TabSearchResult
+ * @property {number} tabId - The searched tab.
+ * @property {number} windowId - The window containing the tab.
+ * @property {string} title - The tab title.
+ * @property {string} url - The tab URL.
+ * @property {string} [favIconUrl] - The tab favicon.
+ * @property {number} matchCount - Number of matches in the tab.
+ * @property {boolean} truncated - Whether a regex matched more often than is collected, so there are more matches.
+ * @property {Object[]} results - The best result summaries, as produced by the content script.
+ */
+
+/**
+ * Calls an async function on every item, with at most `limit` calls running at a time.
+ * @async
+ * @function settleWithConcurrency
+ * @param {Array} items - The items.
+ * @param {number} limit - Maximum number of calls in progress.
+ * @param {function(*): Promise<*>} callback - Called with each item.
+ * @returns {Promise<PromiseSettledResult[]>} The outcome of each call, in item order.
+ */
+async function settleWithConcurrency(items, limit, callback) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { status: 'fulfilled', value: await callback(items[index]) };
+            } catch (reason) {
+                outcomes[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return outcomes;
+}
+
+/**
+ * Runs a search in every searchable tab, injecting the content script where needed. A few tabs
+ * are searched at a time, without live updates; the searched tabs are remembered so
+ * {@link clearAllTabsSearch} can remove their highlights. Tabs that cannot be reached or have no
+ * matches are left out.
+ * @async
+ * @function searchAllTabs
+ * @param {string} query - The search query.
+ * @param {string} mode - The search mode.
+ * @param {{type: string, selector?: string}} [filter] - Part of each page to search.
+ * @returns {Promise<TabSearchResult[]>} Tabs with matches, most matches first.
+ * @throws {Error} If the query is invalid, checked once here rather than failing silently in every tab.
+ */
+async function searchAllTabs(query, mode, filter) {
+    const sanitizedQuery = sanitizeInput(query, mode);
+    validateSearchPattern(sanitizedQuery);
+    parseQuery(sanitizedQuery, mode);
+
+    const tabs = (await chrome.tabs.query({}))
+        .filter(tab => tab.id && !tab.discarded && isSearchableUrl(tab.url));
+
+    await chrome.storage.session.set({ [SEARCHED_TABS_KEY]: tabs.map(tab => tab.id) });
+
+    const settled = await settleWithConcurrency(tabs, ALL_TABS_CONCURRENCY, async tab => {
+        if (!(await ensureContentScript(tab.id))) return null;
+        const response = await sendTabMessage(tab.id, { type: 'START_SEARCH', query, mode, filter, liveUpdates: false });
+        if (!response?.success || !response.matchCount) return null;
+
+        const hasScores = response.results.some(result => result.score !== null);
+        const ranked = hasScores
+            ? [...response.results].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity))
+            : response.results;
+        return {
+            tabId: tab.id,
+            windowId: tab.windowId,
+            title: tab.title,
+            url: tab.url,
+            favIconUrl: tab.favIconUrl,
+            matchCount: response.matchCount,
+            truncated: Boolean(response.truncated),
+            results: ranked.slice(0, TAB_TOP_RESULTS)
+        };
+    });
+
+    return settled
+        .filter(outcome => outcome.status === 'fulfilled' && outcome.value)
+        .map(outcome => outcome.value)
+        .sort((a, b) => b.matchCount - a.matchCount);
+}
+
+/**
+ * Clears the highlights of the last all-tabs search in every tab it ran in.
+ * @async
+ * @function clearAllTabsSearch
+ * @param {number} [keepTabId] - A tab whose highlights stay, e.g. the one a result was opened in.
+ * @returns {Promise<void>} Resolves once every tab was asked to clear.
+ */
+async function clearAllTabsSearch(keepTabId) {
+    const { [SEARCHED_TABS_KEY]: tabIds = [] } = await chrome.storage.session.get(SEARCHED_TABS_KEY);
+    await chrome.storage.session.remove(SEARCHED_TABS_KEY);
+    await Promise.allSettled(tabIds
+        .filter(tabId => tabId !== keepTabId)
+        .map(tabId => sendTabMessage(tabId, { type: 'CANCEL_SEARCH' })));
+}
+
+/**
+ * Activates a tab and its window, then scrolls the tab to one of its matches.
+ * @async
+ * @function openTabMatch
+ * @param {number} tabId - The tab to activate.
+ * @param {number} windowId - The window containing the tab.
+ * @param {number} index - Index of the match within the tab.
+ * @returns {Promise<void>} Resolves once the jump request has been delivered.
+ */
+async function openTabMatch(tabId, windowId, index) {
+    await chrome.windows.update(windowId, { focused: true });
+    await chrome.tabs.update(tabId, { active: true });
+    await sendTabMessage(tabId, { type: 'JUMP_TO_MATCH', index });
+}
+
+/**
+ * Stores chunk embeddings sent by a content script, then evicts old pages if the last eviction
+ * pass is more than {@link INDEX_EVICTION_INTERVAL_MS} ago.
+ * @async
+ * @function storePageEmbeddings
+ * @param {string} model - Embedding model identifier.
+ * @param {string} url - Page URL without its fragment.
+ * @param {Array<{hash: string, vector: string}>} entries - Vectors encoded with {@link encodeVector}.
+ * @returns {Promise<void>} Resolves once stored.
+ */
+async function storePageEmbeddings(model, url, entries) {
+    await putIndexedEmbeddings(model, url, entries.map(({ hash, vector }) => ({ hash, vector: decodeVector(vector) })));
+    if (Date.now() - lastIndexEviction < INDEX_EVICTION_INTERVAL_MS) return;
+    lastIndexEviction = Date.now();
+    const { index } = await loadSettings();
+    await evictIndexedEmbeddings(index.maxAgeDays * 24 * 60 * 60 * 1000, index.maxSizeMB * 1024 * 1024);
+}
+
 // Handle messages from other parts of the extension
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.type) {
@@ -94,16 +276,6 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ initialized: tfInitialized && tf.getBackend() === 'webgl' });
             break;
 
-        case 'FETCH_EMBEDDINGS':
-            fetch(chrome.runtime.getURL('embeddings.json'), { method: 'GET' })
-                .then(response => response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`)))
-                .then(data => sendResponse({ data }))
-                .catch(error => {
-                    console.error('Embeddings fetch failed:', error);
-                    sendResponse({ error: error.message });
-                });
-            return true; // Keep the message channel open for async response
-
         case 'FETCH_PDF':
             console.log('Fetching PDF from:', request.url);
             fetch(request.url, { method: 'GET', credentials: 'omit' })
@@ -137,6 +309,63 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 });
             return true;
 
+        case 'SEARCH_ALL_TABS':
+            searchAllTabs(request.query, request.mode, request.filter)
+                .then(tabs => sendResponse({ success: true, tabs }))
+                .catch(error => {
+                    console.error('All-tabs search failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        case 'CLEAR_ALL_TABS_SEARCH':
+            clearAllTabsSearch(request.keepTabId)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'OPEN_TAB_MATCH':
+            openTabMatch(request.tabId, request.windowId, request.index)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'INDEX_GET':
+            getIndexedEmbeddings(request.model, request.url, request.hashes)
+                .then(vectors => {
+                    const encoded = Object.fromEntries(Object.entries(vectors).map(([hash, vector]) => [hash, encodeVector(vector)]));
+                    sendResponse({ success: true, vectors: encoded });
+                })
+                .catch(error => {
+                    console.error('Embedding index lookup failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        case 'INDEX_PUT':
+            storePageEmbeddings(request.model, request.url, request.entries)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => {
+                    console.error('Embedding index update failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        case 'INDEX_STATS':
+            getIndexStats()
+                .then(stats => sendResponse({ success: true, stats }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'INDEX_CLEAR':
+            clearIndexedEmbeddings()
+                .then(() => {
+                    console.log('Embedding index cleared');
+                    sendResponse({ success: true });
+                })
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
         case 'DOWNLOAD_PDF':
             chrome.downloads.download({ url: request.url }, downloadId => {
                 if (chrome.runtime.lastError) {
@@ -0,0 +1,420 @@
+import { splitSentences } from '../utils/unicode';
+
+/**
+ * Elements that start a section; every chunk points at the heading of its section.
+ * @constant {string}
+ */
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+/**
+ * Computed `display` values that flow with the surrounding text instead of starting a block.
+ * @constant {Set<string>}
+ */
+const INLINE_DISPLAYS = new Set(['inline', 'inline-block', 'inline-flex', 'inline-grid', 'contents', 'ruby', 'ruby-text']);
+
+/**
+ * Elements that separate the words around them though they hold no text.
+ * @constant {Set<string>}
+ */
+const SEPARATING_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+/**
+ * A sentence longer than this many chunks' worth of words, e.g. text without punctuation,
+ * is cut between words instead.
+ * @constant {number}
+ */
+const MAX_SENTENCE_CHUNKS = 2;
+
+/**
+ * Tuning of the PDF layout analysis, relative to text heights: items whose vertical centers are
+ * closer than `SAME_LINE_RATIO` belong to the same line; a gap between lines larger than
+ * `PARAGRAPH_GAP_RATIO` starts a paragraph, as does a change of height by more than
+ * `FONT_CHANGE_RATIO`; short lines at least `HEADING_SIZE_RATIO` times the document's median line
+ * height, and at most `MAX_HEADING_WORDS` long, are headings.
+ * @constant {number} SAME_LINE_RATIO
+ * @constant {number} PARAGRAPH_GAP_RATIO
+ * @constant {number} FONT_CHANGE_RATIO
+ * @constant {number} HEADING_SIZE_RATIO
+ * @constant {number} MAX_HEADING_WORDS
+ */
+const SAME_LINE_RATIO = 0.5;
+const PARAGRAPH_GAP_RATIO = 0.6;
+const FONT_CHANGE_RATIO = 0.2;
+const HEADING_SIZE_RATIO = 1.2;
+const MAX_HEADING_WORDS = 12;
+
+/**
+ * Maps a run of chunk text back to the text node it came from. PDF runs come from a text item of
+ * a page, whose node is only set while the page is rendered.
+ * @typedef {Object} TextSegment
+ * @property {Text|null} node - The source text node.
+ * @property {number} [page] - 1-based number of the PDF page the run is on.
+ * @property {number} [item] - Index of the run's text item on its PDF page.
+ * @property {number[]} [rect] - Rectangle `[x1, y1, x2, y2]` of the whole text item, in PDF user space.
+ * @property {number} [itemLength] - Length of the text item's string, which `offset` is within.
+ * @property {number} start - Offset of the run within the chunk text.
+ * @property {number} offset - Offset of the run within the node's text.
+ * @property {number} length - Length of the run.
+ */
+
+/**
+ * Heading of the section a chunk belongs to.
+ * @typedef {Object} SectionHeading
+ * @property {Element} [element] - The heading element of a web page.
+ * @property {number} [page] - Page of a PDF heading.
+ * @property {string} text - The heading text.
+ */
+
+/**
+ * A piece of page text that is searched and highlighted as a unit.
+ * @typedef {Object} Chunk
+ * @property {string} text - The chunk text. Runs of text are joined with a single space where the
+ *     page separates them, and directly where they touch, so a word split across elements stays whole.
+ * @property {Text[]} [nodes] - Source text nodes of a web page chunk.
+ * @property {number[]} [pages] - Pages a PDF chunk is on.
+ * @property {TextSegment[]} segments - Where each run of the text comes from.
+ * @property {SectionHeading|null} heading - Heading of the chunk's section, if any.
+ */
+
+/**
+ * Text split into block-level units. Blocks are never merged across containers or headings.
+ * @typedef {Object} Block
+ * @property {Array<{text: string, source: Object, owner: *, separate?: boolean}>} parts - Texts of the
+ *     block in order, with the fields their segments start from and the text node or page listed in
+ *     the chunk. `separate` marks a part set apart from the previous one by something other than
+ *     whitespace in the texts themselves, such as a line break.
+ * @property {*} container - Blocks in the same container may share a chunk.
+ * @property {SectionHeading|null} heading - Set when the block is itself a heading.
+ */
+
+/**
+ * Counts the whitespace-separated words of a text.
+ * @param {string} text - The text.
+ * @returns {number} The word count.
+ * @private
+ */
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Splits a long text into spans of at least `chunkWords` words, ending on sentence boundaries.
+ * A trailing span much shorter than that is folded into the previous one.
+ * @param {string} text - The block text.
+ * @param {number} chunkWords - Target number of words per span.
+ * @returns {Array<[number, number]>} Half-open spans covering the text.
+ * @private
+ */
+function sentenceSpans(text, chunkWords) {
+    const spans = [];
+    let start = 0;
+    let words = 0;
+    const close = end => {
+        if (end > start) spans.push([start, end]);
+        start = end;
+        words = 0;
+    };
+
+    for (const [sentenceStart, sentenceEnd] of splitSentences(text)) {
+        const sentenceWords = countWords(text.slice(sentenceStart, sentenceEnd));
+        if (sentenceWords > chunkWords * MAX_SENTENCE_CHUNKS) {
+            close(sentenceStart);
+            const wordStarts = [...text.slice(sentenceStart, sentenceEnd).matchAll(/\S+/g)].map(match => sentenceStart + match.index);
+            for (let i = chunkWords; i < wordStarts.length; i += chunkWords) close(wordStarts[i]);
+            close(sentenceEnd);
+            continue;
+        }
+        words += sentenceWords;
+        if (words >= chunkWords) close(sentenceEnd);
+    }
+    if (spans.length && words < chunkWords / 2) spans[spans.length - 1][1] = text.length;
+    else close(text.length);
+    return spans;
+}
+
+/**
+ * Splits a block into pieces: the whole block when it is short, otherwise groups of sentences.
+ * @param {Block} block - The block.
+ * @param {number} chunkWords - Target number of words per piece.
+ * @returns {Array<{text: string, items: Array, segments: TextSegment[], words: number}>} The pieces.
+ * @private
+ */
+function splitBlock(block, chunkWords) {
+    let text = '';
+    const runs = [];
+    // Whitespace or a separator since the last run; the parts of a word split across elements touch
+    let gap = false;
+    for (const { text: raw, source, owner, separate } of block.parts) {
+        const trimmedStart = raw.trimStart();
+        const trimmed = trimmedStart.trimEnd();
+        gap = gap || separate || trimmedStart.length < raw.length;
+        if (!trimmed) continue;
+        if (text && gap) text += ' ';
+        gap = trimmed.length < trimmedStart.length;
+        runs.push({ source, owner, start: text.length, offset: raw.length - trimmedStart.length, length: trimmed.length });
+        text += trimmed;
+    }
+    if (!text) return [];
+
+    const spans = countWords(text) > chunkWords ? sentenceSpans(text, chunkWords) : [[0, text.length]];
+    return spans.map(([spanStart, spanEnd]) => {
+        const pieceText = text.slice(spanStart, spanEnd);
+        const start = spanStart + pieceText.length - pieceText.trimStart().length;
+        const end = spanStart + pieceText.trimEnd().length;
+        const items = [];
+        const segments = [];
+        for (const run of runs) {
+            const from = Math.max(start, run.start);
+            const to = Math.min(end, run.start + run.length);
+            if (to <= from) continue;
+            segments.push({ ...run.source, start: from - start, offset: run.offset + from - run.start, length: to - from });
+            if (items[items.length - 1] !== run.owner) items.push(run.owner);
+        }
+        return { text: text.slice(start, end), items, segments, words: countWords(text.slice(start, end)) };
+    }).filter(piece => piece.text);
+}
+
+/**
+ * Turns blocks into chunks. A block is split at sentence boundaries once it exceeds `chunkWords`
+ * words; short blocks in the same container, such as the items of a list or the cells of a row,
+ * share a chunk until it reaches `chunkWords` words. Headings are chunks of their own.
+ * @param {Block[]} blocks - Blocks in document order.
+ * @param {number} chunkWords - Target number of words per chunk.
+ * @param {function(Block, SectionHeading|null): SectionHeading|null} sectionOf - Heading of a
+ *     block's section, given the heading of the previous block's.
+ * @returns {Array<{text: string, items: Array, segments: TextSegment[], heading: SectionHeading|null}>} The chunks.
+ * @private
+ */
+function chunkBlocks(blocks, chunkWords, sectionOf) {
+    const chunks = [];
+    let pending = null;
+    let heading = null;
+    const flush = () => {
+        if (pending) chunks.push({ text: pending.text, items: pending.items, segments: pending.segments, heading: pending.heading });
+        pending = null;
+    };
+
+    for (const block of blocks) {
+        heading = sectionOf(block, heading);
+        const pieces = splitBlock(block, chunkWords);
+        if (block.heading || pieces.length > 1) flush();
+
+        for (const piece of pieces) {
+            const canMerge = pending && !block.heading && pieces.length === 1 &&
+                pending.container === block.container && pending.heading === heading && pending.words < chunkWords;
+            if (!canMerge) {
+                flush();
+                pending = { ...piece, container: block.container, heading, isHeading: Boolean(block.heading) };
+            } else {
+                const start = pending.text.length + 1;
+                pending.text += ` ${piece.text}`;
+                pending.segments.push(...piece.segments.map(segment => ({ ...segment, start: segment.start + start })));
+                pending.items.push(...piece.items.filter(item => item !== pending.items[pending.items.length - 1]));
+                pending.words += piece.words;
+            }
+            if (pending.isHeading || pending.words >= chunkWords || pieces.length > 1) flush();
+        }
+    }
+    flush();
+    return chunks;
+}
+
+/**
+ * Returns the computed `display` of an element, caching it for the current chunking pass.
+ * @param {Element} element - The element.
+ * @param {Map<Element, string>} displays - Cache for the pass.
+ * @returns {string} The display value.
+ * @private
+ */
+function displayOf(element, displays) {
+    if (!displays.has(element)) displays.set(element, window.getComputedStyle(element).display);
+    return displays.get(element);
+}
+
+/**
+ * Finds the block-level element a text node flows in: its closest ancestor that is a heading or
+ * is not displayed inline.
+ * @param {Text} node - The text node.
+ * @param {Map<Element, string>} displays - Display cache for the pass.
+ * @returns {Element} The block element.
+ * @private
+ */
+function blockElementOf(node, displays) {
+    let element = node.parentElement;
+    while (element.parentElement && !element.matches(HEADING_SELECTOR) && INLINE_DISPLAYS.has(displayOf(element, displays))) {
+        element = element.parentElement;
+    }
+    return element;
+}
+
+/**
+ * Checks whether the page separates two text nodes of a block: by text between them, which
+ * includes whitespace-only nodes left out of the search, or by an element such as `<br>`.
+ * @param {Text} previous - The earlier text node.
+ * @param {Text} node - The later text node.
+ * @returns {boolean} True if the words around the boundary are apart.
+ * @private
+ */
+function isSeparated(previous, node) {
+    const root = node.getRootNode();
+    if (previous.getRootNode() !== root) return true;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    walker.currentNode = previous;
+    let current;
+    while ((current = walker.nextNode()) && current !== node) {
+        if (current.nodeType === Node.TEXT_NODE ? current.textContent.length > 0 : SEPARATING_ELEMENTS.has(current.localName)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Describes a heading element.
+ * @param {Element} element - The heading.
+ * @returns {SectionHeading} The heading and its text.
+ * @private
+ */
+function describeHeading(element) {
+    return { element, text: element.textContent.replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Groups text nodes into chunks that follow the page's structure: text of different block-level
+ * elements (paragraphs, list items, table cells, headings) never shares a chunk unless the
+ * elements are siblings, and long blocks are split between sentences. Each chunk records the
+ * heading of its section.
+ * @function chunkTextNodes
+ * @param {Text[]} textNodes - Text nodes in document order.
+ * @param {number} chunkWords - Target number of words per chunk.
+ * @returns {Chunk[]} The chunks, in document order.
+ */
+export function chunkTextNodes(textNodes, chunkWords) {
+    const displays = new Map();
+    const blocks = [];
+    let blockElement = null;
+    let previous = null;
+    for (const node of textNodes) {
+        const element = blockElementOf(node, displays);
+        const startsBlock = element !== blockElement || !blocks.length;
+        if (startsBlock) {
+            blockElement = element;
+            blocks.push({
+                parts: [],
+                container: element.parentNode,
+                heading: element.matches(HEADING_SELECTOR) ? describeHeading(element) : null
+            });
+        }
+        const separate = !startsBlock && isSeparated(previous, node);
+        blocks[blocks.length - 1].parts.push({ text: node.textContent, source: { node }, owner: node, separate });
+        previous = node;
+    }
+
+    // Walk back from each block to the end of the previous one looking for a heading, so a full
+    // pass visits each node once and a pass over scattered nodes (a live update) still finds the
+    // heading of every section
+    let previousNode = null;
+    const sectionOf = (block, heading) => {
+        const first = block.parts[0].source.node;
+        let section = block.heading;
+        if (!section) {
+            const root = first.getRootNode();
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+            walker.currentNode = first;
+            let node;
+            while ((node = walker.previousNode()) && node !== previousNode) {
+                if (node.nodeType === Node.ELEMENT_NODE && node.matches(HEADING_SELECTOR)) break;
+            }
+            if (node === previousNode) section = heading;
+            else if (node) section = describeHeading(node);
+            // Nothing before the block in its root: keep the section of a preceding shadow host's page
+            else section = previousNode && previousNode.getRootNode() !== root ? heading : null;
+        }
+        previousNode = block.parts[block.parts.length - 1].source.node;
+        return section;
+    };
+
+    return chunkBlocks(blocks, chunkWords, sectionOf).map(({ items, ...chunk }) => ({ ...chunk, nodes: items }));
+}
+
+/**
+ * Returns the median of some numbers.
+ * @param {number[]} values - The numbers.
+ * @returns {number} The median, or 0 when there are none.
+ * @private
+ */
+function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Groups the text of PDF pages into chunks by its layout. Text items are assembled into lines by
+ * their vertical position, lines into paragraphs where the gap to the previous line widens, the
+ * text size changes, the text moves back up (a new column) or the page ends, and paragraphs are
+ * then chunked like the blocks of a web page. Lines set in a larger size than the body text
+ * become headings.
+ * @function chunkPdfText
+ * @param {Array<{number: number, items: Array<Object|null>}>} pages - Text items of each page from
+ *     `getTextContent`, in text layer order; null for items left out of the search.
+ * @param {number} chunkWords - Target number of words per chunk.
+ * @returns {Chunk[]} The chunks, in document order.
+ */
+export function chunkPdfText(pages, chunkWords) {
+    const lines = [];
+    for (const { number, items } of pages) {
+        // pdf.js marks gaps with whitespace items and line ends with `hasEOL`; other items touch
+        let separate = true;
+        items.forEach((item, index) => {
+            if (!item?.str.trim()) {
+                separate = true;
+                return;
+            }
+            const [, , c, d, x, y] = item.transform;
+            const height = item.height || Math.hypot(c, d);
+            // PDF coordinates grow upwards; flip them so lines read top to bottom like the page
+            const top = -y - height;
+            const bottom = -y;
+            const source = { node: null, page: number, item: index, rect: [x, y, x + item.width, y + height], itemLength: item.str.length };
+            const part = { text: item.str, source, owner: number, separate };
+            separate = Boolean(item.hasEOL);
+            const line = lines[lines.length - 1];
+            if (line && line.page === number &&
+                Math.abs((top + bottom) / 2 - (line.top + line.bottom) / 2) < Math.min(height, line.height) * SAME_LINE_RATIO) {
+                line.parts.push(part);
+                line.top = Math.min(line.top, top);
+                line.bottom = Math.max(line.bottom, bottom);
+                line.height = Math.max(line.height, height);
+            } else {
+                part.separate = true;
+                lines.push({ parts: [part], page: number, top, bottom, height });
+            }
+        });
+    }
+
+    const bodyHeight = median(lines.map(line => line.height));
+    const blocks = [];
+    let previous = null;
+    for (const line of lines) {
+        const text = line.parts.map(part => part.text.trim()).join(' ');
+        line.isHeading = bodyHeight > 0 && line.height >= bodyHeight * HEADING_SIZE_RATIO && countWords(text) <= MAX_HEADING_WORDS;
+        const startsParagraph = !previous ||
+            line.page !== previous.page ||
+            line.isHeading !== previous.isHeading ||
+            line.top - previous.bottom > previous.height * PARAGRAPH_GAP_RATIO ||
+            line.bottom < previous.top ||
+            Math.abs(line.height - previous.height) > previous.height * FONT_CHANGE_RATIO;
+        if (startsParagraph) {
+            blocks.push({ parts: [], container: line.page, heading: null, text: '' });
+        }
+        const block = blocks[blocks.length - 1];
+        block.parts.push(...line.parts);
+        block.text = block.text ? `${block.text} ${text}` : text;
+        if (line.isHeading) block.heading = { page: line.page, text: block.text };
+        previous = line;
+    }
+
+    return chunkBlocks(blocks, chunkWords, (block, heading) => block.heading || heading)
+        .map(({ items, ...chunk }) => ({ ...chunk, pages: items }));
+}
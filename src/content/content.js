@@ -1,10 +1,281 @@
 import SimilaritySearch from '../models/model';
+import SearchWorkerClient from '../models/searchWorkerClient';
 import { sanitizeInput, validateSearchPattern } from '../utils/sanitizer';
+import { runRegexSearch } from '../utils/regexSearch';
 import RateLimiter from '../utils/rateLimiter';
-import { highlight, clearHighlights, scrollToMatch } from './highlighter';
-import Fuse from 'fuse.js';
+import { loadSettings, mergeWithDefaults, onSettingsChanged } from '../utils/settings';
+import {
+    highlightRange,
+    clearHighlights,
+    scrollToMatch,
+    setActiveHighlights,
+    removeHighlights,
+    injectHighlightStyles,
+    supportsHighlightApi,
+    GROUP_HIGHLIGHT_CLASS,
+    SYNONYM_HIGHLIGHT_CLASS
+} from './highlighter';
+import { createFilterPredicate, trackClickedElements } from './searchFilters';
+import { chunkTextNodes, chunkPdfText } from './chunker';
+import { getPdfSource } from './pdfSource';
+import { parseExtendedQuery, extendedMatch, positionsToSpans, SCORE_MATCH } from '../utils/fzf';
+import { foldText } from '../utils/unicode';
+import { bm25Scores } from '../utils/bm25';
+import { rankByScore, reciprocalRankFusion } from '../utils/rankFusion';
+import { parseQuery, queryLeaves, couldMatch, evaluateQuery } from '../utils/queryParser';
 import * as tf from '@tensorflow/tfjs';
 
+/**
+ * Number of characters of context shown on each side of a match in result snippets.
+ * @constant {number}
+ */
+const SNIPPET_CONTEXT_CHARS = 40;
+
+/**
+ * Maximum number of characters of the match itself shown in a result snippet.
+ * @constant {number}
+ */
+const SNIPPET_MAX_MATCH_CHARS = 120;
+
+/**
+ * Summary of a match sent to the popup results list.
+ * @typedef {Object} ResultSummary
+ * @property {number} index - Index of the match in document order.
+ * @property {{before: string, match: string, after: string}} snippet - Context around the match.
+ * @property {number|null} score - Relevance score, when the search mode produces one.
+ * @property {number|null} page - 1-based PDF page number, or null for web pages.
+ * @property {string|null} synonym - The related word this match is for, or null for matches of the query.
+ * @property {string|null} section - Heading of the section the match is in, if any.
+ */
+
+/**
+ * Letters and digits, which may not touch a related word for it to match as a whole word.
+ * @constant {RegExp}
+ */
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/** @typedef {import('./chunker').TextSegment} TextSegment */
+
+/**
+ * Converts [start, end) offsets in a chunk's text into offsets within its text nodes.
+ * Spans that cross node boundaries are split into one range per node; text on PDF pages that are
+ * not rendered has no node and is skipped.
+ * @param {TextSegment[]} segments - Segments of the chunk.
+ * @param {Array<[number, number]>} spans - Half-open character spans in chunk text.
+ * @returns {Array<{node: Text, start: number, end: number}>} Node-relative ranges in document order.
+ * @private
+ */
+function resolveRanges(segments, spans) {
+    const ranges = [];
+    for (const [spanStart, spanEnd] of spans) {
+        for (const segment of segments) {
+            const segmentEnd = segment.start + segment.length;
+            if (segmentEnd <= spanStart) continue;
+            if (segment.start >= spanEnd) break;
+            if (!segment.node) continue;
+            const start = Math.max(spanStart, segment.start) - segment.start + segment.offset;
+            const end = Math.min(spanEnd, segmentEnd) - segment.start + segment.offset;
+            if (end > start) ranges.push({ node: segment.node, start, end });
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Highlights character spans of a chunk. Works back to front so that the span
+ * fallback, which splits text nodes, keeps earlier offsets valid.
+ * @param {TextSegment[]} segments - Segments of the chunk.
+ * @param {Array<{span: [number, number], className?: string}>} pieces - Spans in chunk text, in document order.
+ * @returns {import('./highlighter').HighlightHandle[][]} The highlights created for each piece.
+ * @private
+ */
+function highlightSpans(segments, pieces) {
+    const ranges = pieces.flatMap((piece, pieceIndex) =>
+        resolveRanges(segments, [piece.span]).map(range => ({ ...range, pieceIndex, className: piece.className }))
+    );
+    const elements = pieces.map(() => []);
+    for (let i = ranges.length - 1; i >= 0; i--) {
+        const { node, start, end, pieceIndex, className } = ranges[i];
+        const handle = highlightRange(node, start, end, className);
+        if (handle) elements[pieceIndex].unshift(handle);
+    }
+    return elements;
+}
+
+/**
+ * Returns whether a match is kept: it has highlights, or it is in a PDF chunk, whose highlights are
+ * added when its page is drawn.
+ * @param {import('./chunker').Chunk} chunk - The chunk of the match.
+ * @param {import('./highlighter').HighlightHandle[]} highlights - The highlights created for the match.
+ * @returns {boolean} True if the match is kept.
+ * @private
+ */
+function isShowable(chunk, highlights) {
+    return highlights.length > 0 || Boolean(chunk.pages);
+}
+
+/**
+ * Returns the PDF page a match starts on.
+ * @param {Object} match - The match.
+ * @returns {number|null} 1-based page number, or null for web pages.
+ * @private
+ */
+function pageOfMatch(match) {
+    if (!match.pages) return null;
+    const segment = match.segments.find(({ start, length }) => start + length > match.span[0]);
+    return segment?.page ?? match.pages[0];
+}
+
+/**
+ * Locates a PDF match: the page it starts on and the box around its text there. Text items are
+ * taken to run left to right, so part of an item gets the share of its width its characters take.
+ * @param {Object} match - A match in a PDF chunk.
+ * @returns {{page: number, box: number[]|null}} 1-based page number, and the rectangle `[x1, y1, x2, y2]`
+ *     around the match on that page in PDF user space, or null if its text has no position.
+ * @private
+ */
+function locatePdfMatch(match) {
+    const page = pageOfMatch(match);
+    const [start, end] = match.span;
+    let box = null;
+    for (const segment of match.segments) {
+        const from = Math.max(start, segment.start);
+        const to = Math.min(end, segment.start + segment.length);
+        if (segment.page !== page || !segment.rect || from >= to) continue;
+        const [x1, y1, x2, y2] = segment.rect;
+        const xAt = position => x1 + (x2 - x1) * (segment.offset + position - segment.start) / (segment.itemLength || 1);
+        box = box
+            ? [Math.min(box[0], xAt(from)), Math.min(box[1], y1), Math.max(box[2], xAt(to)), Math.max(box[3], y2)]
+            : [xAt(from), y1, xAt(to), y2];
+    }
+    return { page, box };
+}
+
+/**
+ * Points the segments of PDF chunks at the text layer of a rendered page, or detaches them when
+ * the page is freed.
+ * @param {TextSegment[]} segments - Segments of a chunk.
+ * @param {number} page - 1-based page number.
+ * @param {HTMLElement[]|null} textDivs - The page's text layer spans, or null if it is not rendered.
+ * @private
+ */
+function bindPdfSegments(segments, page, textDivs) {
+    for (const segment of segments) {
+        if (segment.page !== page) continue;
+        segment.node = textDivs?.[segment.item]?.firstChild ?? null;
+    }
+}
+
+/**
+ * Splits a regex match into plain and capture-group pieces that do not overlap.
+ * @param {import('../utils/regexSearch').RegexMatch} match - The regex match.
+ * @returns {Array<{span: [number, number], className?: string}>} Pieces in document order.
+ * @private
+ */
+function splitMatchByGroups(match) {
+    const groups = [];
+    for (const [start, end] of [...match.groups].sort((a, b) => a[0] - b[0])) {
+        const last = groups[groups.length - 1];
+        if (last && start < last[1]) last[1] = Math.max(last[1], end);
+        else groups.push([start, end]);
+    }
+
+    const pieces = [];
+    let cursor = match.start;
+    for (const [start, end] of groups) {
+        if (start > cursor) pieces.push({ span: [cursor, start] });
+        pieces.push({ span: [start, end], className: GROUP_HIGHLIGHT_CLASS });
+        cursor = end;
+    }
+    if (cursor < match.end) pieces.push({ span: [cursor, match.end] });
+    return pieces;
+}
+
+/**
+ * Returns whether a text node has content and is not hidden by its parent's style.
+ * @param {Text} node - The text node to check.
+ * @returns {boolean} True if the node should be searched.
+ * @private
+ */
+function isVisibleTextNode(node) {
+    const parent = node.parentElement;
+    if (!parent || !node.textContent.trim()) return false;
+    const style = window.getComputedStyle(parent);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+}
+
+/**
+ * Sorts nodes into document order.
+ * @param {Node[]} nodes - The nodes to sort; the array is sorted in place.
+ * @returns {Node[]} The sorted array.
+ * @private
+ */
+function sortByDocumentOrder(nodes) {
+    return nodes.sort((a, b) => {
+        if (a === b) return 0;
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+}
+
+/**
+ * Orders matches by document position: by their chunk's first node, then by offset within the chunk.
+ * Chunks split from one text node are ordered by where they start in it, and PDF chunks, whose pages
+ * may not be rendered, by page, text item and offset.
+ * @param {Object} a - A match.
+ * @param {Object} b - Another match.
+ * @returns {number} Negative if `a` comes first, positive if `b` does.
+ * @private
+ */
+function compareMatches(a, b) {
+    if (a.segments === b.segments) return a.span[0] - b.span[0];
+    if (a.pages) {
+        const [first, second] = [a.segments[0], b.segments[0]];
+        return first.page - second.page || first.item - second.item || first.offset - second.offset;
+    }
+    if (a.segments[0].node === b.segments[0].node) return a.segments[0].offset - b.segments[0].offset;
+    return sortByDocumentOrder([a.segments[0].node, b.segments[0].node])[0] === a.segments[0].node ? -1 : 1;
+}
+
+/**
+ * Checks whether a match still points at the text it was found in.
+ * A text node that was edited, removed or moved (which collapses its ranges) makes the match stale.
+ * @param {Object} match - The match to check.
+ * @param {Set<Node>} changedNodes - Text nodes whose content changed since the match was found.
+ * @returns {boolean} True if the match is still valid.
+ * @private
+ */
+function isMatchIntact(match, changedNodes) {
+    return match.segments.every(({ node }) => node.isConnected && !changedNodes.has(node)) &&
+        match.highlights.every(handle => !(handle instanceof Range) || !handle.collapsed);
+}
+
+/**
+ * Builds a snippet around a match, trimmed to whole words, for the popup results list.
+ * @param {string} text - The chunk text containing the match.
+ * @param {number} start - Offset of the first matched character.
+ * @param {number} end - Offset after the last matched character.
+ * @returns {{before: string, match: string, after: string}} Snippet parts; the match part is emphasized by the popup.
+ * @private
+ */
+function buildSnippet(text, start, end) {
+    const matchEnd = Math.min(end, start + SNIPPET_MAX_MATCH_CHARS);
+    let from = Math.max(0, start - SNIPPET_CONTEXT_CHARS);
+    let to = Math.min(text.length, matchEnd + SNIPPET_CONTEXT_CHARS);
+    if (from > 0) {
+        const space = text.indexOf(' ', from);
+        if (space !== -1 && space < start) from = space + 1;
+    }
+    if (to < text.length) {
+        const space = text.lastIndexOf(' ', to);
+        if (space > matchEnd) to = space;
+    }
+    return {
+        before: `${from > 0 ? '…' : ''}${text.slice(from, start)}`,
+        match: `${text.slice(start, matchEnd)}${matchEnd < end ? '…' : ''}`,
+        after: `${text.slice(matchEnd < end ? end : matchEnd, Math.max(to, end))}${to < text.length ? '…' : ''}`
+    };
+}
+
 /**
  * Manages content searching functionality across web pages and PDFs.
  * @class
@@ -16,16 +287,36 @@ class ContentSearchManager {
      */
     constructor() {
         this.similaritySearch = new SimilaritySearch();
-        this.rateLimiter = new RateLimiter(10, 1);
+        this.searchWorker = new SearchWorkerClient();
+        this.settings = mergeWithDefaults();
+        this.rateLimiter = new RateLimiter(this.settings.rateLimit.maxRequests, this.settings.rateLimit.perMinutes);
         this.currentMatches = [];
         this.currentMatchIndex = -1;
+        /** @type {boolean} Whether the last regex search dropped matches beyond its cap */
+        this.resultsTruncated = false;
         this.isSearching = false;
         this.isInitialized = false;
-        this.highlightElements = [];
+        /** @type {import('./pdfSource').PdfSource|null} The PDF viewer whose pages are watched */
+        this.pdfSource = null;
+        /** @type {{query: import('../utils/queryParser').QueryNode, mode: string, inScope: Function|null}|null} The search kept up to date while the page changes */
+        this.activeSearch = null;
+        /** @type {MutationObserver|null} */
+        this.observer = null;
+        this.pendingRoots = new Set();
+        this.changedNodes = new Set();
+        this.liveUpdateTimeout = undefined;
+        this.isUpdating = false;
+        // Bumped whenever live updates stop, so an update still in flight discards its results
+        this.searchGeneration = 0;
+        this.handleVisibilityChange = () => {
+            if (!document.hidden && (this.pendingRoots.size || this.changedNodes.size)) this.scheduleLiveUpdate();
+        };
     }
 
     /**
-     * Initializes the search manager by loading the similarity search model.
+     * Initializes the search manager by starting the semantic search worker.
+     * Loads the similarity model on the main thread instead when the page does not allow workers.
+     * User settings are loaded first and re-applied whenever they change on the options page.
      * @async
      * @returns {Promise<void>} Resolves when initialization is complete.
      * @throws {Error} If model initialization fails.
@@ -33,7 +324,14 @@ class ContentSearchManager {
     async initialize() {
         if (this.isInitialized) return;
         try {
-            await this.similaritySearch.initialize();
+            this.applySettings(await loadSettings());
+            onSettingsChanged(settings => this.applySettings(settings));
+            try {
+                await this.searchWorker.initialize();
+            } catch (workerError) {
+                console.warn('Search worker unavailable, loading model on main thread:', workerError);
+                await this.similaritySearch.initialize();
+            }
             this.isInitialized = true;
             console.log('Search manager initialized');
         } catch (error) {
@@ -42,25 +340,38 @@ class ContentSearchManager {
         }
     }
 
+    /**
+     * Applies user settings. The rate limiter is recreated so new limits take effect immediately,
+     * and a new embedding provider is loaded by the next semantic search.
+     * @param {Object} settings - Complete settings object from {@link loadSettings}.
+     */
+    applySettings(settings) {
+        this.settings = settings;
+        this.rateLimiter = new RateLimiter(settings.rateLimit.maxRequests, settings.rateLimit.perMinutes);
+        this.searchWorker.setProvider(settings.embedding.provider);
+        this.searchWorker.setIndexEnabled(settings.index.enabled);
+        this.similaritySearch.setProvider(settings.embedding.provider);
+        if (settings.live.enabled) this.startLiveUpdates();
+        else this.stopLiveUpdates();
+        console.log('Search settings applied:', settings);
+    }
+
     /**
      * Recursively collects all text nodes from the DOM, including shadow DOMs.
      * @param {Node} root - The root node to start traversal from.
+     * @param {function(Text): boolean|null} [inScope=null] - Keeps only the nodes a search filter allows.
      * @returns {Node[]} An array of text nodes with visible content.
      */
-    getAllTextNodes(root) {
+    getAllTextNodes(root, inScope = null) {
         const textNodes = [];
         const walker = document.createTreeWalker(
             root,
             NodeFilter.SHOW_TEXT,
             {
-                acceptNode: node => {
-                    const parent = node.parentElement;
-                    if (!parent) return NodeFilter.FILTER_REJECT;
-                    const style = window.getComputedStyle(parent);
-                    return (style.display !== 'none' && style.visibility !== 'hidden' && node.textContent.trim())
-                        ? NodeFilter.FILTER_ACCEPT
-                        : NodeFilter.FILTER_REJECT;
-                }
+                // The filter is checked first: it is cheaper than computing styles
+                acceptNode: node => (!inScope || inScope(node)) && isVisibleTextNode(node)
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_REJECT
             }
         );
         let node;
@@ -71,150 +382,123 @@ class ContentSearchManager {
         const elementsWithShadow = root.querySelectorAll('*');
         for (const el of elementsWithShadow) {
             if (el.shadowRoot) {
-                textNodes.push(...this.getAllTextNodes(el.shadowRoot));
+                textNodes.push(...this.getAllTextNodes(el.shadowRoot, inScope));
             }
         }
         return textNodes;
     }
 
     /**
-     * Processes page content into searchable chunks for PDFs or HTML.
+     * Processes page content into searchable chunks for PDFs or HTML, following the page's blocks
+     * and sentences on web pages and its lines and paragraphs in PDFs. PDF text comes from every
+     * page of the document, rendered or not.
      * @async
-     * @returns {Promise<{isPDF: boolean, chunks: Array<{text: string, spans?: HTMLElement[], nodes?: Node[]}>}>} Processed page data.
+     * @param {number} [chunkWords=20] - Target number of words per chunk.
+     * @param {function(Text): boolean|null} [inScope=null] - Keeps only the text a search filter allows.
+     * @returns {Promise<{isPDF: boolean, chunks: import('./chunker').Chunk[]}>} Processed page data.
      */
-    async processPage() {
-        const textLayers = document.querySelectorAll('.textLayer span');
-        if (textLayers.length > 0) {
-            const spans = Array.from(textLayers).filter(span => span.textContent.trim());
-            const chunks = [];
-            let currentChunk = { text: '', spans: [] };
-            let wordCount = 0;
-
-            for (const span of spans) {
-                const spanText = span.textContent.trim();
-                const words = spanText.split(/\s+/);
-                currentChunk.text += `${spanText} `;
-                currentChunk.spans.push(span);
-                wordCount += words.length;
-
-                if (wordCount >= 20) {
-                    chunks.push({ text: currentChunk.text.trim(), spans: [...currentChunk.spans] });
-                    currentChunk = { text: '', spans: [] };
-                    wordCount = 0;
-                }
-            }
-            if (currentChunk.text.trim()) {
-                chunks.push({ text: currentChunk.text.trim(), spans: [...currentChunk.spans] });
+    async processPage(chunkWords = 20, inScope = null) {
+        const pdfSource = getPdfSource();
+        if (pdfSource) {
+            this.attachPdfSource(pdfSource);
+            const pages = [];
+            for (let number = 1; number <= pdfSource.numPages; number++) {
+                const items = await pdfSource.getTextItems(number);
+                const textDivs = pdfSource.getTextDivs(number);
+                // Filters select rendered text, so a filtered search only covers rendered pages
+                pages.push({
+                    number,
+                    items: inScope
+                        ? items.map((item, index) => textDivs?.[index]?.firstChild && inScope(textDivs[index].firstChild) ? item : null)
+                        : items
+                });
             }
+            const chunks = chunkPdfText(pages, chunkWords);
+            chunks.forEach(chunk => chunk.pages.forEach(page => bindPdfSegments(chunk.segments, page, pdfSource.getTextDivs(page))));
             return { isPDF: true, chunks };
         }
 
-        const textNodes = this.getAllTextNodes(document.body);
-        const chunks = [];
-        let currentChunk = { text: '', nodes: [] };
-        let wordCount = 0;
-
-        for (const node of textNodes) {
-            const nodeText = node.textContent.trim();
-            if (!nodeText) continue;
-            const words = nodeText.split(/\s+/);
-            currentChunk.text += `${nodeText} `;
-            currentChunk.nodes.push(node);
-            wordCount += words.length;
-
-            if (wordCount >= 20) {
-                chunks.push({ text: currentChunk.text.trim(), nodes: [...currentChunk.nodes] });
-                currentChunk = { text: '', nodes: [] };
-                wordCount = 0;
+        return { isPDF: false, chunks: chunkTextNodes(this.getAllTextNodes(document.body, inScope), chunkWords) };
+    }
+
+    /**
+     * Follows the pages the PDF viewer draws and frees, so matches are highlighted on the pages
+     * that are rendered.
+     * @param {import('./pdfSource').PdfSource} pdfSource - The viewer.
+     * @private
+     */
+    attachPdfSource(pdfSource) {
+        if (this.pdfSource === pdfSource) return;
+        this.pdfSource = pdfSource;
+        pdfSource.on('pagerendered', page => this.updatePdfPage(page, pdfSource.getTextDivs(page)));
+        pdfSource.on('pagereleased', page => this.updatePdfPage(page, null));
+    }
+
+    /**
+     * Re-creates the highlights of the matches on a PDF page after it was drawn or freed.
+     * @param {number} page - 1-based page number.
+     * @param {HTMLElement[]|null} textDivs - The page's text layer spans, or null if it was freed.
+     * @private
+     */
+    updatePdfPage(page, textDivs) {
+        const bound = new Set();
+        for (const match of this.currentMatches) {
+            if (!match.pages?.includes(page)) continue;
+            if (!bound.has(match.segments)) {
+                bindPdfSegments(match.segments, page, textDivs);
+                bound.add(match.segments);
             }
+            removeHighlights(match.highlights);
+            match.highlights = highlightSpans(match.segments, match.pieces).flat();
         }
-        if (currentChunk.text.trim()) {
-            chunks.push({ text: currentChunk.text.trim(), nodes: [...currentChunk.nodes] });
-        }
-        return { isPDF: false, chunks };
+        if (bound.size) this.updateHighlights();
     }
 
     /**
      * Performs a search on the page content using the specified query and mode.
      * @async
      * @param {string} query - The search query string.
-     * @param {string} [mode='semantic'] - Search mode: 'semantic', 'exact', or 'fuzzy'.
-     * @returns {Promise<{matchCount: number, currentIndex: number, totalMatches: number}>} Search results metadata.
-     * @throws {Error} If rate limit is exceeded or search processing fails.
+     * @param {string} [mode='semantic'] - Search mode: 'semantic', 'hybrid' (BM25 and semantic ranks fused),
+     *     'exact', 'fuzzy' (fzf extended syntax) or 'regex'.
+     * @param {import('./searchFilters').SearchFilter} [filter] - Part of the page to search; the whole page when omitted.
+     * @param {string[]} [synonyms=[]] - Related words the user enabled; semantic searches also match them exactly.
+     * @param {Object} [options] - Search options.
+     * @param {boolean} [options.liveUpdates=true] - Whether the matches follow page changes; off for all-tabs
+     *     searches, which would otherwise leave an observer running in every background tab.
+     * @returns {Promise<{matchCount: number, currentIndex: number, totalMatches: number, truncated: boolean, results: ResultSummary[], neighbors: Array<{word: string, similarity: number}>}>}
+     *     Search results metadata, with the words related to a semantic query for the popup to offer;
+     *     `truncated` is set when a regex matched more often than is collected.
+     * @throws {Error} If rate limit is exceeded, the query or filter is invalid, or search processing fails.
      */
-    async search(query, mode = 'semantic') {
+    async search(query, mode = 'semantic', filter = { type: 'page' }, synonyms = [], { liveUpdates = true } = {}) {
         if (!this.isInitialized) await this.initialize();
         if (!await this.rateLimiter.tryAcquire()) {
             throw new Error('Rate limit exceeded. Please wait.');
         }
 
         try {
+            this.stopLiveUpdates();
+            this.activeSearch = null;
             clearHighlights();
             this.currentMatches = [];
             this.currentMatchIndex = -1;
-            this.highlightElements = [];
-            const sanitizedQuery = sanitizeInput(query);
+            this.resultsTruncated = false;
+            this.pdfSource?.showMatches([]);
+            const sanitizedQuery = sanitizeInput(query, mode);
             validateSearchPattern(sanitizedQuery);
+            const parsedQuery = parseQuery(sanitizedQuery, mode);
+            const related = mode === 'semantic' ? synonyms.map(word => sanitizeInput(word).trim()).filter(Boolean) : [];
+            const inScope = createFilterPredicate(filter);
             this.isSearching = true;
-            const { isPDF, chunks } = await this.processPage();
+            const modeSettings = this.settings[mode] || this.settings.semantic;
+            const { chunks } = await this.processPage(modeSettings.chunkWords, inScope);
 
-            if (mode === 'fuzzy') {
-                const fuse = new Fuse(chunks, {
-                    keys: ['text'],
-                    includeScore: true,
-                    threshold: 0.4,
-                    shouldSort: false
-                });
-                const fuseResults = fuse.search(sanitizedQuery);
-
-                for (const result of fuseResults) {
-                    const matchingChunk = result.item;
-                    this.currentMatches.push(matchingChunk);
-                    const elements = isPDF ? matchingChunk.spans : matchingChunk.nodes;
-                    elements.forEach(element => {
-                        const highlightEl = highlight(element);
-                        if (highlightEl) this.highlightElements.push(highlightEl);
-                    });
-                }
-            } else {
-                for (const chunk of chunks) {
-                    if (!this.isSearching) break;
-                    let isMatch = false;
-
-                    switch (mode) {
-                        case 'exact': {
-                            const queryLower = sanitizedQuery.toLowerCase();
-                            const textLower = chunk.text.toLowerCase();
-                            if (textLower.includes(queryLower)) {
-                                isMatch = true;
-                                const elementsToHighlight = (isPDF ? chunk.spans : chunk.nodes)
-                                    .filter(node => node.textContent.toLowerCase().includes(queryLower));
-                                if (elementsToHighlight.length > 0) {
-                                    this.currentMatches.push({ ...chunk, matchedElements: elementsToHighlight });
-                                    elementsToHighlight.forEach(element => {
-                                        const highlightEl = highlight(element);
-                                        if (highlightEl) this.highlightElements.push(highlightEl);
-                                    });
-                                }
-                            }
-                            break;
-                        }
-                        case 'semantic': {
-                            const similarity = await this.similaritySearch.findSimilar(sanitizedQuery, chunk.text);
-                            if (similarity) {
-                                isMatch = true;
-                                this.currentMatches.push(chunk);
-                                const elements = isPDF ? chunk.spans : chunk.nodes;
-                                elements.forEach(element => {
-                                    const highlightEl = highlight(element);
-                                    if (highlightEl) this.highlightElements.push(highlightEl);
-                                });
-                            }
-                            break;
-                        }
-                    }
-                }
-            }
+            this.currentMatches = await this.findMatches(chunks, parsedQuery, mode, () => this.isSearching, related);
+            this.currentMatches.forEach(match => {
+                if (match.pages) Object.assign(match, locatePdfMatch(match));
+            });
+            this.pdfSource?.showMatches(this.currentMatches.map(({ page, score }) => ({ page, score: score ?? null })));
+            const neighbors = mode === 'semantic' ? await this.findRelatedWords(parsedQuery) : [];
 
             if (this.currentMatches.length > 0) {
                 this.currentMatchIndex = 0;
@@ -229,13 +513,22 @@ class ContentSearchManager {
                 type: 'SEARCH_PROGRESS',
                 count: this.currentMatches.length,
                 currentIndex: this.currentMatchIndex,
-                totalMatches: this.currentMatches.length
+                totalMatches: this.currentMatches.length,
+                truncated: this.resultsTruncated
             });
 
+            if (this.isSearching && liveUpdates) {
+                this.activeSearch = { query: parsedQuery, mode, inScope, synonyms: related };
+                this.startLiveUpdates();
+            }
+
             return {
                 matchCount: this.currentMatches.length,
                 currentIndex: this.currentMatchIndex,
-                totalMatches: this.currentMatches.length
+                totalMatches: this.currentMatches.length,
+                truncated: this.resultsTruncated,
+                results: this.getResultSummaries(),
+                neighbors
             };
         } catch (error) {
             console.error('Search error:', error);
@@ -246,49 +539,403 @@ class ContentSearchManager {
     }
 
     /**
-     * Updates highlight styles to reflect the current match.
+     * Finds and highlights the matches of a query in a set of chunks.
+     * Used both for full searches and for re-indexing parts of the page that changed.
+     * A query that is a single term keeps the mode's own matching, with one match per occurrence.
+     * @async
+     * @param {Array<{text: string, segments: TextSegment[]}>} chunks - Chunks to search.
+     * @param {import('../utils/queryParser').QueryNode} parsedQuery - The query from {@link parseQuery}.
+     * @param {string} mode - Search mode: 'semantic', 'hybrid', 'exact', 'fuzzy' or 'regex'.
+     * @param {function(): boolean} isActive - Returns false once the search has been cancelled or superseded.
+     * @param {string[]} [synonyms=[]] - Related words matched exactly alongside a semantic query.
+     * @returns {Promise<Object[]>} Highlighted matches in document order.
      * @private
      */
-    updateHighlights() {
-        this.highlightElements.forEach(el => {
-            const matchIndex = this.currentMatches.findIndex(match => {
-                const elements = match.matchedElements || match.spans || match.nodes;
-                return elements.includes(el.nodeType === Node.TEXT_NODE ? el.parentElement : el);
+    async findMatches(chunks, parsedQuery, mode, isActive, synonyms = []) {
+        if (mode === 'semantic' && synonyms.length) {
+            const matches = await this.findMatches(chunks, parsedQuery, mode, isActive);
+            return [...matches, ...this.findSynonymMatches(chunks, synonyms, isActive)].sort(compareMatches);
+        }
+        if (parsedQuery.type !== 'term') return this.findBooleanMatches(chunks, parsedQuery, mode, isActive);
+        const query = parsedQuery.text;
+        const modeSettings = this.settings[mode] || this.settings.semantic;
+        const found = [];
+
+        if (mode === 'fuzzy') {
+            const termGroups = parseExtendedQuery(query);
+
+            for (const chunk of chunks) {
+                if (!isActive()) break;
+                const result = extendedMatch(chunk.text, termGroups);
+                if (!result) continue;
+                if (result.positions.length &&
+                    result.score < result.positions.length * SCORE_MATCH * modeSettings.minScoreRatio) {
+                    continue;
+                }
+
+                const pieces = positionsToSpans(result.positions).map(span => ({ span }));
+                const highlights = highlightSpans(chunk.segments, pieces).flat();
+                if (isShowable(chunk, highlights)) {
+                    const span = [result.positions[0], result.positions[result.positions.length - 1] + 1];
+                    found.push({ ...chunk, score: result.score, span, pieces, highlights });
+                }
+            }
+        } else if (mode === 'regex') {
+            const { matches: regexResults, truncated } = await runRegexSearch(
+                query,
+                chunks.map(chunk => chunk.text),
+                modeSettings.timeBudgetMs
+            );
+            if (truncated) this.resultsTruncated = true;
+
+            regexResults.forEach((matches, chunkIndex) => {
+                if (!isActive() || matches.length === 0) return;
+                const chunk = chunks[chunkIndex];
+                const pieces = matches.flatMap((match, matchIndex) =>
+                    splitMatchByGroups(match).map(piece => ({ ...piece, matchIndex }))
+                );
+                const pieceHighlights = highlightSpans(chunk.segments, pieces);
+                const highlightsByMatch = matches.map(() => []);
+                pieces.forEach((piece, i) => highlightsByMatch[piece.matchIndex].push(...pieceHighlights[i]));
+
+                highlightsByMatch.forEach((highlights, matchIndex) => {
+                    if (!isShowable(chunk, highlights)) return;
+                    const { start, end } = matches[matchIndex];
+                    const matchPieces = pieces.filter(piece => piece.matchIndex === matchIndex);
+                    found.push({ ...chunk, span: [start, end], pieces: matchPieces, highlights });
+                });
             });
+        } else if (mode === 'exact') {
+            const queryLower = foldText(query);
 
-            if (matchIndex === this.currentMatchIndex) {
-                const currentMatch = this.currentMatches[this.currentMatchIndex];
-                const chunkElements = currentMatch.matchedElements || currentMatch.spans || currentMatch.nodes;
-                chunkElements.forEach(element => {
-                    const highlightEl = element.nodeType === Node.TEXT_NODE ? element.parentElement : element;
-                    if (highlightEl && highlightEl.classList.contains('fuzzy-search-highlight')) {
-                        highlightEl.classList.add('fuzzy-search-highlight-active');
+            for (const chunk of chunks) {
+                if (!isActive()) break;
+                const textLower = foldText(chunk.text);
+                const pieces = [];
+                for (let idx = textLower.indexOf(queryLower); idx !== -1;
+                    idx = textLower.indexOf(queryLower, idx + queryLower.length)) {
+                    pieces.push({ span: [idx, idx + queryLower.length] });
+                }
+                highlightSpans(chunk.segments, pieces).forEach((highlights, pieceIndex) => {
+                    if (isShowable(chunk, highlights)) {
+                        found.push({ ...chunk, span: pieces[pieceIndex].span, pieces: [pieces[pieceIndex]], highlights });
                     }
                 });
-            } else {
-                el.classList.remove('fuzzy-search-highlight-active');
+            }
+        } else {
+            const results = mode === 'hybrid'
+                ? await this.hybridSearch(query, chunks, isActive)
+                : await this.semanticSearch(query, chunks, isActive);
+
+            for (const { index, score, context } of results) {
+                if (!isActive()) break;
+                const chunk = chunks[index];
+                const pieces = [{ span: [0, chunk.text.length] }];
+                const highlights = highlightSpans(chunk.segments, pieces).flat();
+                if (isShowable(chunk, highlights)) {
+                    found.push({ ...chunk, score, context, span: [0, chunk.text.length], pieces, highlights });
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Finds whole-word occurrences of related words, ignoring case and diacritics like exact mode,
+     * and highlights them in their own color.
+     * @param {Array<{text: string, segments: TextSegment[]}>} chunks - Chunks to search.
+     * @param {string[]} synonyms - The related words.
+     * @param {function(): boolean} isActive - Returns false once the search has been cancelled or superseded.
+     * @returns {Object[]} Highlighted matches, tagged with their word, grouped by chunk.
+     * @private
+     */
+    findSynonymMatches(chunks, synonyms, isActive) {
+        const found = [];
+        const words = synonyms.map(word => ({ word, folded: foldText(word) }));
+        for (const chunk of chunks) {
+            if (!isActive()) break;
+            const textLower = foldText(chunk.text);
+            const pieces = [];
+            for (const { word, folded } of words) {
+                for (let idx = textLower.indexOf(folded); idx !== -1; idx = textLower.indexOf(folded, idx + folded.length)) {
+                    const end = idx + folded.length;
+                    if (WORD_CHAR.test(textLower[idx - 1] || '') || WORD_CHAR.test(textLower[end] || '')) continue;
+                    pieces.push({ span: [idx, end], className: SYNONYM_HIGHLIGHT_CLASS, word });
+                }
+            }
+            // Multi-word synonyms can overlap others; keep the first of overlapping occurrences
+            pieces.sort((a, b) => a.span[0] - b.span[0]);
+            const kept = [];
+            for (const piece of pieces) {
+                if (!kept.length || piece.span[0] >= kept[kept.length - 1].span[1]) kept.push(piece);
+            }
+            highlightSpans(chunk.segments, kept).forEach((highlights, pieceIndex) => {
+                if (isShowable(chunk, highlights)) {
+                    const { span, word } = kept[pieceIndex];
+                    found.push({ ...chunk, span, pieces: [kept[pieceIndex]], highlights, synonym: word });
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Looks up vocabulary words related to the terms of a semantic query, in the search worker or,
+     * if it is unavailable, on the main thread.
+     * @async
+     * @param {import('../utils/queryParser').QueryNode} parsedQuery - The query from {@link parseQuery}.
+     * @returns {Promise<Array<{word: string, similarity: number}>>} Related words, most similar first; empty on failure.
+     * @private
+     */
+    async findRelatedWords(parsedQuery) {
+        const k = this.settings.semantic.synonyms;
+        const text = queryLeaves(parsedQuery).filter(leaf => leaf.type === 'term').map(leaf => leaf.text).join(' ');
+        if (!k || !text) return [];
+        try {
+            return await this.searchWorker.nearestWords(text, k);
+        } catch (error) {
+            console.warn('Search worker failed, finding related words on main thread:', error);
+        }
+        try {
+            return await this.similaritySearch.nearestWords(text, k);
+        } catch (error) {
+            console.warn('Could not find related words:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Evaluates a boolean query chunk by chunk, producing one match per matching chunk.
+     * Terms are matched by the mode and quoted phrases literally. Regex terms run in the worker
+     * up front; semantic and hybrid terms are scored last and only on chunks the literal parts of
+     * the query allow.
+     * @async
+     * @param {Array<{text: string, segments: TextSegment[]}>} chunks - Chunks to search.
+     * @param {import('../utils/queryParser').QueryNode} parsedQuery - The query from {@link parseQuery}.
+     * @param {string} mode - Search mode: 'semantic', 'hybrid', 'exact', 'fuzzy' or 'regex'.
+     * @param {function(): boolean} isActive - Returns false once the search has been cancelled or superseded.
+     * @returns {Promise<Object[]>} Highlighted matches in document order.
+     * @private
+     */
+    async findBooleanMatches(chunks, parsedQuery, mode, isActive) {
+        const modeSettings = this.settings[mode] || this.settings.semantic;
+        const terms = queryLeaves(parsedQuery).filter(leaf => leaf.type === 'term');
+        const texts = chunks.map(chunk => chunk.text);
+        /** @type {Map<Object, Array>} Per-term lookups: regex matches or fzf term groups */
+        const termData = new Map();
+
+        if (mode === 'regex') {
+            for (const term of terms) {
+                const { matches, truncated } = await runRegexSearch(term.text, texts, modeSettings.timeBudgetMs);
+                if (truncated) this.resultsTruncated = true;
+                termData.set(term, matches);
+            }
+        } else if (mode === 'fuzzy') {
+            terms.forEach(term => termData.set(term, parseExtendedQuery(term.text)));
+        }
+
+        const findOccurrences = (text, needle) => {
+            const textLower = foldText(text);
+            const needleLower = foldText(needle);
+            const spans = [];
+            for (let idx = textLower.indexOf(needleLower); idx !== -1;
+                idx = textLower.indexOf(needleLower, idx + needleLower.length)) {
+                spans.push([idx, idx + needleLower.length]);
+            }
+            return spans.length ? { spans, score: spans.length } : null;
+        };
+
+        const resolveLeaf = (leaf, chunkIndex) => {
+            const text = texts[chunkIndex];
+            if (leaf.type === 'phrase' || mode === 'exact') return findOccurrences(text, leaf.text);
+            if (mode === 'regex') {
+                const matches = termData.get(leaf)[chunkIndex];
+                return matches.length
+                    ? { spans: matches.map(({ start, end }) => [start, end]), score: matches.length }
+                    : null;
+            }
+            if (mode === 'fuzzy') {
+                const result = extendedMatch(text, termData.get(leaf));
+                if (!result || (result.positions.length &&
+                    result.score < result.positions.length * SCORE_MATCH * modeSettings.minScoreRatio)) {
+                    return null;
+                }
+                return { spans: positionsToSpans(result.positions), score: result.score };
+            }
+            // Semantic and hybrid hits cover the whole chunk, as in plain searches of those modes
+            const score = termData.get(leaf)?.get(chunkIndex);
+            if (score === undefined) return termData.has(leaf) ? null : undefined;
+            return { spans: [[0, text.length]], score };
+        };
+
+        if (mode === 'semantic' || mode === 'hybrid') {
+            const rank = mode === 'hybrid' ? this.hybridSearch : this.semanticSearch;
+            for (const term of terms) {
+                const candidates = chunks
+                    .map((chunk, index) => index)
+                    .filter(index => couldMatch(parsedQuery, leaf => resolveLeaf(leaf, index)) !== false);
+                const results = await rank.call(this, term.text, candidates.map(index => chunks[index]), isActive);
+                termData.set(term, new Map(results.map(({ index, score }) => [candidates[index], score ?? 0])));
+                if (!isActive()) return [];
+            }
+        }
+
+        const found = [];
+        chunks.forEach((chunk, chunkIndex) => {
+            if (!isActive()) return;
+            const result = evaluateQuery(parsedQuery, chunk.text, leaf => resolveLeaf(leaf, chunkIndex));
+            if (!result || !result.spans.length) return;
+            const pieces = result.spans.map(span => ({ span }));
+            const highlights = highlightSpans(chunk.segments, pieces).flat();
+            if (isShowable(chunk, highlights)) {
+                const span = [result.spans[0][0], result.spans[result.spans.length - 1][1]];
+                found.push({ ...chunk, score: result.score, span, pieces, highlights });
             }
         });
+        return found;
     }
 
     /**
-     * Scrolls the viewport to the current match.
+     * Scores chunks semantically in the search worker, which ranks them and keeps the best
+     * results, including the `semantic.topK` most similar chunks even below the threshold.
+     * Falls back to batch scoring on the main thread if the worker is unavailable.
+     * @async
+     * @param {string} query - The sanitized search query.
+     * @param {Array<{text: string}>} chunks - Chunks produced by {@link ContentSearchManager#processPage}.
+     * @param {function(): boolean} [isActive] - Returns false once the search has been cancelled.
+     * @returns {Promise<Array<{index: number, score?: number, context?: string}>>} Matching chunk indices in document order.
+     * @private
+     */
+    async semanticSearch(query, chunks, isActive = () => this.isSearching) {
+        const { subChunkWords, topK } = this.settings.semantic;
+        const { provider, useThreshold } = this.settings.embedding;
+        const threshold = provider === 'use' ? useThreshold : this.settings.semantic.threshold;
+        try {
+            const results = await this.searchWorker.search(
+                query,
+                chunks.map((chunk, index) => ({ index, text: chunk.text })),
+                threshold,
+                topK
+            );
+            return results.sort((a, b) => a.index - b.index);
+        } catch (error) {
+            console.warn('Search worker failed, scoring on main thread:', error);
+        }
+
+        if (!isActive()) return [];
+        const results = await this.similaritySearch.search(query, chunks.map(chunk => chunk.text), {
+            threshold,
+            chunkSize: subChunkWords,
+            topK
+        });
+        return results.map(({ index, similarity }) => ({ index, score: similarity }));
+    }
+
+    /**
+     * Ranks chunks by both BM25 and embedding similarity and fuses the two rankings with reciprocal
+     * rank fusion, so chunks that contain the query's words and chunks that only paraphrase it both
+     * come up. Chunks containing a query word or reaching `hybrid.minSimilarity` are kept, best fused
+     * score first up to `hybrid.maxResults`; the per-signal scores are logged at debug level.
+     * @async
+     * @param {string} query - The sanitized search query.
+     * @param {Array<{text: string}>} chunks - Chunks produced by {@link ContentSearchManager#processPage}.
+     * @param {function(): boolean} [isActive] - Returns false once the search has been cancelled.
+     * @returns {Promise<Array<{index: number, score: number}>>} Matching chunk indices in document order,
+     *     scored by their fused score.
+     * @private
+     */
+    async hybridSearch(query, chunks, isActive = () => this.isSearching) {
+        const { minSimilarity, rrfK, maxResults } = this.settings.hybrid;
+        const texts = chunks.map(chunk => chunk.text);
+        const lexical = bm25Scores(query, texts);
+
+        let similarities = null;
+        try {
+            similarities = await this.searchWorker.score(query, texts.map((text, index) => ({ index, text })));
+        } catch (error) {
+            console.warn('Search worker failed, scoring on main thread:', error);
+        }
+        if (!isActive()) return [];
+        if (!similarities) {
+            const scores = await this.similaritySearch.similarities(query, texts, this.settings.semantic.subChunkWords);
+            // Chunks without an embedding score 0, as in the worker
+            similarities = scores ? scores.map(score => Math.max(score, 0)) : new Float32Array(texts.length);
+        }
+
+        const lexicalRanking = rankByScore(lexical, score => score > 0);
+        const semanticRanking = rankByScore(similarities, score => score !== 0);
+        const fused = reciprocalRankFusion([lexicalRanking, semanticRanking], rrfK);
+
+        const results = rankByScore(texts.map((text, index) => fused.get(index) || 0), (score, index) =>
+            lexical[index] > 0 || similarities[index] >= minSimilarity
+        ).slice(0, maxResults).map(index => ({ index, score: fused.get(index) }));
+
+        const lexicalRanks = new Map(lexicalRanking.map((index, rank) => [index, rank + 1]));
+        const semanticRanks = new Map(semanticRanking.map((index, rank) => [index, rank + 1]));
+        console.debug(`Hybrid search for "${query}": ${results.length} of ${chunks.length} chunks`, results.map(({ index, score }) => ({
+            chunk: index,
+            bm25: lexical[index],
+            bm25Rank: lexicalRanks.get(index) ?? null,
+            similarity: similarities[index],
+            semanticRank: semanticRanks.get(index) ?? null,
+            rrf: score,
+            text: texts[index].slice(0, 60)
+        })));
+
+        return results.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Updates highlight styles to reflect the current match.
+     * @private
+     */
+    updateHighlights() {
+        const match = this.currentMatches[this.currentMatchIndex];
+        setActiveHighlights(match ? match.highlights : []);
+    }
+
+    /**
+     * Scrolls the viewport to the current match. For a match on a PDF page that is not rendered,
+     * the viewer scrolls to the match's box right away and draws the page, which adds its highlights.
      * @private
      */
     scrollToCurrentMatch() {
         if (this.currentMatchIndex >= 0 && this.currentMatches.length > 0) {
             const match = this.currentMatches[this.currentMatchIndex];
-            const nodes = match.spans || match.matchedElements || match.nodes;
-            scrollToMatch(nodes, 0);
+            if (!match.highlights.length && match.page && this.pdfSource) {
+                const { page, box } = match;
+                const scrolled = box ? this.pdfSource.scrollToRect(page, box) : Promise.resolve();
+                scrolled.then(() => this.pdfSource.renderPage(page)).then(() => {
+                    if (this.currentMatches[this.currentMatchIndex] === match) scrollToMatch(match.highlights, 0);
+                }).catch(error => console.warn(`Could not render page ${page}:`, error));
+                return;
+            }
+            scrollToMatch(match.highlights, 0);
         }
     }
 
     /**
-     * Navigates to the next match in the list.
+     * Summarizes the current matches for the popup results list.
+     * @returns {ResultSummary[]} One summary per match, in document order.
      */
-    nextMatch() {
-        if (this.currentMatches.length === 0) return;
-        this.currentMatchIndex = (this.currentMatchIndex + 1) % this.currentMatches.length;
+    getResultSummaries() {
+        return this.currentMatches.map((match, index) => ({
+            index,
+            snippet: buildSnippet(match.text, match.span[0], match.span[1]),
+            score: match.score ?? null,
+            page: match.page ?? null,
+            synonym: match.synonym ?? null,
+            section: match.heading?.text ?? null
+        }));
+    }
+
+    /**
+     * Makes the match at the given index current, scrolls to it and notifies the popup.
+     * @param {number} index - Index of the match in document order.
+     */
+    goToMatch(index) {
+        if (index < 0 || index >= this.currentMatches.length) return;
+        this.currentMatchIndex = index;
         this.updateHighlights();
         this.scrollToCurrentMatch();
         chrome.runtime.sendMessage({
@@ -298,24 +945,180 @@ class ContentSearchManager {
         });
     }
 
+    /**
+     * Navigates to the next match in the list.
+     */
+    nextMatch() {
+        if (this.currentMatches.length === 0) return;
+        this.goToMatch((this.currentMatchIndex + 1) % this.currentMatches.length);
+    }
+
+    /**
+     * Navigates to the first match on a later PDF page than the current match, wrapping around to
+     * the first match. Pages that are not rendered are drawn on the way.
+     */
+    nextPageMatch() {
+        if (this.currentMatches.length === 0) return;
+        const page = this.currentMatches[this.currentMatchIndex]?.page ?? 0;
+        const next = this.currentMatches.findIndex(match => match.page > page);
+        this.goToMatch(Math.max(next, 0));
+    }
+
     /**
      * Navigates to the previous match in the list.
      */
     previousMatch() {
         if (this.currentMatches.length === 0) return;
-        this.currentMatchIndex = (this.currentMatches.length + this.currentMatchIndex - 1) % this.currentMatches.length;
-        this.updateHighlights();
-        this.scrollToCurrentMatch();
-        chrome.runtime.sendMessage({
-            type: 'MATCH_UPDATE',
-            currentIndex: this.currentMatchIndex,
-            totalMatches: this.currentMatches.length
-        });
+        this.goToMatch((this.currentMatches.length + this.currentMatchIndex - 1) % this.currentMatches.length);
+    }
+
+    /**
+     * Starts watching the page so the matches of the last search follow content added, edited
+     * or removed by infinite scroll, chat apps and SPA route changes.
+     * Requires the CSS Custom Highlight API: the span fallback edits the DOM itself.
+     */
+    startLiveUpdates() {
+        if (!this.settings.live.enabled || !this.activeSearch || this.observer || !document.body) return;
+        // PDFs do not change; the viewer drawing and freeing pages is followed by updatePdfPage
+        if (getPdfSource()) return;
+        if (!supportsHighlightApi) {
+            console.log('Live updates need the CSS Custom Highlight API; matches will not follow page changes');
+            return;
+        }
+        this.observer = new MutationObserver(records => this.queueMutations(records));
+        this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        console.log('Live updates started');
+    }
+
+    /**
+     * Stops watching the page and discards any update still in progress.
+     */
+    stopLiveUpdates() {
+        this.searchGeneration++;
+        clearTimeout(this.liveUpdateTimeout);
+        this.pendingRoots.clear();
+        this.changedNodes.clear();
+        if (!this.observer) return;
+        this.observer.disconnect();
+        this.observer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        console.log('Live updates stopped');
+    }
+
+    /**
+     * Records the subtrees touched by a batch of mutations and schedules a re-index.
+     * @param {MutationRecord[]} records - Mutations reported by the observer.
+     * @private
+     */
+    queueMutations(records) {
+        for (const record of records) {
+            if (record.type === 'characterData') {
+                this.changedNodes.add(record.target);
+                this.pendingRoots.add(record.target);
+            } else {
+                // Removed nodes need no bookkeeping: their matches fail the intact check
+                record.addedNodes.forEach(node => this.pendingRoots.add(node));
+            }
+        }
+        this.scheduleLiveUpdate();
+    }
+
+    /**
+     * Debounces live updates so bursts of mutations are indexed together.
+     * @private
+     */
+    scheduleLiveUpdate() {
+        clearTimeout(this.liveUpdateTimeout);
+        this.liveUpdateTimeout = setTimeout(() => this.applyLiveUpdate(), this.settings.live.debounceMs);
+    }
+
+    /**
+     * Re-indexes the changed subtrees: drops matches whose text changed or went away,
+     * searches new and edited text, and merges the results in document order.
+     * The current match stays current unless it was removed. Background tabs wait until they are visible.
+     * @async
+     * @private
+     */
+    async applyLiveUpdate() {
+        if (!this.observer || document.hidden) return;
+        if (this.isSearching || this.isUpdating) {
+            this.scheduleLiveUpdate();
+            return;
+        }
+
+        const generation = this.searchGeneration;
+        const roots = this.pendingRoots;
+        const changedNodes = this.changedNodes;
+        this.pendingRoots = new Set();
+        this.changedNodes = new Set();
+        this.isUpdating = true;
+
+        try {
+            // A stale match invalidates its whole chunk, whose remaining text is searched again
+            const staleChunks = new Set(this.currentMatches
+                .filter(match => !isMatchIntact(match, changedNodes))
+                .map(match => match.segments));
+            const kept = [];
+            for (const match of this.currentMatches) {
+                if (staleChunks.has(match.segments)) removeHighlights(match.highlights);
+                else kept.push(match);
+            }
+
+            const { query, mode, inScope, synonyms } = this.activeSearch;
+            const candidates = new Set();
+            staleChunks.forEach(segments => segments.forEach(({ node }) => candidates.add(node)));
+            for (const root of roots) {
+                if (root.nodeType === Node.TEXT_NODE) candidates.add(root);
+                else if (root.nodeType === Node.ELEMENT_NODE && root.isConnected) {
+                    this.getAllTextNodes(root, inScope).forEach(node => candidates.add(node));
+                }
+            }
+            const keptNodes = new Set(kept.flatMap(match => match.segments.map(({ node }) => node)));
+            const textNodes = sortByDocumentOrder([...candidates].filter(node =>
+                node.isConnected && !keptNodes.has(node) && (!inScope || inScope(node)) && isVisibleTextNode(node)
+            ));
+
+            const chunkWords = (this.settings[mode] || this.settings.semantic).chunkWords;
+            const added = textNodes.length
+                ? await this.findMatches(chunkTextNodes(textNodes, chunkWords), query, mode,
+                    () => generation === this.searchGeneration, synonyms)
+                : [];
+            if (generation !== this.searchGeneration) {
+                added.forEach(match => removeHighlights(match.highlights));
+                return;
+            }
+            if (staleChunks.size === 0 && added.length === 0) return;
+
+            const current = this.currentMatches[this.currentMatchIndex];
+            this.currentMatches = [...kept, ...added].sort(compareMatches);
+            const currentIndex = this.currentMatches.indexOf(current);
+            this.currentMatchIndex = currentIndex !== -1
+                ? currentIndex
+                : Math.min(Math.max(this.currentMatchIndex, 0), this.currentMatches.length - 1);
+            this.updateHighlights();
+            console.debug(`Live update: ${staleChunks.size} stale chunk(s), ${added.length} new match(es)`);
+
+            chrome.runtime.sendMessage({
+                type: 'SEARCH_PROGRESS',
+                count: this.currentMatches.length,
+                currentIndex: this.currentMatchIndex,
+                totalMatches: this.currentMatches.length,
+                truncated: this.resultsTruncated,
+                results: this.getResultSummaries()
+            });
+        } catch (error) {
+            console.error('Live update failed:', error);
+        } finally {
+            this.isUpdating = false;
+        }
     }
 }
 
 // Singleton instance of the search manager
 let searchManager = null;
+// Resolves once initializeExtension has finished, successfully or not
+let extensionReady = null;
 
 // Initialization logic to prevent multiple instances
 if (!window.browserFzfInitialized) {
@@ -338,21 +1141,7 @@ if (!window.browserFzfInitialized) {
             searchManager = new ContentSearchManager();
             await searchManager.initialize();
 
-            // Inject CSS styles for highlighting with lighter colors
-            const style = document.createElement('style');
-            style.textContent = `
-                .fuzzy-search-highlight {
-                    background-color: #A0AEC0 !important; /* Light gray for better readability */
-                    padding: 1px;
-                }
-                .fuzzy-search-highlight-active {
-                    background-color: #BBDEFB !important; /* Light blue for active highlight */
-                    color: #000000 !important; /* Black text for contrast */
-                    padding: 1px;
-                }
-            `;
-            document.head.appendChild(style);
-            console.log('Highlight CSS injected');
+            injectHighlightStyles();
 
             if (chrome?.runtime) {
                 chrome.runtime.sendMessage({ type: 'CONTENT_SCRIPT_READY' });
@@ -376,15 +1165,19 @@ if (!window.browserFzfInitialized) {
                 sendResponse({ selection });
                 return true;
             }
-            if (!searchManager) {
-                sendResponse({ success: false, error: 'Search manager not initialized' });
-                return true;
-            }
             (async () => {
+                // A freshly injected script may still be loading its model
+                if (!searchManager) await extensionReady;
+                if (!searchManager) {
+                    sendResponse({ success: false, error: 'Search manager not initialized' });
+                    return;
+                }
                 try {
                     switch (request.type) {
                         case 'START_SEARCH':
-                            const result = await searchManager.search(request.query, request.mode);
+                            const result = await searchManager.search(request.query, request.mode, request.filter, request.synonyms, {
+                                liveUpdates: request.liveUpdates !== false
+                            });
                             sendResponse({ success: true, ...result });
                             break;
                         case 'NEXT_MATCH':
@@ -395,9 +1188,20 @@ if (!window.browserFzfInitialized) {
                             searchManager.previousMatch();
                             sendResponse({ success: true });
                             break;
+                        case 'NEXT_PAGE_MATCH':
+                            searchManager.nextPageMatch();
+                            sendResponse({ success: true });
+                            break;
+                        case 'JUMP_TO_MATCH':
+                            searchManager.goToMatch(request.index);
+                            sendResponse({ success: true });
+                            break;
                         case 'CANCEL_SEARCH':
                             searchManager.isSearching = false;
+                            searchManager.activeSearch = null;
+                            searchManager.stopLiveUpdates();
                             clearHighlights();
+                            searchManager.pdfSource?.showMatches([]);
                             searchManager.similaritySearch.dispose();
                             sendResponse({ success: true });
                             break;
@@ -410,5 +1214,7 @@ if (!window.browserFzfInitialized) {
         });
     }
 
-    initializeExtension();
+    // Tracked from the start so the selection filter can fall back to a click made before searching
+    trackClickedElements();
+    extensionReady = initializeExtension();
 }
\ No newline at end of file
@@ -1,65 +1,198 @@
+/* global Highlight */
 /**
- * Base CSS class for highlighted elements.
+ * Base CSS class (and highlight name) for highlighted matches.
  * @constant {string}
  */
 const HIGHLIGHT_CLASS = 'fuzzy-search-highlight';
 
 /**
- * CSS class for the currently active highlighted element.
+ * CSS class (and highlight name) for the currently active match.
  * @constant {string}
  */
 const ACTIVE_HIGHLIGHT_CLASS = 'fuzzy-search-highlight-active';
 
 /**
- * Highlights a DOM node by wrapping it in a styled span or adding a class.
- * @function highlight
- * @param {Node} node - The DOM node to highlight (text or element).
- * @returns {HTMLElement|null} The highlighted element, or null if highlighting fails.
+ * CSS class (and highlight name) for highlighted regex capture groups.
+ * @constant {string}
+ */
+export const GROUP_HIGHLIGHT_CLASS = 'fuzzy-search-highlight-group';
+
+/**
+ * CSS class (and highlight name) for exact matches of related words added to a semantic search.
+ * @constant {string}
+ */
+export const SYNONYM_HIGHLIGHT_CLASS = 'fuzzy-search-highlight-synonym';
+
+/**
+ * A highlighted piece of text: a Range when the CSS Custom Highlight API is
+ * available, otherwise the span wrapping the text.
+ * @typedef {Range|HTMLElement} HighlightHandle
+ */
+
+/**
+ * Whether the CSS Custom Highlight API can be used on this page.
+ * When false, highlighting falls back to wrapping matches in spans, which changes the DOM.
+ * @constant {boolean}
+ */
+export const supportsHighlightApi = typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight === 'function';
+
+/**
+ * Highlight registries keyed by highlight name, used when the API is available.
+ * @type {Map<string, Highlight>}
+ */
+const registries = new Map();
+
+/**
+ * Returns the registry for a highlight name, registering it with the page on first use.
+ * @param {string} name - The highlight name.
+ * @returns {Highlight} The registry for that name.
+ * @private
+ */
+function getRegistry(name) {
+    if (!registries.has(name)) {
+        const registry = new Highlight();
+        // Active matches paint above group and synonym highlights, which paint above plain ones
+        registry.priority = name === ACTIVE_HIGHLIGHT_CLASS ? 2 : name === HIGHLIGHT_CLASS ? 0 : 1;
+        registries.set(name, registry);
+        CSS.highlights.set(name, registry);
+    }
+    return registries.get(name);
+}
+
+/**
+ * Injects the styles used by both highlighting backends into the page.
+ * @function injectHighlightStyles
+ */
+export function injectHighlightStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+        .${HIGHLIGHT_CLASS}, ::highlight(${HIGHLIGHT_CLASS}) {
+            background-color: #A0AEC0 !important; /* Light gray for better readability */
+        }
+        .${HIGHLIGHT_CLASS} {
+            padding: 1px;
+        }
+        .${GROUP_HIGHLIGHT_CLASS}, ::highlight(${GROUP_HIGHLIGHT_CLASS}) {
+            background-color: #FFE082 !important; /* Amber for regex capture groups */
+        }
+        .${SYNONYM_HIGHLIGHT_CLASS}, ::highlight(${SYNONYM_HIGHLIGHT_CLASS}) {
+            background-color: #C5E1A5 !important; /* Light green for related words */
+        }
+        .${ACTIVE_HIGHLIGHT_CLASS}, ::highlight(${ACTIVE_HIGHLIGHT_CLASS}) {
+            background-color: #BBDEFB !important; /* Light blue for active highlight */
+            color: #000000 !important; /* Black text for contrast */
+        }
+    `;
+    document.head.appendChild(style);
+    console.log(`Highlight CSS injected (${supportsHighlightApi ? 'CSS Custom Highlight API' : 'span fallback'})`);
+}
+
+/**
+ * Highlights a character range inside a text node without touching the DOM when possible.
+ * In the span fallback the node is split, so ranges in the same node must be
+ * highlighted from last to first to keep earlier offsets valid.
+ * @function highlightRange
+ * @param {Text} node - The text node containing the match.
+ * @param {number} start - Offset of the first matched character.
+ * @param {number} end - Offset after the last matched character.
+ * @param {string} [extraClass] - Additional highlight name, e.g. {@link GROUP_HIGHLIGHT_CLASS} or {@link SYNONYM_HIGHLIGHT_CLASS}.
+ * @returns {HighlightHandle|null} The highlight, or null if highlighting fails.
  */
-export function highlight(node) {
-    if (!node) {
-        console.warn('Invalid node provided for highlighting:', node);
+export function highlightRange(node, start, end, extraClass) {
+    if (!node || node.nodeType !== Node.TEXT_NODE || !node.parentNode) {
+        console.warn('Invalid text node provided for range highlighting:', node);
         return null;
     }
 
     try {
-        if (node.nodeType === Node.TEXT_NODE) {
-            const parent = node.parentNode;
-            if (!parent) {
-                console.warn('No parent for text node');
-                return null;
-            }
-            if (parent.classList.contains(HIGHLIGHT_CLASS)) return parent;
-
-            const span = document.createElement('span');
-            span.className = HIGHLIGHT_CLASS;
-            span.setAttribute('data-wrapper', 'true');
-            span.setAttribute('aria-label', 'Highlighted search result');
-            parent.insertBefore(span, node);
-            span.appendChild(node);
-            console.log('Highlighted text node:', span);
-            return span;
-        } else if (node.nodeType === Node.ELEMENT_NODE) {
-            if (!node.classList.contains(HIGHLIGHT_CLASS)) {
-                node.classList.add(HIGHLIGHT_CLASS);
-                node.setAttribute('aria-label', 'Highlighted search result');
-            }
-            console.log('Highlighted element:', node);
-            return node;
+        const length = node.textContent.length;
+        if (start < 0 || end > length || start >= end) return null;
+
+        if (supportsHighlightApi) {
+            const range = new Range();
+            range.setStart(node, start);
+            range.setEnd(node, end);
+            getRegistry(extraClass || HIGHLIGHT_CLASS).add(range);
+            return range;
         }
-        return null;
+        return wrapRange(node, start, end, extraClass);
     } catch (error) {
-        console.error('Highlighting error:', error);
+        console.error('Range highlighting error:', error);
         return null;
     }
 }
 
 /**
- * Removes all highlights from the document, restoring original DOM structure.
+ * Fallback for browsers without the Highlight API: splits the text node and wraps the match in a span.
+ * @param {Text} node - The text node containing the match.
+ * @param {number} start - Offset of the first matched character.
+ * @param {number} end - Offset after the last matched character.
+ * @param {string} [extraClass] - Additional class for the wrapper.
+ * @returns {HTMLElement} The wrapping span.
+ * @private
+ */
+function wrapRange(node, start, end, extraClass) {
+    const parent = node.parentNode;
+    const length = node.textContent.length;
+    if (start === 0 && end === length && !extraClass && parent.classList?.contains(HIGHLIGHT_CLASS)) {
+        return parent;
+    }
+
+    const matched = start > 0 ? node.splitText(start) : node;
+    if (end < length) matched.splitText(end - start);
+
+    const span = document.createElement('span');
+    span.className = extraClass ? `${HIGHLIGHT_CLASS} ${extraClass}` : HIGHLIGHT_CLASS;
+    span.setAttribute('data-wrapper', 'true');
+    span.setAttribute('aria-label', 'Highlighted search result');
+    matched.parentNode.insertBefore(span, matched);
+    span.appendChild(matched);
+    return span;
+}
+
+/**
+ * Marks the given highlights as the active match, clearing the previous active match.
+ * @function setActiveHighlights
+ * @param {HighlightHandle[]} handles - Highlights belonging to the active match.
+ */
+export function setActiveHighlights(handles = []) {
+    if (supportsHighlightApi) {
+        const active = getRegistry(ACTIVE_HIGHLIGHT_CLASS);
+        active.clear();
+        handles.forEach(handle => {
+            if (handle instanceof Range) active.add(handle);
+        });
+        return;
+    }
+    document.querySelectorAll(`.${ACTIVE_HIGHLIGHT_CLASS}`)
+        .forEach(el => el.classList.remove(ACTIVE_HIGHLIGHT_CLASS));
+    handles.forEach(handle => handle.classList?.add(ACTIVE_HIGHLIGHT_CLASS));
+}
+
+/**
+ * Removes specific highlights, leaving every other highlight in place.
+ * In the span fallback, split text nodes are not merged back so that other matches keep valid nodes.
+ * @function removeHighlights
+ * @param {HighlightHandle[]} handles - Highlights to remove.
+ */
+export function removeHighlights(handles = []) {
+    for (const handle of handles) {
+        if (handle instanceof Range) {
+            registries.forEach(registry => registry.delete(handle));
+        } else if (handle?.hasAttribute?.('data-wrapper') && handle.parentNode) {
+            handle.replaceWith(...handle.childNodes);
+        }
+    }
+}
+
+/**
+ * Removes all highlights from the document, restoring original DOM structure in the fallback.
  * @function clearHighlights
  */
 export function clearHighlights() {
     try {
+        registries.forEach(registry => registry.clear());
+
         const highlights = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
         highlights.forEach(highlight => {
             if (highlight.hasAttribute('data-wrapper')) {
@@ -69,6 +202,8 @@ export function clearHighlights() {
                         parent.insertBefore(highlight.firstChild, highlight);
                     }
                     parent.removeChild(highlight);
+                    // Merge text nodes split by range highlighting back together
+                    parent.normalize();
                 }
             } else {
                 highlight.classList.remove(HIGHLIGHT_CLASS, ACTIVE_HIGHLIGHT_CLASS);
@@ -98,39 +233,29 @@ function debounce(func, wait) {
 }
 
 /**
- * Scrolls the viewport to a specific match, applying active highlight styling.
+ * Scrolls the viewport to a specific match and marks it as active.
  * Debounced to prevent excessive scroll events.
  * @function scrollToMatch
- * @param {Node[]} nodes - Array of DOM nodes representing the match.
- * @param {number} [activeIndex=0] - Index of the node to mark as active.
+ * @param {HighlightHandle[]} handles - Highlights representing the match.
+ * @param {number} [activeIndex=0] - Index of the highlight to scroll into view.
  */
-export const scrollToMatch = debounce((nodes, activeIndex = 0) => {
-    if (!nodes?.length) {
-        console.warn('Invalid nodes array for scrolling');
+export const scrollToMatch = debounce((handles, activeIndex = 0) => {
+    if (!handles?.length) {
+        console.warn('Invalid highlights array for scrolling');
         return;
     }
 
     try {
-        const activeHighlights = document.querySelectorAll(`.${ACTIVE_HIGHLIGHT_CLASS}`);
-        activeHighlights.forEach(el => el.classList.remove(ACTIVE_HIGHLIGHT_CLASS));
-
-        const highlightElements = nodes.map((node, index) => {
-            let element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
-            if (element && !element.classList.contains(HIGHLIGHT_CLASS)) {
-                element.classList.add(HIGHLIGHT_CLASS);
-            }
-            if (index === activeIndex && element) {
-                element.classList.add(ACTIVE_HIGHLIGHT_CLASS);
-            }
-            return element;
-        }).filter(Boolean);
-
-        if (highlightElements.length > 0 && activeIndex >= 0 && activeIndex < highlightElements.length) {
-            const activeElement = highlightElements[activeIndex];
-            activeElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            console.log('Scrolled to match:', activeElement);
+        setActiveHighlights(handles);
+        const target = handles[Math.min(Math.max(activeIndex, 0), handles.length - 1)];
+        const element = target instanceof Range
+            ? target.startContainer.parentElement
+            : target;
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            console.log('Scrolled to match:', element);
         }
     } catch (error) {
         console.error('Scroll to match error:', error);
     }
-}, 100);
\ No newline at end of file
+}, 100);
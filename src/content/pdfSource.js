@@ -0,0 +1,39 @@
+/**
+ * Text and rendering of the PDF shown by the extension's viewer, which only draws the pages near
+ * the viewport. The content script searches the text of every page through it, and has a page
+ * rendered to highlight and scroll to a match on it.
+ * @typedef {Object} PdfSource
+ * @property {number} numPages - Number of pages.
+ * @property {function(number): Promise<Object[]>} getTextItems - Text items of a page (1-based)
+ *     from `getTextContent`, aligned with the page's text layer spans.
+ * @property {function(number): HTMLElement[]|null} getTextDivs - Text layer spans of a rendered page,
+ *     one per text item; null while the page is not rendered.
+ * @property {function(number): Promise<void>} renderPage - Renders a page, wherever it is scrolled.
+ * @property {function(number, number[]): Promise<void>} scrollToRect - Scrolls to a rectangle of a page,
+ *     given in PDF user space, whether or not the page is rendered.
+ * @property {function(string, function(number)): function()} on - Subscribes to 'pagerendered' or
+ *     'pagereleased' with a callback taking the page number; returns a function that unsubscribes.
+ * @property {function(Array<{page: number, score: number|null}>): void} showMatches - Reports the
+ *     matches of a search, to show which pages and sections hold them; an empty list clears them.
+ */
+
+/** @type {PdfSource|null} The viewer of the current document */
+let pdfSource = null;
+
+/**
+ * Makes a PDF viewer the source of the text searched in this document.
+ * @function registerPdfSource
+ * @param {PdfSource} source - The viewer.
+ */
+export function registerPdfSource(source) {
+    pdfSource = source;
+}
+
+/**
+ * Returns the PDF viewer of this document, if it is one.
+ * @function getPdfSource
+ * @returns {PdfSource|null} The viewer, or null on web pages.
+ */
+export function getPdfSource() {
+    return pdfSource;
+}
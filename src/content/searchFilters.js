@@ -0,0 +1,73 @@
+/**
+ * Selectors for the built-in element filters.
+ * @constant {Object<string, string>}
+ */
+const FILTER_SELECTORS = Object.freeze({
+    headings: 'h1, h2, h3, h4, h5, h6, [role="heading"]',
+    links: 'a[href]',
+    tables: 'td, th, [role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]',
+    code: 'pre, code, kbd, samp'
+});
+
+/**
+ * Restricts a search to part of the page.
+ * @typedef {Object} SearchFilter
+ * @property {'page'|'selection'|'headings'|'links'|'tables'|'code'|'selector'} type - Kind of filter.
+ * @property {string} [selector] - CSS selector for the 'selector' filter.
+ */
+
+/**
+ * The element the user last clicked, used when the selection filter has no selected text.
+ * @type {WeakRef<Element>|null}
+ */
+let lastClicked = null;
+
+/**
+ * Starts remembering the last element clicked on the page.
+ * @function trackClickedElements
+ */
+export function trackClickedElements() {
+    document.addEventListener('pointerdown', event => {
+        if (event.target instanceof Element) lastClicked = new WeakRef(event.target);
+    }, { capture: true, passive: true });
+}
+
+/**
+ * Builds a predicate telling whether a text node is inside the filtered part of the page.
+ * The selection filter uses a snapshot of the current selection, so later clicks do not change it.
+ * @function createFilterPredicate
+ * @param {SearchFilter} [filter] - The filter; the whole page is searched when omitted.
+ * @returns {function(Text): boolean|null} The predicate, or null when the whole page is searched.
+ * @throws {Error} If the custom selector is invalid or there is no selection or clicked element.
+ */
+export function createFilterPredicate(filter) {
+    const type = filter?.type || 'page';
+    if (type === 'page') return null;
+
+    if (type === 'selection') {
+        const selection = window.getSelection();
+        const ranges = [];
+        for (let i = 0; i < (selection?.rangeCount || 0); i++) {
+            const range = selection.getRangeAt(i);
+            if (!range.collapsed) ranges.push(range.cloneRange());
+        }
+        if (ranges.length) return node => ranges.some(range => range.intersectsNode(node));
+
+        const clicked = lastClicked?.deref();
+        if (clicked?.isConnected) return node => clicked.contains(node);
+        throw new Error('Select text or click an element on the page first');
+    }
+
+    let selector = FILTER_SELECTORS[type];
+    if (type === 'selector') {
+        selector = filter.selector?.trim();
+        if (!selector) throw new Error('Enter a CSS selector to search within');
+        try {
+            document.querySelector(selector);
+        } catch {
+            throw new Error(`Invalid CSS selector: ${selector}`);
+        }
+    }
+    if (!selector) throw new Error(`Unknown search filter: ${type}`);
+    return node => !!node.parentElement?.closest(selector);
+}
@@ -0,0 +1,199 @@
+import * as tf from '@tensorflow/tfjs';
+import EmbeddingStore from './embeddingStore';
+
+export { tokenize } from '../utils/unicode';
+
+/**
+ * Loads the word embeddings. For a sharded vocabulary only the hot shard is fetched here; call
+ * {@link EmbeddingStore#ensureTokens} before embedding text to pull in the shards it needs.
+ * Used by the GloVe embedding provider.
+ * @async
+ * @function loadEmbeddings
+ * @param {string} url - URL of the shard index or embeddings file.
+ * @returns {Promise<EmbeddingStore>} The embedding store.
+ * @throws {Error} If the embeddings cannot be fetched or decoded.
+ */
+export function loadEmbeddings(url) {
+    return EmbeddingStore.load(url);
+}
+
+/**
+ * Computes the mean embeddings of several token lists at once: every known word row is fetched with
+ * a single gather, composed n-gram vectors are appended for words in no shard, and the rows are
+ * averaged per list with a segment sum.
+ * @function meanEmbeddingMatrix
+ * @param {EmbeddingStore} store - The embedding store; see {@link EmbeddingStore#ensureTokens}.
+ * @param {string[][]} tokenLists - Token lists produced by {@link tokenize}.
+ * @returns {{matrix: tf.Tensor2D, found: boolean[]}} One row per list, and whether each list had any
+ *     vector; rows of lists without one are zero.
+ */
+export function meanEmbeddingMatrix(store, tokenLists) {
+    const embeddings = store.embeddings;
+    const wordIndices = [];
+    const wordSegments = [];
+    const subwordVectors = [];
+    const subwordSegments = [];
+    const counts = new Float32Array(tokenLists.length);
+    tokenLists.forEach((tokens, segment) => {
+        tokens.forEach(token => {
+            const index = store.indexOf(token);
+            if (Number.isInteger(index) && index < embeddings.shape[0]) {
+                wordIndices.push(index);
+                wordSegments.push(segment);
+            } else {
+                const vector = store.subwordVector(token);
+                if (!vector) return;
+                subwordVectors.push(vector);
+                subwordSegments.push(segment);
+            }
+            counts[segment]++;
+        });
+    });
+
+    const dim = embeddings.shape[1];
+    if (!wordIndices.length && !subwordVectors.length) {
+        return { matrix: tf.zeros([tokenLists.length, dim]), found: tokenLists.map(() => false) };
+    }
+
+    const matrix = tf.tidy(() => {
+        const rows = [tf.gather(embeddings, tf.tensor1d(wordIndices, 'int32'))];
+        if (subwordVectors.length) {
+            const flat = new Float32Array(subwordVectors.length * dim);
+            subwordVectors.forEach((vector, i) => flat.set(vector, i * dim));
+            rows.push(tf.tensor2d(flat, [subwordVectors.length, dim]));
+        }
+        const segments = tf.tensor1d([...wordSegments, ...subwordSegments], 'int32');
+        const sums = tf.unsortedSegmentSum(tf.concat(rows, 0), segments, tokenLists.length);
+        return sums.div(tf.tensor2d(counts.map(count => Math.max(count, 1)), [tokenLists.length, 1]));
+    });
+    return { matrix, found: Array.from(counts, count => count > 0) };
+}
+
+/**
+ * Computes the mean embedding of the tokens, using composed n-gram vectors for words in no shard.
+ * @function meanEmbedding
+ * @param {EmbeddingStore} store - The embedding store; see {@link EmbeddingStore#ensureTokens}.
+ * @param {string[]} tokens - Tokens produced by {@link tokenize}.
+ * @returns {tf.Tensor1D|null} The mean embedding, or null if no token has a vector.
+ */
+export function meanEmbedding(store, tokens) {
+    const { matrix, found } = meanEmbeddingMatrix(store, [tokens]);
+    const embedding = found[0] ? matrix.reshape([-1]) : null;
+    matrix.dispose();
+    return embedding;
+}
+
+/**
+ * Scores every row of an embedding matrix against a query with one matrix product and reads the
+ * scores back in a single download.
+ * @async
+ * @function similarityScores
+ * @param {Float32Array} query - The query embedding.
+ * @param {Array<Float32Array|null>} vectors - Embeddings to score; null entries score 0.
+ * @returns {Promise<Float32Array>} Cosine similarity of each vector to the query.
+ */
+export async function similarityScores(query, vectors) {
+    const scores = new Float32Array(vectors.length);
+    const present = [];
+    vectors.forEach((vector, i) => {
+        if (vector) present.push(i);
+    });
+    if (!present.length) return scores;
+
+    const dim = query.length;
+    const flat = new Float32Array(present.length * dim);
+    present.forEach((i, row) => flat.set(vectors[i], row * dim));
+    const similarities = tf.tidy(() => batchCosineSimilarity(tf.tensor1d(query), tf.tensor2d(flat, [present.length, dim])));
+    const data = await similarities.data();
+    similarities.dispose();
+    present.forEach((i, row) => {
+        scores[i] = isNaN(data[row]) ? 0 : data[row];
+    });
+    return scores;
+}
+
+/**
+ * Picks the positions of the `k` highest scores.
+ * @function topKIndices
+ * @param {ArrayLike<number>} scores - The scores.
+ * @param {number} k - Number of positions to keep.
+ * @returns {number[]} Positions of the best scores, best first.
+ */
+export function topKIndices(scores, k) {
+    if (k <= 0) return [];
+    const top = [];
+    for (let i = 0; i < scores.length; i++) {
+        if (top.length === k && scores[i] <= scores[top[k - 1]]) continue;
+        let position = top.length;
+        while (position > 0 && scores[top[position - 1]] < scores[i]) position--;
+        top.splice(position, 0, i);
+        if (top.length > k) top.pop();
+    }
+    return top;
+}
+
+/**
+ * Finds the loaded vocabulary words closest to a vector, best first.
+ * @async
+ * @function nearestWords
+ * @param {EmbeddingStore} store - The embedding store.
+ * @param {Float32Array} vector - The vector to search around, e.g. a query embedding.
+ * @param {number} k - Number of words to return.
+ * @param {function(string): boolean} [accept] - Filters candidate words, e.g. to skip the query's own words.
+ * @returns {Promise<Array<{word: string, similarity: number}>>} Up to `k` words with their cosine similarity.
+ */
+export async function nearestWords(store, vector, k, accept = () => true) {
+    const rows = store.loadedWords;
+    if (k <= 0 || rows === 0) return [];
+
+    // Rejected words are skipped, so look a few places further than k
+    const { values, indices } = tf.tidy(() => {
+        const similarities = batchCosineSimilarity(tf.tensor1d(vector), store.embeddings);
+        const { values, indices } = tf.topk(similarities, Math.min(rows, k * 4 + 16));
+        return { values, indices };
+    });
+    const [scores, rowIndices] = await Promise.all([values.data(), indices.data()]);
+    values.dispose();
+    indices.dispose();
+
+    const words = [];
+    for (let i = 0; i < rowIndices.length && words.length < k; i++) {
+        const word = store.wordAt(rowIndices[i]);
+        if (word !== undefined && !isNaN(scores[i]) && accept(word)) words.push({ word, similarity: scores[i] });
+    }
+    return words;
+}
+
+/**
+ * Computes cosine similarity between two embedding vectors.
+ * @function cosineSimilarity
+ * @param {tf.Tensor} embedding1 - The first embedding vector.
+ * @param {tf.Tensor} embedding2 - The second embedding vector.
+ * @returns {number} The cosine similarity score (0 if invalid).
+ */
+export function cosineSimilarity(embedding1, embedding2) {
+    if (!embedding1 || !embedding2) return 0;
+    return tf.tidy(() => {
+        const dotProduct = embedding1.dot(embedding2);
+        const norm1 = embedding1.norm();
+        const norm2 = embedding2.norm();
+        const similarity = dotProduct.div(norm1.mul(norm2)).dataSync()[0];
+        return isNaN(similarity) ? 0 : similarity;
+    });
+}
+
+/**
+ * Computes batch cosine similarity between a single embedding and multiple embeddings.
+ * @function batchCosineSimilarity
+ * @param {tf.Tensor} embedding - The reference embedding (e.g., search query).
+ * @param {tf.Tensor} batchEmbeddings - Tensor of embeddings to compare against.
+ * @returns {tf.Tensor} A tensor of similarity scores.
+ */
+export function batchCosineSimilarity(embedding, batchEmbeddings) {
+    return tf.tidy(() => {
+        const dotProduct = tf.matMul(batchEmbeddings, embedding.expandDims(1));
+        const norms = tf.norm(batchEmbeddings, 2, 1);
+        const embeddingNorm = tf.norm(embedding);
+        return dotProduct.reshape([-1]).div(norms.mul(embeddingNorm));
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * Bounded cache of text embeddings, used by the search worker and the main-thread similarity search.
+ * Vectors are plain arrays, so even a full cache holds no backend memory.
+ * @class
+ */
+class EmbeddingCache {
+    /**
+     * Creates an empty cache.
+     * @constructor
+     * @param {number} limit - Maximum number of embeddings kept; the cache is emptied before it would outgrow it.
+     */
+    constructor(limit) {
+        this.limit = limit;
+        /** @type {Map<string, Float32Array>} Embeddings by text */
+        this.vectors = new Map();
+    }
+
+    /**
+     * Number of cached embeddings.
+     * @type {number}
+     */
+    get size() {
+        return this.vectors.size;
+    }
+
+    /**
+     * Checks whether a text's embedding is cached.
+     * @param {string} text - The text.
+     * @returns {boolean} True if it is cached.
+     */
+    has(text) {
+        return this.vectors.has(text);
+    }
+
+    /**
+     * Embeds texts, reusing cached and known embeddings and computing the rest in one batch.
+     * The result is collected apart from the cache, so emptying a full cache to make room for the
+     * new embeddings never loses those of texts that were cached before the call.
+     * @async
+     * @param {string[]} texts - The texts to embed.
+     * @param {function(string[]): Promise<Array<Float32Array|null>>} embedVectors - Computes the embeddings
+     *     of uncached texts, e.g. a provider's `embedVectors`.
+     * @param {Map<string, Float32Array>} [known] - Embeddings already computed for some texts, e.g. from the page index.
+     * @returns {Promise<Array<Float32Array|null>>} One embedding per text, or null where none could be computed.
+     * @throws {Error} If `embedVectors` fails.
+     */
+    async embed(texts, embedVectors, known = new Map()) {
+        /** @type {Map<string, Float32Array>} */
+        const found = new Map();
+        texts.forEach(text => {
+            if (this.vectors.has(text)) found.set(text, this.vectors.get(text));
+        });
+        const missing = [...new Set(texts.filter(text => !found.has(text)))];
+        missing.filter(text => known.has(text)).forEach(text => found.set(text, known.get(text)));
+
+        const toEmbed = missing.filter(text => !known.has(text));
+        const embeddings = toEmbed.length ? await embedVectors(toEmbed) : [];
+        toEmbed.forEach((text, i) => {
+            if (embeddings[i]) found.set(text, embeddings[i]);
+            else console.log(`No embeddings found for text: "${text}"`);
+        });
+
+        const added = missing.filter(text => found.has(text));
+        if (this.vectors.size + added.length > this.limit) this.clear();
+        added.slice(0, this.limit).forEach(text => this.vectors.set(text, found.get(text)));
+        return texts.map(text => found.get(text) || null);
+    }
+
+    /**
+     * Empties the cache.
+     */
+    clear() {
+        this.vectors.clear();
+    }
+}
+
+export default EmbeddingCache;
@@ -0,0 +1,258 @@
+/**
+ * Reader for the compact binary embeddings format written by `scripts/generate-embeddings.js`.
+ *
+ * Layout (little-endian):
+ * | Offset | Type          | Content                                               |
+ * |--------|---------------|-------------------------------------------------------|
+ * | 0      | 4 bytes ASCII | Magic `FZFE`                                          |
+ * | 4      | uint16        | Format version (1)                                    |
+ * | 6      | uint8         | Quantization: 1 = float16, 2 = int8 with row scales   |
+ * | 7      | uint8         | Reserved (0)                                          |
+ * | 8      | uint32        | Vocabulary size                                       |
+ * | 12     | uint32        | Vector dimension                                      |
+ * | 16     | uint32        | String table length in bytes                          |
+ * | 20     | UTF-8         | Words separated by `\n`, in row order                 |
+ * | …      | zero bytes    | Padding to a multiple of 4                            |
+ * | …      | float32[]     | int8 only: one scale per row                          |
+ * | …      | uint16/int8[] | Vectors, row-major                                    |
+ *
+ * Large vocabularies are split into several such files ("shards") by frequency band and described
+ * by a JSON shard index, see {@link ShardIndex}. Each shard except the hot one carries a Bloom
+ * filter of its words so a missing token can be routed to the shard that may hold it. An optional
+ * table of hashed character n-gram vectors in the same format (with an empty string per row) gives
+ * words in no shard a composed vector, see {@link subwordBuckets}.
+ */
+
+/**
+ * Magic bytes at the start of a binary embeddings file ("FZFE").
+ * @constant {number[]}
+ */
+const MAGIC = [0x46, 0x5a, 0x46, 0x45];
+
+/**
+ * Supported format version.
+ * @constant {number}
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Quantization codes stored in the header.
+ * @constant {Object<string, number>}
+ */
+export const QUANTIZATION = Object.freeze({ FLOAT16: 1, INT8: 2 });
+
+/**
+ * Value of the `format` field of a shard index.
+ * @constant {string}
+ */
+export const SHARD_INDEX_FORMAT = 'fzf-embedding-shards';
+
+/**
+ * Size of the fixed header in bytes.
+ * @constant {number}
+ */
+const HEADER_BYTES = 20;
+
+/**
+ * Decoded embeddings, ready to be turned into a tensor.
+ * @typedef {Object} EmbeddingData
+ * @property {string[]} words - Vocabulary in row order.
+ * @property {number} vocabSize - Number of rows.
+ * @property {number} dim - Vector dimension.
+ * @property {Float32Array} vectors - Row-major vectors, `vocabSize * dim` values.
+ */
+
+/**
+ * Bloom filter of the words in a shard.
+ * @typedef {Object} ShardBloom
+ * @property {number} bits - Filter size in bits.
+ * @property {number} hashes - Number of probes per word.
+ * @property {string} data - Base64 of the bit array, least significant bit first.
+ */
+
+/**
+ * One frequency band of a sharded vocabulary.
+ * @typedef {Object} ShardInfo
+ * @property {string} file - Shard file name, relative to the index.
+ * @property {number} start - Frequency rank of the shard's first word.
+ * @property {number} count - Number of words in the shard.
+ * @property {boolean} [hot] - Whether the shard is loaded at startup.
+ * @property {ShardBloom} [bloom] - Filter of the shard's words; shards without one are loaded on any miss.
+ */
+
+/**
+ * Hashed character n-gram table for out-of-vocabulary words.
+ * @typedef {Object} SubwordInfo
+ * @property {string} file - Table file name, relative to the index.
+ * @property {number} buckets - Number of rows in the table.
+ * @property {number} minN - Shortest n-gram.
+ * @property {number} maxN - Longest n-gram.
+ * @property {number[]} mean - Mean word vector; the bucket vectors are centered on it.
+ * @property {number} norm - Mean norm of the centered word vectors, used to rescale composed vectors.
+ */
+
+/**
+ * JSON file describing a sharded vocabulary.
+ * @typedef {Object} ShardIndex
+ * @property {string} format - Always {@link SHARD_INDEX_FORMAT}.
+ * @property {number} version - Shard index version (1).
+ * @property {number} vocabSize - Total number of words across all shards.
+ * @property {number} dim - Vector dimension.
+ * @property {ShardInfo[]} shards - Shards, most frequent words first.
+ * @property {SubwordInfo} [subwords] - N-gram table; without it unknown words are skipped.
+ */
+
+/**
+ * Returns whether a buffer starts with the binary format's magic bytes.
+ * @function isBinaryEmbeddings
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {boolean} True for the binary format, false for anything else (e.g. legacy JSON).
+ */
+export function isBinaryEmbeddings(buffer) {
+    if (buffer.byteLength < HEADER_BYTES) return false;
+    const bytes = new Uint8Array(buffer, 0, MAGIC.length);
+    return MAGIC.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Converts an IEEE 754 half-precision value to a number.
+ * @param {number} half - The 16-bit pattern.
+ * @returns {number} The decoded value.
+ * @private
+ */
+function halfToFloat(half) {
+    const sign = half & 0x8000 ? -1 : 1;
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    if (exponent === 0) return sign * fraction * 2 ** -24;
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+}
+
+/**
+ * Decodes a binary embeddings file. The string table and vectors are read through typed-array
+ * views over the fetched buffer; only the dequantized Float32Array is allocated.
+ * @function decodeEmbeddings
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {EmbeddingData} The vocabulary and vectors.
+ * @throws {Error} If the file is truncated or uses an unknown version or quantization.
+ */
+export function decodeEmbeddings(buffer) {
+    if (!isBinaryEmbeddings(buffer)) throw new Error('Not a binary embeddings file');
+    const view = new DataView(buffer);
+    const version = view.getUint16(4, true);
+    const quantization = view.getUint8(6);
+    const vocabSize = view.getUint32(8, true);
+    const dim = view.getUint32(12, true);
+    const stringBytes = view.getUint32(16, true);
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported embeddings format version ${version}`);
+
+    const words = new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, stringBytes)).split('\n');
+    if (words.length !== vocabSize) {
+        throw new Error(`Embeddings vocabulary has ${words.length} words, header says ${vocabSize}`);
+    }
+
+    const count = vocabSize * dim;
+    const vectors = new Float32Array(count);
+    let offset = Math.ceil((HEADER_BYTES + stringBytes) / 4) * 4;
+
+    if (quantization === QUANTIZATION.INT8) {
+        if (offset + vocabSize * 4 + count > buffer.byteLength) throw new Error('Embeddings file is truncated');
+        const scales = new Float32Array(buffer, offset, vocabSize);
+        const values = new Int8Array(buffer, offset + vocabSize * 4, count);
+        for (let row = 0; row < vocabSize; row++) {
+            const scale = scales[row];
+            for (let i = row * dim, end = i + dim; i < end; i++) vectors[i] = values[i] * scale;
+        }
+    } else if (quantization === QUANTIZATION.FLOAT16) {
+        if (offset + count * 2 > buffer.byteLength) throw new Error('Embeddings file is truncated');
+        const values = new Uint16Array(buffer, offset, count);
+        for (let i = 0; i < count; i++) vectors[i] = halfToFloat(values[i]);
+    } else {
+        throw new Error(`Unknown embeddings quantization ${quantization}`);
+    }
+
+    return { words, vocabSize, dim, vectors };
+}
+
+/**
+ * Decodes the legacy `{vocabulary, embeddings}` JSON format.
+ * @function decodeLegacyEmbeddings
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {EmbeddingData} The vocabulary and vectors.
+ * @throws {Error} If the JSON is malformed.
+ */
+export function decodeLegacyEmbeddings(buffer) {
+    const data = JSON.parse(new TextDecoder().decode(buffer));
+    const vocabSize = data.embeddings.length;
+    const dim = vocabSize ? data.embeddings[0].length : 0;
+    const words = new Array(vocabSize);
+    for (const [word, index] of Object.entries(data.vocabulary)) {
+        if (index < vocabSize) words[index] = word;
+    }
+    const vectors = new Float32Array(vocabSize * dim);
+    data.embeddings.forEach((row, index) => vectors.set(row, index * dim));
+    return { words, vocabSize, dim, vectors };
+}
+
+/**
+ * FNV-1a hash of a string's UTF-16 code units.
+ * @function fnv1a
+ * @param {string} text - The text to hash.
+ * @param {number} seed - Initial hash value.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+export function fnv1a(text, seed) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Computes the Bloom filter bit positions of a word by double hashing.
+ * Must stay in sync with `bloomPositions` in `scripts/generate-embeddings.js`.
+ * @function bloomPositions
+ * @param {string} word - The word.
+ * @param {number} bits - Filter size in bits.
+ * @param {number} hashes - Number of probes.
+ * @returns {number[]} Bit positions.
+ */
+export function bloomPositions(word, bits, hashes) {
+    const h1 = fnv1a(word, 0x811c9dc5);
+    const h2 = fnv1a(word, 0x9747b28c) | 1;
+    const positions = [];
+    for (let i = 0; i < hashes; i++) positions.push(((h1 + Math.imul(i, h2)) >>> 0) % bits);
+    return positions;
+}
+
+/**
+ * Decodes a shard's Bloom filter into a membership test.
+ * @function decodeBloom
+ * @param {ShardBloom} bloom - The filter from the shard index.
+ * @returns {function(string): boolean} Returns false when the word is certainly not in the shard.
+ */
+export function decodeBloom(bloom) {
+    const bytes = Uint8Array.from(atob(bloom.data), char => char.charCodeAt(0));
+    return word => bloomPositions(word, bloom.bits, bloom.hashes)
+        .every(position => bytes[position >> 3] & (1 << (position & 7)));
+}
+
+/**
+ * Lists the hashed n-gram buckets of a word, fastText style: every n-gram of `<word>` from `minN`
+ * to `maxN` characters. Must stay in sync with `subwordBuckets` in `scripts/generate-embeddings.js`.
+ * @function subwordBuckets
+ * @param {string} word - The word.
+ * @param {SubwordInfo} subwords - The n-gram table description.
+ * @returns {number[]} Bucket indices, one per n-gram.
+ */
+export function subwordBuckets(word, { buckets, minN, maxN }) {
+    const padded = `<${word}>`;
+    const indices = [];
+    for (let n = minN; n <= maxN; n++) {
+        for (let i = 0; i + n <= padded.length; i++) indices.push(fnv1a(padded.slice(i, i + n), 0x811c9dc5) % buckets);
+    }
+    return indices;
+}
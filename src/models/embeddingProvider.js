@@ -0,0 +1,123 @@
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Turns texts into embedding vectors for semantic search. Subclasses load their model in
+ * {@link EmbeddingProvider#initialize} and implement {@link EmbeddingProvider#embed}; searches use
+ * {@link EmbeddingProvider#embedVectors}, cache the plain arrays and score them all in one matrix
+ * product, whatever the provider.
+ * @class
+ * @abstract
+ */
+class EmbeddingProvider {
+    /**
+     * Creates a provider; nothing is loaded until {@link EmbeddingProvider#initialize}.
+     * @constructor
+     * @param {string} name - Key of the provider in {@link import('./providers').EMBEDDING_PROVIDERS}.
+     * @param {string} baseUrl - URL of the extension root, for resolving bundled model files.
+     */
+    constructor(name, baseUrl) {
+        this.name = name;
+        this.baseUrl = baseUrl;
+        /** @type {Promise<void>|null} Model load in flight or done */
+        this.ready = null;
+    }
+
+    /**
+     * Length of the vectors returned by {@link EmbeddingProvider#embed}; 0 until initialized.
+     * @type {number}
+     * @abstract
+     */
+    get dimension() {
+        throw new Error(`${this.name} embedding provider does not define a dimension`);
+    }
+
+    /**
+     * Loads the model. Safe to call repeatedly; a failed load is retried on the next call.
+     * @async
+     * @returns {Promise<void>} Resolves once the provider can embed text.
+     * @throws {Error} If the model files cannot be fetched or decoded.
+     */
+    async initialize() {
+        if (!this.ready) {
+            this.ready = this.load().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Loads the model files.
+     * @async
+     * @abstract
+     * @returns {Promise<void>} Resolves once loaded.
+     * @protected
+     */
+    async load() {
+        throw new Error(`${this.name} embedding provider does not implement load()`);
+    }
+
+    /**
+     * Embeds several texts at once.
+     * @async
+     * @abstract
+     * @param {string[]} texts - Texts to embed.
+     * @param {Object} [options] - Hints for the provider.
+     * @param {string} [options.locale] - Language of the texts.
+     * @returns {Promise<Array<tf.Tensor1D|null>>} One vector per text, or null for a text the provider
+     *     has nothing to say about (e.g. no known words). The caller owns and disposes the tensors.
+     */
+    async embed() {
+        throw new Error(`${this.name} embedding provider does not implement embed()`);
+    }
+
+    /**
+     * Embeds several texts and reads the vectors back from the backend in a single download.
+     * Subclasses that compute a whole batch as one matrix may override this to skip the stacking.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @param {Object} [options] - Hints for the provider, as for {@link EmbeddingProvider#embed}.
+     * @returns {Promise<Array<Float32Array|null>>} One vector per text, or null where {@link EmbeddingProvider#embed} has none.
+     */
+    async embedVectors(texts, options) {
+        const embeddings = await this.embed(texts, options);
+        const present = embeddings.filter(Boolean);
+        if (!present.length) return embeddings.map(() => null);
+
+        const stacked = tf.stack(present);
+        embeddings.forEach(embedding => embedding?.dispose());
+        const data = await stacked.data();
+        const dim = stacked.shape[1];
+        stacked.dispose();
+        let row = 0;
+        return embeddings.map(embedding => {
+            if (!embedding) return null;
+            row++;
+            return data.slice((row - 1) * dim, row * dim);
+        });
+    }
+
+    /**
+     * Finds vocabulary words whose vectors are closest to a text's embedding, to suggest related
+     * search terms. Providers without a word vocabulary return none.
+     * @async
+     * @param {string} text - The text, typically a query.
+     * @param {number} k - Maximum number of words.
+     * @param {Object} [options] - Hints for the provider, as for {@link EmbeddingProvider#embed}.
+     * @returns {Promise<Array<{word: string, similarity: number}>>} Related words, most similar first.
+     */
+    async nearestWords() {
+        return [];
+    }
+
+    /**
+     * Frees the model's memory. The provider can be initialized again afterwards.
+     * @abstract
+     */
+    dispose() {
+        throw new Error(`${this.name} embedding provider does not implement dispose()`);
+    }
+}
+
+export default EmbeddingProvider;
@@ -0,0 +1,298 @@
+import * as tf from '@tensorflow/tfjs';
+import {
+    SHARD_INDEX_FORMAT,
+    isBinaryEmbeddings,
+    decodeEmbeddings,
+    decodeLegacyEmbeddings,
+    decodeBloom,
+    subwordBuckets
+} from './embeddingFormat';
+
+/**
+ * Number of known-missing tokens remembered before the set is reset.
+ * @constant {number}
+ */
+const MAX_ABSENT_TOKENS = 10000;
+
+/**
+ * Number of composed subword vectors kept before the cache is reset.
+ * @constant {number}
+ */
+const MAX_SUBWORD_VECTORS = 10000;
+
+/**
+ * Word vectors backed by a sharded vocabulary.
+ * The hot shard is loaded up front; the other shards are fetched the first time a token misses and
+ * the shard's Bloom filter says it may hold it. Loaded rows are appended to one matrix, so a word's
+ * row index is stable once assigned. A single binary or legacy JSON file loads as one hot shard.
+ * Words no shard holds get a vector composed from hashed character n-grams when the index ships an
+ * n-gram table, which is also fetched on first need.
+ * @class
+ */
+class EmbeddingStore {
+    /**
+     * Creates a store; use {@link EmbeddingStore.load} instead.
+     * @constructor
+     * @param {Object} index - Vocabulary description.
+     * @param {number} index.vocabSize - Total number of words across all shards.
+     * @param {number} index.dim - Vector dimension.
+     * @param {Object[]} [index.shards=[]] - Shards not loaded yet, as `{url, mayContain}`.
+     * @param {Object} [index.subwords=null] - N-gram table description plus its `url`.
+     */
+    constructor({ vocabSize, dim, shards = [], subwords = null }) {
+        /** @type {number} Total number of words across all shards */
+        this.vocabSize = vocabSize;
+        /** @type {number} Vector dimension */
+        this.dim = dim;
+        /** @type {Map<string, number>} Mapping of loaded words to matrix rows */
+        this.wordToIndex = new Map();
+        /** @type {Array<string|undefined>} Word of each matrix row */
+        this.words = [];
+        /** @type {tf.Tensor2D} Vectors of the loaded words */
+        this.embeddings = tf.zeros([0, dim]);
+        /** @type {Object[]} Shards not fetched yet */
+        this.pendingShards = shards;
+        /** @type {Map<Object, Promise<void>>} Shard fetches in flight */
+        this.loading = new Map();
+        /** @type {Set<string>} Tokens no shard holds */
+        this.absent = new Set();
+        /** @type {Object|null} N-gram table description, see {@link SubwordInfo} */
+        this.subwords = subwords;
+        /** @type {Float32Array|null} Centered n-gram bucket vectors, once fetched */
+        this.subwordTable = null;
+        /** @type {Promise<void>|null} N-gram table fetch in flight */
+        this.subwordLoading = null;
+        /** @type {Map<string, Float32Array|null>} Composed vectors of unknown tokens */
+        this.subwordVectors = new Map();
+    }
+
+    /**
+     * Loads embeddings from a shard index, a single binary file or a legacy embeddings.json.
+     * The format is detected from the file contents.
+     * @async
+     * @static
+     * @param {string} url - URL of the file.
+     * @returns {Promise<EmbeddingStore>} The store with its hot shard loaded.
+     * @throws {Error} If a file cannot be fetched or decoded.
+     */
+    static async load(url) {
+        const buffer = await fetchBuffer(url);
+        if (isBinaryEmbeddings(buffer)) return EmbeddingStore.fromData(decodeEmbeddings(buffer));
+
+        const data = JSON.parse(new TextDecoder().decode(buffer));
+        if (data.format !== SHARD_INDEX_FORMAT) return EmbeddingStore.fromData(decodeLegacyEmbeddings(buffer));
+        if (data.version !== 1) throw new Error(`Unsupported embedding shard index version ${data.version}`);
+        if (!data.shards?.length) throw new Error('Embedding shard index lists no shards');
+
+        const shards = data.shards.map((shard, i) => ({
+            url: new URL(shard.file, url).href,
+            hot: shard.hot ?? i === 0,
+            mayContain: shard.bloom ? decodeBloom(shard.bloom) : () => true
+        }));
+        const store = new EmbeddingStore({
+            vocabSize: data.vocabSize,
+            dim: data.dim,
+            shards: shards.filter(shard => !shard.hot),
+            subwords: data.subwords ? { ...data.subwords, url: new URL(data.subwords.file, url).href } : null
+        });
+        await Promise.all(shards.filter(shard => shard.hot).map(shard => store.loadShard(shard)));
+        console.log(`Loaded ${store.loadedWords} of ${store.vocabSize} embedding words (${shards.length} shards, ${store.dim}d)`);
+        return store;
+    }
+
+    /**
+     * Creates a fully loaded store from decoded embeddings.
+     * @static
+     * @param {import('./embeddingFormat').EmbeddingData} data - The decoded file.
+     * @returns {EmbeddingStore} The store.
+     */
+    static fromData(data) {
+        const store = new EmbeddingStore({ vocabSize: data.vocabSize, dim: data.dim });
+        store.append(data);
+        return store;
+    }
+
+    /**
+     * Number of words whose vectors are loaded.
+     * @type {number}
+     */
+    get loadedWords() {
+        return this.embeddings.shape[0];
+    }
+
+    /**
+     * Returns the matrix row of a loaded word.
+     * @param {string} token - The word.
+     * @returns {number|undefined} The row, or undefined if the word is not loaded.
+     */
+    indexOf(token) {
+        return this.wordToIndex.get(token);
+    }
+
+    /**
+     * Returns the word of a matrix row.
+     * @param {number} index - The row.
+     * @returns {string|undefined} The word, or undefined for a row duplicating a word loaded earlier.
+     */
+    wordAt(index) {
+        const word = this.words[index];
+        return word !== undefined && this.wordToIndex.get(word) === index ? word : undefined;
+    }
+
+    /**
+     * Returns the composed n-gram vector of a token no shard holds.
+     * Only available once {@link EmbeddingStore#ensureTokens} has seen the token.
+     * @param {string} token - The word.
+     * @returns {Float32Array|null} The vector, or null without an n-gram table or known n-grams.
+     */
+    subwordVector(token) {
+        if (!this.subwordTable) return null;
+        if (this.subwordVectors.has(token)) return this.subwordVectors.get(token);
+
+        const { mean, norm } = this.subwords;
+        const vector = new Float32Array(this.dim);
+        let used = 0;
+        for (const bucket of subwordBuckets(token, this.subwords)) {
+            const row = this.subwordTable.subarray(bucket * this.dim, (bucket + 1) * this.dim);
+            if (row.every(value => value === 0)) continue; // No vocabulary word has this n-gram
+            row.forEach((value, i) => { vector[i] += value; });
+            used++;
+        }
+
+        let composed = null;
+        if (used) {
+            const length = Math.hypot(...vector);
+            composed = vector.map((value, i) => value / length * norm + mean[i]);
+        }
+        if (this.subwordVectors.size > MAX_SUBWORD_VECTORS) this.subwordVectors.clear();
+        this.subwordVectors.set(token, composed);
+        return composed;
+    }
+
+    /**
+     * Makes sure every token that exists in the vocabulary is loaded, fetching the shards that may
+     * hold missing tokens. Tokens still missing afterwards are remembered as out of vocabulary, and
+     * the n-gram table is fetched so {@link EmbeddingStore#subwordVector} can stand in for them.
+     * A shard that fails to load only costs the tokens it holds, which are treated as out of vocabulary.
+     * @async
+     * @param {string[]} tokens - Tokens about to be embedded.
+     * @returns {Promise<void>} Resolves when the needed shards are loaded or have failed.
+     */
+    async ensureTokens(tokens) {
+        const missing = [...new Set(tokens)].filter(token => !this.wordToIndex.has(token) && !this.absent.has(token));
+        if (!missing.length) return;
+
+        const needed = this.pendingShards.filter(shard => missing.some(token => shard.mayContain(token)));
+        await Promise.allSettled([...needed.map(shard => this.loadShard(shard)), ...this.loading.values()]);
+
+        if (this.absent.size > MAX_ABSENT_TOKENS) this.absent.clear();
+        missing.forEach(token => {
+            if (!this.wordToIndex.has(token)) this.absent.add(token);
+        });
+        if (this.subwords && !this.subwordTable && missing.some(token => this.absent.has(token))) {
+            await this.loadSubwords();
+        }
+    }
+
+    /**
+     * Fetches the n-gram table, sharing the fetch between concurrent callers. If the table cannot
+     * be fetched or does not match the shard index, subwords are turned off for the session and
+     * unknown tokens go without vectors.
+     * @returns {Promise<void>} Resolves when the table is loaded or subwords are turned off.
+     * @private
+     */
+    loadSubwords() {
+        if (!this.subwordLoading) {
+            const { url } = this.subwords;
+            this.subwordLoading = fetchBuffer(url)
+                .then(buffer => {
+                    const data = decodeEmbeddings(buffer);
+                    if (data.dim !== this.dim || data.vocabSize !== this.subwords.buckets) {
+                        throw new Error(`N-gram table ${url} does not match the shard index`);
+                    }
+                    this.subwordTable = data.vectors;
+                    console.log(`Loaded ${data.vocabSize} subword n-gram vectors`);
+                })
+                .catch(error => {
+                    this.subwords = null;
+                    console.error(`Failed to load n-gram table ${url}, unknown words get no vectors:`, error);
+                })
+                .finally(() => { this.subwordLoading = null; });
+        }
+        return this.subwordLoading;
+    }
+
+    /**
+     * Fetches a shard and appends its vectors, sharing the fetch between concurrent callers.
+     * A shard that cannot be fetched or decoded is logged and dropped from the pending shards,
+     * so it is not fetched again.
+     * @param {Object} shard - A pending shard.
+     * @returns {Promise<void>} Resolves when the shard is loaded.
+     * @throws {Error} If the shard cannot be fetched or decoded.
+     * @private
+     */
+    loadShard(shard) {
+        if (!this.loading.has(shard)) {
+            const promise = fetchBuffer(shard.url)
+                .then(buffer => {
+                    const data = decodeEmbeddings(buffer);
+                    if (data.dim !== this.dim) throw new Error(`Shard ${shard.url} has dimension ${data.dim}, expected ${this.dim}`);
+                    this.append(data);
+                    this.pendingShards = this.pendingShards.filter(pending => pending !== shard);
+                    console.log(`Loaded embedding shard ${shard.url} (${data.vocabSize} words)`);
+                })
+                .catch(error => {
+                    this.pendingShards = this.pendingShards.filter(pending => pending !== shard);
+                    console.error(`Failed to load embedding shard ${shard.url}, its words are treated as unknown:`, error);
+                    throw error;
+                })
+                .finally(() => this.loading.delete(shard));
+            this.loading.set(shard, promise);
+        }
+        return this.loading.get(shard);
+    }
+
+    /**
+     * Appends decoded vectors to the matrix and indexes their words.
+     * @param {import('./embeddingFormat').EmbeddingData} data - The decoded shard.
+     * @private
+     */
+    append({ words, vocabSize, dim, vectors }) {
+        const offset = this.loadedWords;
+        const previous = this.embeddings;
+        this.embeddings = tf.tidy(() => tf.concat([previous, tf.tensor2d(vectors, [vocabSize, dim])], 0));
+        previous.dispose();
+        words.forEach((word, index) => {
+            this.words[offset + index] = word;
+            if (word !== undefined && !this.wordToIndex.has(word)) this.wordToIndex.set(word, offset + index);
+        });
+    }
+
+    /**
+     * Disposes of the embedding matrix.
+     */
+    dispose() {
+        this.embeddings.dispose();
+        this.wordToIndex.clear();
+        this.words = [];
+        this.pendingShards = [];
+        this.subwordTable = null;
+        this.subwordVectors.clear();
+    }
+}
+
+/**
+ * Fetches a file as an ArrayBuffer.
+ * @async
+ * @param {string} url - URL of the file.
+ * @returns {Promise<ArrayBuffer>} The file contents.
+ * @throws {Error} If the response is not OK.
+ * @private
+ */
+async function fetchBuffer(url) {
+    const response = await fetch(url, { method: 'GET' });
+    if (!response.ok) throw new Error(`Failed to fetch embeddings: ${response.status}`);
+    return response.arrayBuffer();
+}
+
+export default EmbeddingStore;
@@ -0,0 +1,121 @@
+import EmbeddingProvider from './embeddingProvider';
+import { EMBEDDING_PROVIDERS } from './providers';
+import * as tf from '@tensorflow/tfjs';
+import { loadEmbeddings, meanEmbeddingMatrix, nearestWords, tokenize } from './embedding';
+
+/**
+ * Embeds text as the mean of its GloVe word vectors, loading vocabulary shards as words need them.
+ * @class
+ * @extends EmbeddingProvider
+ */
+class GloveProvider extends EmbeddingProvider {
+    /**
+     * Creates the provider.
+     * @constructor
+     * @param {string} baseUrl - URL of the extension root.
+     */
+    constructor(baseUrl) {
+        super('glove', baseUrl);
+        /** @type {import('./embeddingStore').default|null} */
+        this.store = null;
+    }
+
+    /**
+     * Vector dimension, read from the shard index.
+     * @type {number}
+     */
+    get dimension() {
+        return this.store?.dim ?? 0;
+    }
+
+    /**
+     * Loads the shard index and the hot shard.
+     * @async
+     * @returns {Promise<void>} Resolves once loaded.
+     * @protected
+     */
+    async load() {
+        this.store = await loadEmbeddings(new URL(EMBEDDING_PROVIDERS.glove.file, this.baseUrl).href);
+    }
+
+    /**
+     * Embeds texts as mean word vectors, fetching the shards their words are in first.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @param {Object} [options] - Hints for the provider.
+     * @param {string} [options.locale] - Language of the texts, for tokenization.
+     * @returns {Promise<Array<tf.Tensor1D|null>>} One vector per text, null when no word has a vector.
+     */
+    async embed(texts, { locale } = {}) {
+        const { matrix, found } = await this.embedMatrix(texts, locale);
+        const rows = tf.unstack(matrix);
+        matrix.dispose();
+        return rows.map((row, i) => {
+            if (found[i]) return row;
+            row.dispose();
+            return null;
+        });
+    }
+
+    /**
+     * Embeds texts as mean word vectors and reads them back in one download.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @param {Object} [options] - Hints for the provider.
+     * @param {string} [options.locale] - Language of the texts, for tokenization.
+     * @returns {Promise<Array<Float32Array|null>>} One vector per text, null when no word has a vector.
+     */
+    async embedVectors(texts, { locale } = {}) {
+        const { matrix, found } = await this.embedMatrix(texts, locale);
+        const data = await matrix.data();
+        matrix.dispose();
+        const dim = this.dimension;
+        return found.map((hasVector, i) => (hasVector ? data.slice(i * dim, (i + 1) * dim) : null));
+    }
+
+    /**
+     * Finds the loaded vocabulary words closest to a text's mean vector. The text's own words,
+     * stopwords and tokens that are not plain words (punctuation, numbers with separators) are skipped.
+     * @async
+     * @param {string} text - The text, typically a query.
+     * @param {number} k - Maximum number of words.
+     * @param {Object} [options] - Hints for the provider.
+     * @param {string} [options.locale] - Language of the text.
+     * @returns {Promise<Array<{word: string, similarity: number}>>} Related words, most similar first.
+     */
+    async nearestWords(text, k, { locale } = {}) {
+        const [vector] = await this.embedVectors([text], { locale });
+        if (!vector) return [];
+        const own = new Set(tokenize(text, locale));
+        return nearestWords(this.store, vector, k, word => {
+            const tokens = tokenize(word, locale);
+            return tokens.length === 1 && tokens[0] === word && !own.has(word);
+        });
+    }
+
+    /**
+     * Tokenizes texts, fetches the shards their words are in and averages their vectors.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @param {string} [locale] - Language of the texts.
+     * @returns {Promise<{matrix: tf.Tensor2D, found: boolean[]}>} See {@link meanEmbeddingMatrix}.
+     * @private
+     */
+    async embedMatrix(texts, locale) {
+        await this.initialize();
+        const tokenLists = texts.map(text => tokenize(text, locale));
+        await this.store.ensureTokens(tokenLists.flat());
+        return meanEmbeddingMatrix(this.store, tokenLists);
+    }
+
+    /**
+     * Disposes of the embedding matrix.
+     */
+    dispose() {
+        this.store?.dispose();
+        this.store = null;
+        this.ready = null;
+    }
+}
+
+export default GloveProvider;
@@ -1,19 +1,15 @@
-import * as tf from '@tensorflow/tfjs';
+import { cosineSimilarity, similarityScores, topKIndices } from './embedding';
+import { createEmbeddingProvider } from './providerFactory';
+import EmbeddingCache from './embeddingCache';
 
 /**
- * Vocabulary size for the embedding model.
+ * Maximum number of text embeddings kept in the cache.
  * @constant {number}
  */
-const VOCAB_SIZE = 7000;
+const MAX_CACHED_EMBEDDINGS = 20000;
 
 /**
- * Dimension of each word embedding vector.
- * @constant {number}
- */
-const EMBEDDING_DIM = 50;
-
-/**
- * Manages semantic similarity search using pre-trained word embeddings.
+ * Manages semantic similarity search using the embedding provider chosen in the settings.
  * Implements a singleton pattern to ensure a single instance.
  * @class
  */
@@ -39,9 +35,10 @@ class SimilaritySearch {
     constructor() {
         if (SimilaritySearch.instance) return SimilaritySearch.instance;
         this.model = null;
-        this.wordToIndex = null;
-        this.embeddings = null;
-        this.cache = new Map();
+        this.providerName = 'glove';
+        /** @type {import('./embeddingProvider').default|null} */
+        this.provider = null;
+        this.cache = new EmbeddingCache(MAX_CACHED_EMBEDDINGS);
         this.isInitialized = false;
         SimilaritySearch.instance = this;
     }
@@ -65,13 +62,10 @@ class SimilaritySearch {
                 SimilaritySearch.tfInitialized = true;
             }
 
-            const embeddingsUrl = chrome.runtime.getURL('embeddings.json');
-            const response = await fetch(embeddingsUrl, { method: 'GET' });
-            if (!response.ok) throw new Error(`Failed to fetch embeddings: ${response.status}`);
-            const data = await response.json();
-            this.wordToIndex = data.vocabulary;
-            this.embeddings = tf.tensor2d(data.embeddings, [VOCAB_SIZE, EMBEDDING_DIM]);
-            console.log('Word embeddings loaded successfully');
+            const provider = createEmbeddingProvider(this.providerName, chrome.runtime.getURL(''));
+            await provider.initialize();
+            this.provider = provider;
+            console.log(`Embedding provider "${this.providerName}" loaded (${provider.dimension}d)`);
             this.isInitialized = true;
             console.log('SimilaritySearch initialized');
         } catch (error) {
@@ -81,83 +75,110 @@ class SimilaritySearch {
     }
 
     /**
-     * Determines if the provided text is semantically similar to the search query.
+     * Switches to another embedding provider. The current one is disposed and the new one is
+     * loaded by the next {@link SimilaritySearch#initialize}.
+     * @param {string} name - Key of the provider, e.g. 'glove' or 'use'.
+     */
+    setProvider(name) {
+        if (name === this.providerName) return;
+        this.dispose();
+        this.providerName = name;
+    }
+
+    /**
+     * Finds the texts similar to a query. See {@link SimilaritySearch#similarities} for the scoring.
+     * @async
+     * @param {string} searchText - The search query string.
+     * @param {string[]} texts - The texts to compare against.
+     * @param {Object} [options] - Search options.
+     * @param {number} [options.threshold=0.8] - Minimum similarity score to consider a match.
+     * @param {number} [options.chunkSize=50] - Number of words per window compared against the query.
+     * @param {number} [options.topK=0] - Number of most similar texts returned even below the threshold.
+     * @returns {Promise<Array<{index: number, similarity: number}>>} Matching texts in input order.
+     */
+    async search(searchText, texts, { threshold = 0.8, chunkSize = 50, topK = 0 } = {}) {
+        const similarities = await this.similarities(searchText, texts, chunkSize);
+        if (!similarities) return [];
+        const top = new Set(topKIndices(similarities, topK).filter(index => similarities[index] > -Infinity));
+        return Array.from(similarities, (similarity, index) => ({ index, similarity }))
+            .filter(({ index, similarity }) => similarity > threshold || top.has(index));
+    }
+
+    /**
+     * Scores texts against a query in one batch. Each text is split into windows of `chunkSize`
+     * words, every window is embedded and scored in a single matrix product, and a text scores as
+     * its best window.
      * @async
      * @param {string} searchText - The search query string.
-     * @param {string} pageText - The text content to compare against.
-     * @param {number} [threshold=0.8] - Minimum similarity score to consider a match.
-     * @returns {Promise<boolean>} True if similarity exceeds the threshold, false otherwise.
+     * @param {string[]} texts - The texts to compare against.
+     * @param {number} [chunkSize=50] - Number of words per window compared against the query.
+     * @returns {Promise<Float32Array|null>} Similarity of each text, -Infinity for texts without an
+     *     embedding; null if the query has none or embedding fails.
      */
-    async findSimilar(searchText, pageText, threshold = 0.8) {
+    async similarities(searchText, texts, chunkSize = 50) {
         await this.initialize();
         try {
-            const searchEmbedding = this.getTextEmbedding(searchText, true);
-            if (!searchEmbedding) return false;
+            const windows = [];
+            const owners = [];
+            texts.forEach((text, index) => {
+                this.splitIntoChunks(text, chunkSize).forEach(window => {
+                    windows.push(window);
+                    owners.push(index);
+                });
+            });
 
-            const chunks = this.splitIntoChunks(pageText, 50);
-            const chunkEmbeddings = chunks.map(chunk => this.getTextEmbedding(chunk, false)).filter(Boolean);
-            if (!chunkEmbeddings.length) return false;
+            const [searchEmbedding, ...embedded] = await this.getTextEmbeddings([searchText, ...windows]);
+            if (!searchEmbedding) return null;
 
-            const batchTensor = tf.stack(chunkEmbeddings);
-            const similarities = this.batchCosineSimilarity(searchEmbedding, batchTensor).dataSync();
-            console.log(`Similarity scores for "${searchText}":`, similarities);
-            return similarities.some(sim => sim > threshold);
+            const windowScores = await similarityScores(searchEmbedding, embedded);
+            const similarities = new Float32Array(texts.length).fill(-Infinity);
+            owners.forEach((owner, i) => {
+                if (embedded[i]) similarities[owner] = Math.max(similarities[owner], windowScores[i]);
+            });
+            console.log(`Scored ${windows.length} windows for "${searchText}"`);
+            return similarities;
         } catch (error) {
-            console.error('Error in findSimilar:', error);
-            return false;
+            console.error('Error in similarity search:', error);
+            return null;
         }
     }
 
     /**
-     * Computes batch cosine similarity between a single embedding and multiple embeddings.
-     * @param {tf.Tensor} embedding - The reference embedding (e.g., search query).
-     * @param {tf.Tensor} batchEmbeddings - Tensor of embeddings to compare against.
-     * @returns {tf.Tensor} A tensor of similarity scores.
-     * @private
+     * Looks up vocabulary words related to a query.
+     * @async
+     * @param {string} searchText - The search query string.
+     * @param {number} k - Maximum number of words.
+     * @returns {Promise<Array<{word: string, similarity: number}>>} Related words, most similar first.
      */
-    batchCosineSimilarity(embedding, batchEmbeddings) {
-        const dotProduct = tf.matMul(batchEmbeddings, embedding.expandDims(1));
-        const norms = tf.norm(batchEmbeddings, 2, 1);
-        const embeddingNorm = tf.norm(embedding);
-        return tf.squeeze(dotProduct.div(norms.mul(embeddingNorm)));
+    async nearestWords(searchText, k) {
+        await this.initialize();
+        return this.provider.nearestWords(searchText, k);
     }
 
     /**
-     * Generates a mean embedding vector for the given text.
-     * @param {string} text - The input text to embed.
-     * @param {boolean} isQuery - Indicates if the text is a search query (affects tokenization).
-     * @returns {tf.Tensor|null} The mean embedding tensor, or null if no valid tokens are found.
+     * Embeds texts with the current provider, reusing cached embeddings.
+     * The cache is emptied before it would outgrow {@link MAX_CACHED_EMBEDDINGS}.
+     * @async
+     * @param {string[]} texts - The texts to embed.
+     * @returns {Promise<Array<Float32Array|null>>} One embedding per text, or null where the provider has none.
      */
-    getTextEmbedding(text, isQuery = false) {
+    async getTextEmbeddings(texts) {
         try {
-            if (this.cache.has(text)) return this.cache.get(text);
-            if (this.cache.size > 1000) this.cache.clear();
-
-            const tokens = this.tokenize(text, isQuery);
-            const validIndices = tokens
-                .map(token => this.wordToIndex[token])
-                .filter(index => index !== undefined && index < VOCAB_SIZE);
-
-            if (validIndices.length === 0) {
-                console.log(`No embeddings found for text: "${text}"`);
-                return null;
-            }
-
-            return tf.tidy(() => {
-                const embeddings = validIndices.map(index =>
-                    this.embeddings.slice([index, 0], [1, EMBEDDING_DIM])
-                );
-                const stacked = tf.concat(embeddings, 0);
-                const meanEmbedding = stacked.mean(0);
-                this.cache.set(text, meanEmbedding);
-                return meanEmbedding;
-            });
+            return await this.cache.embed(texts, missing => this.provider.embedVectors(missing));
         } catch (error) {
-            console.error('Error generating text embedding:', error);
-            return null;
+            console.error('Error generating text embeddings:', error);
+            return texts.map(() => null);
         }
     }
 
+    /**
+     * Empties the embedding cache.
+     * @private
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
     /**
      * Splits text into manageable chunks for embedding.
      * @param {string} text - The input text to split.
@@ -173,25 +194,6 @@ class SimilaritySearch {
         return chunks;
     }
 
-    /**
-     * Stores tokenized query for debugging or reuse.
-     * @type {string[]|null}
-     */
-    tokenizedQuery = null;
-
-    /**
-     * Tokenizes text into words suitable for embedding.
-     * @param {string} text - The input text to tokenize.
-     * @param {boolean} isQuery - Indicates if the text is a search query.
-     * @returns {string[]} An array of cleaned and filtered tokens.
-     */
-    tokenize(text, isQuery = false) {
-        const cleanedText = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-        const tokens = cleanedText.split(/\s+/).filter(word => word.length > 2);
-        if (isQuery) this.tokenizedQuery = tokens;
-        return tokens;
-    }
-
     /**
      * Computes cosine similarity between two embedding vectors.
      * @param {tf.Tensor} embedding1 - The first embedding vector.
@@ -199,14 +201,7 @@ class SimilaritySearch {
      * @returns {number} The cosine similarity score (0 if invalid).
      */
     cosineSimilarity(embedding1, embedding2) {
-        if (!embedding1 || !embedding2) return 0;
-        return tf.tidy(() => {
-            const dotProduct = embedding1.dot(embedding2);
-            const norm1 = embedding1.norm();
-            const norm2 = embedding2.norm();
-            const similarity = dotProduct.div(norm1.mul(norm2)).dataSync()[0];
-            return isNaN(similarity) ? 0 : similarity;
-        });
+        return cosineSimilarity(embedding1, embedding2);
     }
 
     /**
@@ -214,9 +209,9 @@ class SimilaritySearch {
      * @async
      */
     async dispose() {
-        if (this.embeddings) this.embeddings.dispose();
-        for (const tensor of this.cache.values()) tensor.dispose();
-        this.cache.clear();
+        if (this.provider) this.provider.dispose();
+        this.provider = null;
+        this.clearCache();
         this.isInitialized = false;
         console.log('SimilaritySearch resources disposed');
     }
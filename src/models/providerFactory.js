@@ -0,0 +1,25 @@
+import GloveProvider from './gloveProvider';
+import UseProvider from './useProvider';
+
+/**
+ * Provider classes by `embedding.provider` setting.
+ * @constant {Object<string, typeof import('./embeddingProvider').default>}
+ */
+const PROVIDER_CLASSES = Object.freeze({
+    glove: GloveProvider,
+    use: UseProvider
+});
+
+/**
+ * Creates the embedding provider selected in the settings.
+ * @function createEmbeddingProvider
+ * @param {string} name - Key of the provider, e.g. 'glove' or 'use'.
+ * @param {string} baseUrl - URL of the extension root.
+ * @returns {import('./embeddingProvider').default} The provider, not yet initialized.
+ * @throws {Error} If the provider is unknown.
+ */
+export function createEmbeddingProvider(name, baseUrl) {
+    const Provider = PROVIDER_CLASSES[name];
+    if (!Provider) throw new Error(`Unknown embedding provider: ${name}`);
+    return new Provider(baseUrl);
+}
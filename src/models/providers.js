@@ -0,0 +1,11 @@
+/**
+ * Embedding providers the user can pick on the options page, keyed by the `embedding.provider` setting.
+ * `file` is the provider's entry file relative to the extension root; the options page checks it
+ * exists before switching, in case the build it runs from lacks the files. Kept apart from
+ * the provider classes so the options page does not bundle TensorFlow.js.
+ * @constant {Object<string, {label: string, file: string}>}
+ */
+export const EMBEDDING_PROVIDERS = Object.freeze({
+    glove: Object.freeze({ label: 'GloVe word vectors', file: 'embeddings/index.json' }),
+    use: Object.freeze({ label: 'Universal Sentence Encoder', file: 'use/model.json' })
+});
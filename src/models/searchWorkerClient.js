@@ -0,0 +1,205 @@
+import { createExtensionWorker } from '../utils/workerClient';
+import { pageLocale } from '../utils/unicode';
+import { hashText, indexedPageUrl, loadIndexedEmbeddings, saveIndexedEmbeddings } from '../utils/embeddingIndexClient';
+
+/**
+ * Runs semantic searches in search.worker.js so embedding and scoring stay off the page's main thread.
+ * @class
+ */
+class SearchWorkerClient {
+    /**
+     * Creates a client; the worker itself starts on {@link SearchWorkerClient#initialize}.
+     * @constructor
+     */
+    constructor() {
+        this.providerName = 'glove';
+        this.indexEnabled = true;
+        this.worker = null;
+        this.ready = null;
+        this.pending = new Map();
+        this.nextId = 0;
+    }
+
+    /**
+     * Starts the worker and loads the embeddings into it. Safe to call repeatedly.
+     * @async
+     * @returns {Promise<void>} Resolves once the worker reports INIT_COMPLETE.
+     * @throws {Error} If the worker cannot be created or fails to load the embeddings.
+     */
+    async initialize() {
+        if (!this.ready) {
+            this.ready = this.start().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Spawns the worker and waits for its initialization handshake.
+     * @async
+     * @private
+     */
+    async start() {
+        const providerName = this.providerName;
+        const worker = await createExtensionWorker('search.worker.bundle.js');
+        try {
+            await new Promise((resolve, reject) => {
+                worker.onmessage = (e) => {
+                    if (e.data.type === 'INIT_COMPLETE') resolve();
+                    else if (e.data.type === 'ERROR') reject(new Error(e.data.error));
+                };
+                worker.onerror = (e) => reject(new Error(e.message || 'Search worker failed to start'));
+                worker.postMessage({ type: 'INIT', provider: providerName, baseUrl: chrome.runtime.getURL('') });
+            });
+        } catch (error) {
+            worker.terminate();
+            throw error;
+        }
+        if (providerName !== this.providerName) {
+            worker.terminate();
+            throw new Error('Embedding provider changed while the search worker was starting');
+        }
+
+        worker.onmessage = (e) => this.handleMessage(e.data);
+        worker.onerror = (e) => this.failPending(new Error(e.message || 'Search worker crashed'));
+        this.worker = worker;
+        console.log('Search worker initialized');
+    }
+
+    /**
+     * Resolves the pending request a worker message answers.
+     * @param {Object} data - The message payload.
+     * @private
+     */
+    handleMessage(data) {
+        if (!this.pending.has(data.id)) return;
+        const { resolve, index } = this.pending.get(data.id);
+        this.pending.delete(data.id);
+        if (data.type === 'NEIGHBORS_RESULTS') {
+            resolve(data.words);
+            return;
+        }
+        resolve(data.type === 'SCORE_RESULTS' ? data.similarities : data.results);
+        if (index && data.computed?.length) {
+            const entries = data.computed.map(({ index: position, vector }) => ({ hash: index.hashes[position], vector }));
+            saveIndexedEmbeddings(index.model, index.url, entries);
+        }
+    }
+
+    /**
+     * Rejects every pending request.
+     * @param {Error} error - The reason for the failure.
+     * @private
+     */
+    failPending(error) {
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * Scores and ranks chunks against a query in the worker, tokenizing for the page's language.
+     * When the embedding index is enabled, chunk embeddings stored for this page are reused.
+     * @async
+     * @param {string} query - The search query.
+     * @param {Array<{index: number, text: string}>} chunks - Chunk texts tagged with their position on the page.
+     * @param {number} [threshold] - Minimum score for a match; the worker default applies when omitted.
+     * @param {number} [topK=0] - Number of most similar chunks returned even below the threshold.
+     * @returns {Promise<Array<{index: number, text: string, similarity: number, score: number, context: string}>>} Matches, best first.
+     * @throws {Error} If the worker is unavailable or crashes during the search.
+     */
+    async search(query, chunks, threshold, topK = 0) {
+        return this.requestWithChunks({ type: 'SEARCH', query, chunks, threshold, topK });
+    }
+
+    /**
+     * Computes the similarity of every chunk to a query in the worker, without a threshold.
+     * Uses the embedding index like {@link SearchWorkerClient#search}.
+     * @async
+     * @param {string} query - The search query.
+     * @param {Array<{index: number, text: string}>} chunks - Chunk texts tagged with their position on the page.
+     * @returns {Promise<Float32Array>} Cosine similarity of each chunk, 0 where it has no embedding.
+     * @throws {Error} If the worker is unavailable or crashes during scoring.
+     */
+    async score(query, chunks) {
+        return this.requestWithChunks({ type: 'SCORE', query, chunks });
+    }
+
+    /**
+     * Sends a request about page chunks to the worker, with the chunk embeddings stored for this
+     * page when the index is enabled; the ones the worker computes are stored for the next visit.
+     * @async
+     * @param {Object} message - The request, with `type`, `query` and `chunks`.
+     * @returns {Promise<*>} The worker's answer.
+     * @throws {Error} If the worker is unavailable or crashes during the request.
+     * @private
+     */
+    async requestWithChunks(message) {
+        await this.initialize();
+        const { chunks } = message;
+        const locale = pageLocale();
+        let index = null;
+        let cached;
+        if (this.indexEnabled) {
+            index = { model: `${this.providerName}:${locale}`, url: indexedPageUrl(), hashes: chunks.map(chunk => hashText(chunk.text)) };
+            const stored = await loadIndexedEmbeddings(index.model, index.url, index.hashes);
+            cached = index.hashes.map(hash => stored.get(hash) || null);
+        }
+        if (!this.worker) throw new Error('Search worker terminated');
+
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, index });
+            this.worker.postMessage({ ...message, id, locale, cached });
+        });
+    }
+
+    /**
+     * Looks up vocabulary words related to a query in the worker's embedding provider.
+     * @async
+     * @param {string} query - The search query.
+     * @param {number} k - Maximum number of words.
+     * @returns {Promise<Array<{word: string, similarity: number}>>} Related words, most similar first.
+     * @throws {Error} If the worker is unavailable or crashes during the lookup.
+     */
+    async nearestWords(query, k) {
+        await this.initialize();
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, index: null });
+            this.worker.postMessage({ type: 'NEIGHBORS', id, query, k, locale: pageLocale() });
+        });
+    }
+
+    /**
+     * Turns the persistent embedding index on or off for later searches.
+     * @param {boolean} enabled - Whether to read and store chunk embeddings in the index.
+     */
+    setIndexEnabled(enabled) {
+        this.indexEnabled = enabled;
+    }
+
+    /**
+     * Switches to another embedding provider. A running worker is stopped; the next search starts
+     * a new one with the provider loaded.
+     * @param {string} name - Key of the provider, e.g. 'glove' or 'use'.
+     */
+    setProvider(name) {
+        if (name === this.providerName) return;
+        this.providerName = name;
+        if (this.worker || this.ready) this.terminate();
+    }
+
+    /**
+     * Stops the worker and rejects any pending searches.
+     */
+    terminate() {
+        this.failPending(new Error('Search worker terminated'));
+        this.worker?.terminate();
+        this.worker = null;
+        this.ready = null;
+    }
+}
+
+export default SearchWorkerClient;
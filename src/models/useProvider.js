@@ -0,0 +1,118 @@
+import * as tf from '@tensorflow/tfjs';
+import * as use from '@tensorflow-models/universal-sentence-encoder';
+import EmbeddingProvider from './embeddingProvider';
+import { EMBEDDING_PROVIDERS } from './providers';
+
+/**
+ * Number of texts the encoder embeds per call, bounding the size of its intermediate tensors.
+ * @constant {number}
+ */
+const BATCH_SIZE = 32;
+
+/**
+ * Output size of Universal Sentence Encoder lite.
+ * @constant {number}
+ */
+const USE_DIMENSION = 512;
+
+/**
+ * Embeds whole texts with Universal Sentence Encoder lite. The model and its vocabulary are
+ * bundled under `use/` when `npm run fetch-model` ran before the build, so nothing is fetched
+ * from the network; builds without them only offer GloVe.
+ * @class
+ * @extends EmbeddingProvider
+ */
+class UseProvider extends EmbeddingProvider {
+    /**
+     * Creates the provider.
+     * @constructor
+     * @param {string} baseUrl - URL of the extension root.
+     */
+    constructor(baseUrl) {
+        super('use', baseUrl);
+        /** @type {use.UniversalSentenceEncoder|null} */
+        this.model = null;
+    }
+
+    /**
+     * Vector dimension; 0 until the model is loaded.
+     * @type {number}
+     */
+    get dimension() {
+        return this.model ? USE_DIMENSION : 0;
+    }
+
+    /**
+     * Loads the bundled graph model and vocabulary.
+     * @async
+     * @returns {Promise<void>} Resolves once loaded.
+     * @throws {Error} If the model is not part of this build or its files cannot be loaded.
+     * @protected
+     */
+    async load() {
+        const modelUrl = new URL(EMBEDDING_PROVIDERS.use.file, this.baseUrl).href;
+        const response = await fetch(modelUrl, { method: 'HEAD' }).catch(() => null);
+        if (!response?.ok) {
+            throw new Error('Universal Sentence Encoder is not included in this build; choose GloVe in the options, or run npm run fetch-model and rebuild');
+        }
+        try {
+            this.model = await use.load({ modelUrl, vocabUrl: new URL('vocab.json', modelUrl).href });
+        } catch (error) {
+            throw new Error(`Universal Sentence Encoder files could not be loaded (run npm run fetch-model --force and rebuild): ${error.message}`);
+        }
+        console.log('Universal Sentence Encoder loaded');
+    }
+
+    /**
+     * Embeds texts in batches. Blank texts get no vector.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @returns {Promise<Array<tf.Tensor1D|null>>} One vector per text, null for blank texts.
+     */
+    async embed(texts) {
+        await this.initialize();
+        const results = new Array(texts.length).fill(null);
+        const indices = texts.map((text, index) => (text.trim() ? index : -1)).filter(index => index >= 0);
+
+        for (let i = 0; i < indices.length; i += BATCH_SIZE) {
+            const batchIndices = indices.slice(i, i + BATCH_SIZE);
+            const batch = await this.model.embed(batchIndices.map(index => texts[index]));
+            tf.unstack(batch).forEach((row, j) => { results[batchIndices[j]] = row; });
+            batch.dispose();
+        }
+        return results;
+    }
+
+    /**
+     * Embeds texts in batches, reading each batch back in one download. Blank texts get no vector.
+     * @async
+     * @param {string[]} texts - Texts to embed.
+     * @returns {Promise<Array<Float32Array|null>>} One vector per text, null for blank texts.
+     */
+    async embedVectors(texts) {
+        await this.initialize();
+        const results = new Array(texts.length).fill(null);
+        const indices = texts.map((text, index) => (text.trim() ? index : -1)).filter(index => index >= 0);
+
+        for (let i = 0; i < indices.length; i += BATCH_SIZE) {
+            const batchIndices = indices.slice(i, i + BATCH_SIZE);
+            const batch = await this.model.embed(batchIndices.map(index => texts[index]));
+            const data = await batch.data();
+            batch.dispose();
+            batchIndices.forEach((index, j) => { results[index] = data.slice(j * USE_DIMENSION, (j + 1) * USE_DIMENSION); });
+        }
+        return results;
+    }
+
+    /**
+     * Disposes of the model's weights.
+     */
+    dispose() {
+        // The package exposes no dispose(); its graph model is held in `model`
+        this.model?.model?.dispose();
+        this.model = null;
+        this.ready = null;
+    }
+}
+
+export default UseProvider;
@@ -0,0 +1,167 @@
+import { loadSettings, saveSettings, resetSettings } from '../utils/settings';
+import { clearHistory, exportHistory } from '../utils/history';
+import { EMBEDDING_PROVIDERS } from '../models/providers';
+
+/**
+ * Initializes the options page: fills the form from storage and saves every valid change.
+ * @listens DOMContentLoaded
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('options-form');
+    const resetButton = document.getElementById('reset-settings');
+    const exportButton = document.getElementById('export-history');
+    const clearButton = document.getElementById('clear-history');
+    const clearIndexButton = document.getElementById('clear-index');
+    const indexStats = document.getElementById('index-stats');
+    const status = document.getElementById('options-status');
+    const inputs = Array.from(form.querySelectorAll('[data-setting]'));
+
+    /** @type {Object} Settings currently shown in the form */
+    let settings = await loadSettings();
+    /** @type {number|undefined} Timeout ID for hiding the status message */
+    let statusTimeout;
+
+    /**
+     * Shows a short status message next to the reset button.
+     * @param {string} message - Message to show.
+     * @param {boolean} [isError=false] - Whether to style the message as an error.
+     */
+    function showStatus(message, isError = false) {
+        clearTimeout(statusTimeout);
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        if (!isError) statusTimeout = setTimeout(() => { status.textContent = ''; }, 1500);
+    }
+
+    /**
+     * Writes settings into the form inputs, keyed by their `data-setting="section.key"` path.
+     * @param {Object} values - Complete settings object.
+     */
+    function fillForm(values) {
+        inputs.forEach(input => {
+            const [section, key] = input.dataset.setting.split('.');
+            if (input.type === 'checkbox') input.checked = values[section][key];
+            else input.value = values[section][key];
+        });
+    }
+
+    /**
+     * Shows how many pages the embedding index holds and its size, as reported by the background.
+     * @async
+     */
+    async function showIndexStats() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'INDEX_STATS' });
+            if (!response?.success) throw new Error(response?.error || 'No response from background');
+            const { pages, bytes } = response.stats;
+            indexStats.textContent = `${pages} ${pages === 1 ? 'page' : 'pages'}, ${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        } catch (error) {
+            console.error('Failed to read index stats:', error);
+            indexStats.textContent = '';
+        }
+    }
+
+    /**
+     * Checks that a provider's model files are part of this build.
+     * @async
+     * @param {string} name - Key of the provider.
+     * @returns {Promise<boolean>} True if the provider's entry file can be fetched.
+     */
+    async function isProviderBundled(name) {
+        try {
+            const response = await fetch(chrome.runtime.getURL(EMBEDDING_PROVIDERS[name].file), { method: 'HEAD' });
+            return response.ok;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Saves the value of a changed input if it passes the input's constraints.
+     * @async
+     * @param {Event} event - The change event.
+     */
+    async function handleChange(event) {
+        const input = event.target;
+        if (!input.dataset.setting) return;
+        if (!input.checkValidity() || input.value === '') {
+            showStatus(`Invalid value: ${input.validationMessage || 'a number is required'}`, true);
+            return;
+        }
+
+        const [section, key] = input.dataset.setting.split('.');
+        if (input.dataset.setting === 'embedding.provider' && !await isProviderBundled(input.value)) {
+            input.value = settings.embedding.provider;
+            showStatus('This build does not include that model; see the README to bundle it', true);
+            return;
+        }
+
+        let value = Number(input.value);
+        if (input.type === 'checkbox') value = input.checked;
+        else if (input.tagName === 'SELECT') value = input.value;
+        settings = { ...settings, [section]: { ...settings[section], [key]: value } };
+        try {
+            await saveSettings(settings);
+            showStatus('Saved');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            showStatus(`Could not save: ${error.message}`, true);
+        }
+    }
+
+    form.addEventListener('change', handleChange);
+
+    resetButton.addEventListener('click', async () => {
+        try {
+            settings = await resetSettings();
+            fillForm(settings);
+            showStatus('Defaults restored');
+        } catch (error) {
+            console.error('Failed to reset settings:', error);
+            showStatus(`Could not reset: ${error.message}`, true);
+        }
+    });
+
+    exportButton.addEventListener('click', async () => {
+        try {
+            const blob = new Blob([await exportHistory()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `fzf-search-history-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            showStatus('History exported');
+        } catch (error) {
+            console.error('Failed to export history:', error);
+            showStatus(`Could not export: ${error.message}`, true);
+        }
+    });
+
+    clearButton.addEventListener('click', async () => {
+        if (!confirm('Delete all search history? Saved searches are kept.')) return;
+        try {
+            await clearHistory();
+            showStatus('History cleared');
+        } catch (error) {
+            console.error('Failed to clear history:', error);
+            showStatus(`Could not clear: ${error.message}`, true);
+        }
+    });
+
+    clearIndexButton.addEventListener('click', async () => {
+        if (!confirm('Delete all stored page embeddings? They are recomputed on the next search.')) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'INDEX_CLEAR' });
+            if (!response?.success) throw new Error(response?.error || 'No response from background');
+            showStatus('Index cleared');
+            showIndexStats();
+        } catch (error) {
+            console.error('Failed to clear index:', error);
+            showStatus(`Could not clear: ${error.message}`, true);
+        }
+    });
+
+    fillForm(settings);
+    showIndexStats();
+});
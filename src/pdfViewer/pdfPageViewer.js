@@ -0,0 +1,449 @@
+import { RenderingCancelledException, TextLayer } from 'pdfjs-dist';
+import { extractPageText } from '../utils/pdfHandler';
+
+/**
+ * Margins around the viewport, as `rootMargin` values: pages within `RENDER_MARGIN` are drawn,
+ * and pages that scroll further away than `RELEASE_MARGIN` have their canvas and text layer freed.
+ * The gap between the two keeps a page from being freed and redrawn while scrolling back and forth.
+ * @constant {string} RENDER_MARGIN
+ * @constant {string} RELEASE_MARGIN
+ */
+const RENDER_MARGIN = '100% 0px';
+const RELEASE_MARGIN = '300% 0px';
+
+/**
+ * Space between pages, in pixels.
+ * @constant {number}
+ */
+const PAGE_GAP = 10;
+
+/**
+ * Smallest and largest zoom factors.
+ * @constant {number} MIN_SCALE
+ * @constant {number} MAX_SCALE
+ */
+export const MIN_SCALE = 0.25;
+export const MAX_SCALE = 5;
+
+/**
+ * State of one page of the document.
+ * @typedef {Object} PageView
+ * @property {number} number - 1-based page number.
+ * @property {HTMLElement} element - The page container, sized before the page is drawn.
+ * @property {{width: number, height: number}|null} size - Size of the page at zoom 1 without
+ *     rotation by the user, once known; pages not loaded yet are assumed to be as large as the first.
+ * @property {HTMLCanvasElement|null} canvas - The drawn page, while rendered.
+ * @property {TextLayer|null} textLayer - The page's text layer, once drawn and while rendered.
+ * @property {Object|null} renderTask - The canvas render in progress.
+ * @property {Promise<void>|null} rendering - Resolves once the page is rendered.
+ * @property {Object|null} drawing - Token of the draw in progress; replaced when the page is freed.
+ */
+
+/**
+ * Shows a PDF as a scrollable column of pages, drawing only the pages near the viewport so large
+ * documents open at once and stay within a bounded amount of memory. Pages are laid out at the
+ * size of the first page until they are drawn. Zooming or rotating frees every page and lets the
+ * ones in view draw again, so their text layers, and the highlights on them, match the new layout.
+ * Implements {@link import('../content/pdfSource').PdfSource} so the content script can search every
+ * page, rendered or not.
+ * @class
+ */
+class PdfPageViewer {
+    /**
+     * Creates a viewer; nothing is shown until {@link PdfPageViewer#initialize}.
+     * @constructor
+     * @param {HTMLElement} container - The scrolling element the pages are added to.
+     * @param {Object} pdf - The document from pdf.js `getDocument`.
+     * @param {Object} [options] - Viewer options.
+     * @param {number} [options.scale=1.5] - Zoom factor of the pages.
+     */
+    constructor(container, pdf, { scale = 1.5 } = {}) {
+        this.container = container;
+        this.pdf = pdf;
+        this.scale = scale;
+        /** @type {number} Clockwise rotation chosen by the user, in degrees */
+        this.rotation = 0;
+        /** @type {{width: number, height: number}|null} Size of the first page at zoom 1 */
+        this.defaultSize = null;
+        /** @type {number} Page at the top of the viewport, reported to 'pagechange' listeners */
+        this.currentPage = 1;
+        /** @type {PageView[]} */
+        this.pages = [];
+        /** @type {Map<number, Promise<import('../utils/pdfHandler').PdfPageText>>} Text of each page, by page number */
+        this.textContents = new Map();
+        /** @type {Object<string, Set<function(*)>>} Callbacks by event */
+        this.listeners = { pagerendered: new Set(), pagereleased: new Set(), pagechange: new Set(), matcheschange: new Set() };
+        this.handleScroll = () => {
+            const page = this.pageAtTop();
+            if (page === this.currentPage) return;
+            this.currentPage = page;
+            this.emit('pagechange', page);
+        };
+        /** @type {IntersectionObserver|null} */
+        this.renderObserver = null;
+        /** @type {IntersectionObserver|null} */
+        this.releaseObserver = null;
+    }
+
+    /**
+     * Number of pages in the document.
+     * @type {number}
+     */
+    get numPages() {
+        return this.pdf.numPages;
+    }
+
+    /**
+     * Lays out a placeholder for every page and starts drawing the pages as they near the viewport.
+     * @async
+     * @returns {Promise<void>} Resolves once the placeholders are in place.
+     */
+    async initialize() {
+        const firstPage = await this.pdf.getPage(1);
+        const { width, height } = firstPage.getViewport({ scale: 1 });
+        this.defaultSize = { width, height };
+
+        for (let number = 1; number <= this.pdf.numPages; number++) {
+            const element = document.createElement('div');
+            element.className = 'pdf-page';
+            element.style.position = 'relative';
+            element.style.margin = `0 auto ${PAGE_GAP}px`;
+            element.setAttribute('aria-label', `Page ${number}`);
+            element.dataset.pageNumber = number;
+            const view = { number, element, size: null, canvas: null, textLayer: null, renderTask: null, rendering: null, drawing: null };
+            this.layoutPage(view);
+            this.container.appendChild(element);
+            this.pages.push(view);
+        }
+        this.container.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        this.renderObserver = new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (entry.isIntersecting) this.renderPage(Number(entry.target.dataset.pageNumber)).catch(() => {});
+            }
+        }, { root: this.container, rootMargin: RENDER_MARGIN });
+        this.releaseObserver = new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) this.releasePage(Number(entry.target.dataset.pageNumber));
+            }
+        }, { root: this.container, rootMargin: RELEASE_MARGIN });
+        this.observePages();
+        console.log(`Laid out ${this.pages.length} pages`);
+    }
+
+    /**
+     * Starts watching every page for drawing and freeing. Pages already in view are reported
+     * right away, so calling this again draws the visible pages anew.
+     * @private
+     */
+    observePages() {
+        for (const { element } of this.pages) {
+            this.renderObserver.unobserve(element);
+            this.releaseObserver.unobserve(element);
+            this.renderObserver.observe(element);
+            this.releaseObserver.observe(element);
+        }
+    }
+
+    /**
+     * Sizes a page container for the current zoom and rotation. The text layer scales with `--scale-factor`.
+     * @param {PageView} view - The page.
+     * @private
+     */
+    layoutPage(view) {
+        const { width, height } = view.size || this.defaultSize;
+        const turned = this.rotation % 180 !== 0;
+        view.element.style.width = `${(turned ? height : width) * this.scale}px`;
+        view.element.style.height = `${(turned ? width : height) * this.scale}px`;
+        view.element.style.setProperty('--scale-factor', this.scale);
+    }
+
+    /**
+     * Returns the page at the top of the viewport.
+     * @returns {number} 1-based page number.
+     * @private
+     */
+    pageAtTop() {
+        const top = this.container.scrollTop + PAGE_GAP;
+        let low = 0;
+        let high = this.pages.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.pages[middle].element.offsetTop <= top) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    }
+
+    /**
+     * Scrolls a page to the top of the viewport.
+     * @param {number} number - 1-based page number.
+     * @param {number} [fraction=0] - Part of the page scrolled past, from 0 to 1.
+     */
+    scrollToPage(number, fraction = 0) {
+        const view = this.pages[Math.min(Math.max(number, 1), this.pages.length) - 1];
+        if (!view) return;
+        this.container.scrollTop = view.element.offsetTop + view.element.offsetHeight * fraction;
+    }
+
+    /**
+     * Zooms the document, keeping the page at the top of the viewport in place.
+     * @param {number} scale - The zoom factor, clamped to {@link MIN_SCALE} and {@link MAX_SCALE}.
+     */
+    setScale(scale) {
+        const clamped = Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+        if (clamped === this.scale) return;
+        this.relayout(() => {
+            this.scale = clamped;
+        });
+    }
+
+    /**
+     * Rotates every page by a quarter turn clockwise.
+     */
+    rotate() {
+        this.relayout(() => {
+            this.rotation = (this.rotation + 90) % 360;
+        });
+    }
+
+    /**
+     * Zoom factor at which a page fills the viewport's width, or the whole viewport.
+     * @param {'page-width'|'page-fit'} mode - What to fit.
+     * @returns {number} The zoom factor.
+     */
+    fitScale(mode) {
+        const view = this.pages[this.currentPage - 1];
+        const { width, height } = view?.size || this.defaultSize;
+        const turned = this.rotation % 180 !== 0;
+        const widthScale = (this.container.clientWidth - 2 * PAGE_GAP) / (turned ? height : width);
+        const heightScale = (this.container.clientHeight - PAGE_GAP) / (turned ? width : height);
+        return mode === 'page-fit' ? Math.min(widthScale, heightScale) : widthScale;
+    }
+
+    /**
+     * Changes the layout: frees every page, applies the change, resizes the placeholders and
+     * scrolls back to where the reader was, then lets the pages in view draw again.
+     * @param {function()} change - Updates the zoom or rotation.
+     * @private
+     */
+    relayout(change) {
+        const view = this.pages[this.pageAtTop() - 1];
+        const fraction = view ? (this.container.scrollTop - view.element.offsetTop) / view.element.offsetHeight : 0;
+        this.pages.forEach(({ number }) => this.releasePage(number));
+        change();
+        this.pages.forEach(page => this.layoutPage(page));
+        if (view) this.scrollToPage(view.number, Math.max(fraction, 0));
+        this.observePages();
+    }
+
+    /**
+     * Returns the text of a page, extracting it once.
+     * @async
+     * @param {number} number - 1-based page number.
+     * @returns {Promise<import('../utils/pdfHandler').PdfPageText>} The page's text.
+     * @private
+     */
+    async getTextContent(number) {
+        if (!this.textContents.has(number)) {
+            const content = extractPageText(this.pdf, number);
+            this.textContents.set(number, content);
+            content.catch(() => this.textContents.delete(number));
+        }
+        return this.textContents.get(number);
+    }
+
+    /**
+     * Returns the text items of a page in text layer order.
+     * @async
+     * @param {number} number - 1-based page number.
+     * @returns {Promise<Object[]>} The text items.
+     */
+    async getTextItems(number) {
+        const { items } = await this.getTextContent(number);
+        return items;
+    }
+
+    /**
+     * Returns the text layer spans of a rendered page, one per text item from
+     * {@link PdfPageViewer#getTextItems}; items without text have a span that is not attached.
+     * @param {number} number - 1-based page number.
+     * @returns {HTMLElement[]|null} The spans, or null if the page is not rendered.
+     */
+    getTextDivs(number) {
+        return this.pages[number - 1]?.textLayer?.textDivs ?? null;
+    }
+
+    /**
+     * Returns a page's viewport at the current zoom and rotation, sizing its placeholder the first
+     * time the page is loaded.
+     * @param {PageView} view - The page.
+     * @param {Object} page - The page from pdf.js `getPage`.
+     * @returns {Object} The viewport.
+     * @private
+     */
+    viewportOf(view, page) {
+        if (!view.size) {
+            const { width, height } = page.getViewport({ scale: 1 });
+            view.size = { width, height };
+            this.layoutPage(view);
+        }
+        return page.getViewport({ scale: this.scale, rotation: (page.rotate + this.rotation) % 360 });
+    }
+
+    /**
+     * Scrolls a rectangle of a page to the middle of the viewport, without waiting for the page to
+     * be drawn.
+     * @async
+     * @param {number} number - 1-based page number.
+     * @param {number[]} rect - The rectangle `[x1, y1, x2, y2]` in PDF user space, as in text item transforms.
+     * @returns {Promise<void>} Resolves once scrolled.
+     * @throws {Error} If the page does not exist.
+     */
+    async scrollToRect(number, rect) {
+        const view = this.pages[number - 1];
+        if (!view) throw new Error(`Page ${number} does not exist`);
+        const viewport = this.viewportOf(view, await this.pdf.getPage(number));
+        const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+        this.container.scrollTop = view.element.offsetTop + (y1 + y2) / 2 - this.container.clientHeight / 2;
+        this.container.scrollLeft = view.element.offsetLeft + (x1 + x2) / 2 - this.container.clientWidth / 2;
+    }
+
+    /**
+     * Draws a page's canvas and text layer, unless already drawn or being drawn.
+     * @async
+     * @param {number} number - 1-based page number.
+     * @returns {Promise<void>} Resolves once the page is rendered.
+     * @throws {Error} If the page does not exist, or rendering fails or is cancelled.
+     */
+    async renderPage(number) {
+        const view = this.pages[number - 1];
+        if (!view) throw new Error(`Page ${number} does not exist`);
+        if (!view.rendering) {
+            const rendering = this.drawPage(view).catch(error => {
+                // A draw cancelled by releasePage may fail after a newer draw started; leave that one alone
+                if (view.rendering === rendering) view.rendering = null;
+                if (!['RenderingCancelledException', 'AbortException'].includes(error?.name)) {
+                    console.error(`Failed to render page ${number}:`, error);
+                }
+                throw error;
+            });
+            view.rendering = rendering;
+        }
+        return view.rendering;
+    }
+
+    /**
+     * Draws a page and notifies 'pagerendered' listeners.
+     * @async
+     * @param {PageView} view - The page.
+     * @returns {Promise<void>} Resolves once the canvas and text layer are drawn.
+     * @private
+     */
+    async drawPage(view) {
+        const drawing = {};
+        view.drawing = drawing;
+        // The page may be freed while waiting on pdf.js; stop instead of drawing into it
+        const checkCurrent = () => {
+            if (view.drawing !== drawing) throw new RenderingCancelledException(`Rendering cancelled, page ${view.number}`);
+        };
+
+        const page = await this.pdf.getPage(view.number);
+        checkCurrent();
+        const viewport = this.viewportOf(view, page);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        view.canvas = canvas;
+        view.element.appendChild(canvas);
+        view.renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        await view.renderTask.promise;
+        view.renderTask = null;
+        const textContent = await this.getTextContent(view.number);
+        checkCurrent();
+
+        const textLayerDiv = document.createElement('div');
+        textLayerDiv.className = 'textLayer';
+        view.element.appendChild(textLayerDiv);
+        const textLayer = new TextLayer({
+            textContentSource: textContent,
+            container: textLayerDiv,
+            viewport
+        });
+        await textLayer.render();
+        checkCurrent();
+        view.textLayer = textLayer;
+        console.debug(`Rendered page ${view.number}`);
+        this.emit('pagerendered', view.number);
+    }
+
+    /**
+     * Frees a page's canvas and text layer, keeping its placeholder. Notifies 'pagereleased'
+     * listeners if the page was rendered.
+     * @param {number} number - 1-based page number.
+     */
+    releasePage(number) {
+        const view = this.pages[number - 1];
+        if (!view?.rendering) return;
+        view.renderTask?.cancel();
+        if (view.canvas) {
+            // Shrinking the canvas frees its backing store right away
+            view.canvas.width = 0;
+            view.canvas.height = 0;
+        }
+        const wasRendered = Boolean(view.textLayer);
+        view.element.replaceChildren();
+        Object.assign(view, { canvas: null, textLayer: null, renderTask: null, rendering: null, drawing: null });
+        if (wasRendered) this.emit('pagereleased', number);
+    }
+
+    /**
+     * Shows where the matches of a search are, for the sidebar's heatmap.
+     * @param {import('./pdfSidebar').PageMatch[]} matches - The matches; empty once the search is cleared.
+     */
+    showMatches(matches) {
+        this.emit('matcheschange', matches);
+    }
+
+    /**
+     * Subscribes to a viewer event: a page was drawn or freed, another page scrolled to the top, or
+     * the matches of a search changed.
+     * @param {'pagerendered'|'pagereleased'|'pagechange'|'matcheschange'} type - The event.
+     * @param {function(*)} callback - Called with the page number, or with the matches for 'matcheschange'.
+     * @returns {function()} Unsubscribes the callback.
+     */
+    on(type, callback) {
+        this.listeners[type].add(callback);
+        return () => this.listeners[type].delete(callback);
+    }
+
+    /**
+     * Calls the listeners of an event.
+     * @param {'pagerendered'|'pagereleased'|'pagechange'|'matcheschange'} type - The event.
+     * @param {*} detail - The page number, or the matches for 'matcheschange'.
+     * @private
+     */
+    emit(type, detail) {
+        for (const callback of this.listeners[type]) {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Stops drawing pages and frees every rendered page.
+     */
+    dispose() {
+        this.renderObserver?.disconnect();
+        this.releaseObserver?.disconnect();
+        this.container.removeEventListener('scroll', this.handleScroll);
+        this.pages.forEach(({ number }) => this.releasePage(number));
+        Object.values(this.listeners).forEach(listeners => listeners.clear());
+    }
+}
+
+export default PdfPageViewer;
@@ -0,0 +1,303 @@
+/**
+ * Width of page thumbnails, in CSS pixels.
+ * @constant {number}
+ */
+const THUMBNAIL_WIDTH = 100;
+
+/**
+ * Thumbnails within this margin of the sidebar's viewport are drawn.
+ * @constant {string}
+ */
+const THUMBNAIL_MARGIN = '200px 0px';
+
+/**
+ * A match reported by the content script, reduced to what the heatmap needs.
+ * @typedef {Object} PageMatch
+ * @property {number} page - 1-based page the match is on.
+ * @property {number|null} score - Relevance score of the match, in modes that produce one.
+ */
+
+/**
+ * How many matches a page or section holds, and the best of their scores.
+ * @typedef {Object} Heat
+ * @property {number} count - Number of matches.
+ * @property {number|null} best - Best score of the matches, or null if none has one.
+ */
+
+/**
+ * An outline entry with the pages of its section.
+ * @typedef {Object} OutlineEntry
+ * @property {HTMLElement} element - The entry's button.
+ * @property {number|null} page - 1-based page the entry points to, or null if it cannot be resolved.
+ * @property {number} depth - Nesting level, 0 for top-level entries.
+ * @property {number|null} lastPage - Last page of the section, before the next entry that is not nested in it.
+ */
+
+/**
+ * Sidebar of the PDF viewer listing the document outline and page thumbnails. After a search, both
+ * are tinted by how many matches a page or section holds, or by the best score among them, so
+ * the parts of a long document that discuss a topic stand out.
+ * @class
+ */
+class PdfSidebar {
+    /**
+     * Creates a sidebar; nothing is shown until {@link PdfSidebar#initialize}.
+     * @constructor
+     * @param {HTMLElement} element - The sidebar element, holding the tabs, the heatmap selector and both panels.
+     * @param {import('./pdfPageViewer').default} viewer - The viewer the sidebar navigates.
+     * @param {Object} pdf - The document from pdf.js `getDocument`.
+     */
+    constructor(element, viewer, pdf) {
+        this.element = element;
+        this.viewer = viewer;
+        this.pdf = pdf;
+        this.outlinePanel = element.querySelector('#outline-panel');
+        this.thumbnailPanel = element.querySelector('#thumbnail-panel');
+        this.heatSelect = element.querySelector('#heat-mode');
+        /** @type {OutlineEntry[]} Outline entries in document order */
+        this.outline = [];
+        /** @type {HTMLElement[]} Thumbnail buttons, by page index */
+        this.thumbnails = [];
+        /** @type {PageMatch[]} Matches of the last search */
+        this.matches = [];
+        /** @type {Promise<void>} Thumbnails are drawn one at a time, after the visible pages */
+        this.drawQueue = Promise.resolve();
+        /** @type {IntersectionObserver|null} */
+        this.thumbnailObserver = null;
+        /** @type {function()[]} Unsubscribes from the viewer */
+        this.unsubscribers = [];
+        /** @type {string[]} Object URLs of drawn thumbnails, freed on dispose */
+        this.imageUrls = [];
+    }
+
+    /**
+     * Builds the outline and the thumbnail placeholders and starts following the viewer.
+     * @async
+     * @returns {Promise<void>} Resolves once the outline is built.
+     */
+    async initialize() {
+        for (const tab of this.element.querySelectorAll('[role="tab"]')) {
+            tab.addEventListener('click', () => this.selectTab(tab));
+        }
+        this.heatSelect.addEventListener('change', () => this.paint());
+
+        this.buildThumbnails();
+        try {
+            await this.buildOutline();
+        } catch (error) {
+            console.warn('Failed to load PDF outline:', error);
+        }
+        // Documents without an outline open on their thumbnails
+        this.selectTab(this.element.querySelector(this.outline.length ? '#outline-tab' : '#thumbnail-tab'));
+
+        this.unsubscribers.push(
+            this.viewer.on('pagechange', page => this.showCurrentPage(page)),
+            this.viewer.on('matcheschange', matches => this.showMatches(matches))
+        );
+        this.showCurrentPage(this.viewer.currentPage);
+        console.debug(`Sidebar ready: ${this.outline.length} outline entries, ${this.thumbnails.length} thumbnails`);
+    }
+
+    /**
+     * Shows the panel of a tab.
+     * @param {HTMLElement} tab - The tab.
+     * @private
+     */
+    selectTab(tab) {
+        for (const other of this.element.querySelectorAll('[role="tab"]')) {
+            const selected = other === tab;
+            other.setAttribute('aria-selected', String(selected));
+            document.getElementById(other.getAttribute('aria-controls')).hidden = !selected;
+        }
+    }
+
+    /**
+     * Resolves an outline destination to a page number.
+     * @async
+     * @param {string|Array|null} dest - A named destination or an explicit one, whose first element is the page.
+     * @returns {Promise<number|null>} 1-based page number, or null if the destination does not point to a page.
+     * @private
+     */
+    async pageOfDestination(dest) {
+        const explicit = typeof dest === 'string' ? await this.pdf.getDestination(dest) : dest;
+        const [target] = Array.isArray(explicit) ? explicit : [];
+        if (Number.isInteger(target)) return target + 1;
+        if (target && typeof target === 'object') return (await this.pdf.getPageIndex(target)) + 1;
+        return null;
+    }
+
+    /**
+     * Lists the document outline as nested lists, resolving each entry to its page.
+     * @async
+     * @returns {Promise<void>} Resolves once the outline is shown.
+     * @private
+     */
+    async buildOutline() {
+        const items = await this.pdf.getOutline();
+        if (!items?.length) {
+            this.outlinePanel.textContent = 'This document has no outline.';
+            return;
+        }
+        const buildList = async (nodes, depth) => {
+            const list = document.createElement('ul');
+            list.setAttribute('role', depth ? 'group' : 'tree');
+            for (const node of nodes) {
+                const item = document.createElement('li');
+                item.setAttribute('role', 'treeitem');
+                const button = document.createElement('button');
+                button.className = 'outline-entry';
+                button.textContent = node.title;
+                const page = await this.pageOfDestination(node.dest).catch(() => null);
+                if (page) button.addEventListener('click', () => this.viewer.scrollToPage(page));
+                else button.disabled = true;
+                item.appendChild(button);
+                this.outline.push({ element: button, page, depth, lastPage: null });
+                if (node.items?.length) item.appendChild(await buildList(node.items, depth + 1));
+                list.appendChild(item);
+            }
+            return list;
+        };
+        this.outlinePanel.replaceChildren(await buildList(items, 0));
+
+        // A section runs until the page before the next entry that is not nested in it
+        this.outline.forEach((entry, index) => {
+            if (!entry.page) return;
+            const next = this.outline.slice(index + 1).find(other => other.page && other.depth <= entry.depth);
+            entry.lastPage = next ? Math.max(entry.page, next.page - 1) : this.pdf.numPages;
+        });
+    }
+
+    /**
+     * Adds a placeholder per page; thumbnails are drawn as they scroll into the sidebar.
+     * @private
+     */
+    buildThumbnails() {
+        const { width, height } = this.viewer.defaultSize;
+        this.thumbnailObserver = new IntersectionObserver(entries => {
+            for (const entry of entries) {
+                if (!entry.isIntersecting) continue;
+                this.thumbnailObserver.unobserve(entry.target);
+                const number = Number(entry.target.dataset.pageNumber);
+                this.drawQueue = this.drawQueue
+                    .then(() => this.drawThumbnail(number))
+                    .catch(error => console.warn(`Failed to draw thumbnail ${number}:`, error));
+            }
+        }, { root: this.thumbnailPanel, rootMargin: THUMBNAIL_MARGIN });
+
+        for (let number = 1; number <= this.pdf.numPages; number++) {
+            const button = document.createElement('button');
+            button.className = 'thumbnail';
+            button.dataset.pageNumber = number;
+            button.setAttribute('aria-label', `Page ${number}`);
+            button.addEventListener('click', () => this.viewer.scrollToPage(number));
+            const frame = document.createElement('div');
+            frame.className = 'thumbnail-frame';
+            frame.style.width = `${THUMBNAIL_WIDTH}px`;
+            frame.style.aspectRatio = `${width} / ${height}`;
+            const label = document.createElement('span');
+            label.textContent = number;
+            button.append(frame, label);
+            this.thumbnailPanel.appendChild(button);
+            this.thumbnails.push(button);
+            this.thumbnailObserver.observe(button);
+        }
+    }
+
+    /**
+     * Draws a page into its thumbnail as an image, so no canvas is kept per page.
+     * @async
+     * @param {number} number - 1-based page number.
+     * @returns {Promise<void>} Resolves once the thumbnail is shown.
+     * @private
+     */
+    async drawThumbnail(number) {
+        const page = await this.pdf.getPage(number);
+        const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH * window.devicePixelRatio / page.getViewport({ scale: 1 }).width });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        const blob = await new Promise(resolve => canvas.toBlob(resolve));
+        canvas.width = 0;
+        canvas.height = 0;
+        const image = document.createElement('img');
+        image.alt = '';
+        image.src = URL.createObjectURL(blob);
+        this.imageUrls.push(image.src);
+        const frame = this.thumbnails[number - 1].firstChild;
+        frame.style.aspectRatio = `${viewport.width} / ${viewport.height}`;
+        frame.replaceChildren(image);
+    }
+
+    /**
+     * Marks the thumbnail of the page at the top of the viewer and keeps it in view.
+     * @param {number} page - 1-based page number.
+     * @private
+     */
+    showCurrentPage(page) {
+        this.thumbnails.forEach((thumbnail, index) => {
+            if (index === page - 1) thumbnail.setAttribute('aria-current', 'page');
+            else thumbnail.removeAttribute('aria-current');
+        });
+        if (!this.thumbnailPanel.hidden) this.thumbnails[page - 1]?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Tints the outline and thumbnails by the matches of a search; an empty list clears the heatmap.
+     * @param {PageMatch[]} matches - The matches.
+     */
+    showMatches(matches) {
+        this.matches = matches;
+        this.paint();
+    }
+
+    /**
+     * Applies the heatmap: each page and section gets a `--heat` between 0 and 1, relative to the
+     * hottest one, from its number of matches or, when scoring by relevance, its best score.
+     * Matches without scores, as in exact searches, are always weighed by number.
+     * @private
+     */
+    paint() {
+        /** @type {Heat[]} */
+        const heats = Array.from({ length: this.pdf.numPages }, () => ({ count: 0, best: null }));
+        for (const { page, score } of this.matches) {
+            const heat = heats[page - 1];
+            if (!heat) continue;
+            heat.count++;
+            if (score !== null && (heat.best === null || score > heat.best)) heat.best = score;
+        }
+        const byScore = this.heatSelect.value === 'score' && this.matches.some(({ score }) => score !== null);
+        const valueOf = heat => byScore ? heat.best ?? 0 : heat.count;
+        const merge = pages => pages.reduce((total, heat) => ({
+            count: total.count + heat.count,
+            best: heat.best === null ? total.best : Math.max(total.best ?? -Infinity, heat.best)
+        }), { count: 0, best: null });
+
+        const apply = (element, heat, maximum) => {
+            const value = valueOf(heat);
+            element.style.setProperty('--heat', maximum > 0 && value > 0 ? (value / maximum).toFixed(3) : 0);
+            element.title = heat.count
+                ? `${heat.count} match${heat.count === 1 ? '' : 'es'}${heat.best !== null ? `, best score ${heat.best.toFixed(3)}` : ''}`
+                : '';
+        };
+
+        const pageMaximum = Math.max(0, ...heats.map(valueOf));
+        this.thumbnails.forEach((thumbnail, index) => apply(thumbnail, heats[index], pageMaximum));
+
+        const sectionHeats = this.outline.map(({ page, lastPage }) => page ? merge(heats.slice(page - 1, lastPage)) : { count: 0, best: null });
+        const sectionMaximum = Math.max(0, ...sectionHeats.map(valueOf));
+        this.outline.forEach(({ element }, index) => apply(element, sectionHeats[index], sectionMaximum));
+    }
+
+    /**
+     * Stops drawing thumbnails and frees their images.
+     */
+    dispose() {
+        this.thumbnailObserver?.disconnect();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.imageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.imageUrls = [];
+    }
+}
+
+export default PdfSidebar;
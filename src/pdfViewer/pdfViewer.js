@@ -1,5 +1,9 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import '../content/content.js';
+import PdfPageViewer from './pdfPageViewer';
+import PdfSidebar from './pdfSidebar';
+import { registerPdfSource } from '../content/pdfSource';
+import { loadViewState, saveViewState } from './viewState';
 
 pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('pdf.worker.bundle.js');
 
@@ -24,11 +28,38 @@ function debouncedSearch(searchFn, searchTerm) {
     }, 300); // 300ms delay
 }
 
+/** @type {PdfPageViewer|null} Viewer of the open document */
+let viewer = null;
+/** @type {PdfSidebar|null} Outline and thumbnails of the open document */
+let sidebar = null;
+
+/**
+ * Zoom factors the zoom in and out buttons step through.
+ * @constant {number[]}
+ */
+const ZOOM_STEPS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4, 5];
+
+/**
+ * Delay before the zoom and page are stored after they change, in milliseconds.
+ * @constant {number}
+ */
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Resolution pages are printed at, as a zoom factor of their size in points (2 is 144 DPI).
+ * @constant {number}
+ */
+const PRINT_SCALE = 2;
+
+/** @type {AbortController|null} Removes the toolbar listeners of the previous document */
+let toolbarController = null;
+
 /**
- * Renders a PDF document in the viewer, page by page, with text layers.
+ * Loads the PDF and shows it in a virtualized viewer that draws pages as they scroll into view.
+ * The viewer is registered as the document's PDF source, so searches cover every page.
  * @async
  * @function renderPDF
- * @returns {Promise<void>} Resolves when rendering is complete.
+ * @returns {Promise<void>} Resolves once the pages are laid out.
  * @throws {Error} If PDF data cannot be fetched or rendering fails.
  */
 async function renderPDF() {
@@ -66,103 +97,198 @@ async function renderPDF() {
             cMapUrl: chrome.runtime.getURL('node_modules/pdfjs-dist/cmaps/'),
             cMapPacked: true,
         }).promise;
+        if (!currentRequest) throw new Error('Rendering cancelled');
 
         const container = document.getElementById('pdf-container');
         container.style.position = 'relative';
         container.innerHTML = '';
 
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-            // Check if rendering was cancelled
-            if (!currentRequest) {
-                throw new Error('Rendering cancelled');
-            }
+        viewer?.dispose();
+        viewer = new PdfPageViewer(container, pdf, { scale: 1.5 });
+        await viewer.initialize();
+        registerPdfSource(viewer);
+        await setupToolbar(viewer, pdf, urlParams.get('file'));
+        sidebar?.dispose();
+        sidebar = new PdfSidebar(document.getElementById('sidebar'), viewer, pdf);
+        await sidebar.initialize();
 
-            const page = await pdf.getPage(pageNum);
-            const viewport = page.getViewport({ scale: 1.5 });
+        console.log(`PDF loaded with ${pdf.numPages} pages`);
+        currentRequest = null;
+    } catch (error) {
+        currentRequest = null;
+        console.error('Error rendering PDF:', error);
+        handleRenderError(error, urlParams.get('file'));
+    }
+}
 
-            const pageContainer = document.createElement('div');
-            pageContainer.className = 'pdf-page';
-            pageContainer.style.position = 'relative';
-            pageContainer.style.width = `${viewport.width}px`;
-            pageContainer.style.height = `${viewport.height}px`;
-            pageContainer.style.marginBottom = '10px';
-            pageContainer.setAttribute('aria-label', `Page ${pageNum}`);
+/**
+ * Wires the toolbar to the viewer and restores the zoom and page the document was last viewed at.
+ * The zoom and page are stored per document, keyed by its fingerprint, as they change.
+ * @async
+ * @function setupToolbar
+ * @param {PdfPageViewer} pdfViewer - The viewer.
+ * @param {Object} pdf - The document from pdf.js `getDocument`.
+ * @param {string|null} url - URL of the PDF, used to name downloads; null for local files.
+ * @returns {Promise<void>} Resolves once the stored view is restored.
+ */
+async function setupToolbar(pdfViewer, pdf, url) {
+    toolbarController?.abort();
+    toolbarController = new AbortController();
+    const { signal } = toolbarController;
+    const zoomSelect = document.getElementById('zoom-select');
+    const customZoom = zoomSelect.querySelector('option[value="custom"]');
+    const pageInput = document.getElementById('page-number');
+    const documentKey = pdf.fingerprints[0];
+    /** @type {number|string} Zoom factor, or the fit mode recomputed when the window resizes */
+    let zoom = pdfViewer.scale;
+    let saveTimeout = null;
 
-            const canvas = document.createElement('canvas');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
-            const context = canvas.getContext('2d');
-            await page.render({ canvasContext: context, viewport }).promise;
+    const scheduleSave = () => {
+        clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(() => {
+            saveViewState(documentKey, { zoom, page: pdfViewer.currentPage })
+                .catch(error => console.warn('Failed to store PDF view state:', error));
+        }, SAVE_DELAY_MS);
+    };
 
-            const textLayerDiv = document.createElement('div');
-            textLayerDiv.className = 'textLayer';
-            textLayerDiv.style.position = 'absolute';
-            textLayerDiv.style.top = '0';
-            textLayerDiv.style.left = '0';
-            textLayerDiv.style.height = `${viewport.height}px`;
-            textLayerDiv.style.width = `${viewport.width}px`;
+    const applyZoom = value => {
+        zoom = value;
+        pdfViewer.setScale(typeof value === 'string' ? pdfViewer.fitScale(value) : value);
+        const preset = [...zoomSelect.options].find(option => option !== customZoom && option.value === String(value));
+        customZoom.hidden = Boolean(preset);
+        customZoom.textContent = `${Math.round(pdfViewer.scale * 100)}%`;
+        zoomSelect.value = preset ? preset.value : 'custom';
+        scheduleSave();
+    };
 
-            pageContainer.appendChild(canvas);
-            pageContainer.appendChild(textLayerDiv);
-            container.appendChild(pageContainer);
+    const stepZoom = direction => {
+        const next = direction > 0
+            ? ZOOM_STEPS.find(step => step > pdfViewer.scale + 0.01)
+            : ZOOM_STEPS.findLast(step => step < pdfViewer.scale - 0.01);
+        if (next) applyZoom(next);
+    };
 
-            try {
-                const textContentSource = page.streamTextContent({ normalizeWhitespace: true });
-                try {
-                    const textLayer = new pdfjsLib.TextLayer({
-                        textContentSource,
-                        container: textLayerDiv,
-                        viewport,
-                        page,
-                    });
-                    await textLayer.render();
-                    console.log(`Text layer rendered for page ${pageNum}`);
-                } catch (textError) {
-                    console.error(`Text layer render failed for page ${pageNum}:`, textError);
-                    await renderTextLayerFallback(page, textLayerDiv, viewport);
-                }
-            } catch (sourceError) {
-                console.error(`Text content source error for page ${pageNum}:`, sourceError);
-                await renderTextLayerFallback(page, textLayerDiv, viewport);
-            }
-        }
+    const showPage = number => {
+        pageInput.value = number;
+        scheduleSave();
+    };
 
-        console.log('PDF rendered successfully');
-        currentRequest = null;
+    pageInput.max = pdf.numPages;
+    document.getElementById('page-count').textContent = `/ ${pdf.numPages}`;
+    document.getElementById('zoom-in').addEventListener('click', () => stepZoom(1), { signal });
+    document.getElementById('zoom-out').addEventListener('click', () => stepZoom(-1), { signal });
+    zoomSelect.addEventListener('change', () => {
+        if (zoomSelect.value === 'custom') return;
+        const value = Number(zoomSelect.value);
+        applyZoom(Number.isNaN(value) ? zoomSelect.value : value);
+    }, { signal });
+    pageInput.addEventListener('change', () => {
+        const number = Math.min(Math.max(Math.round(Number(pageInput.value)) || 1, 1), pdf.numPages);
+        pdfViewer.scrollToPage(number);
+        showPage(number);
+    }, { signal });
+    document.getElementById('rotate').addEventListener('click', () => {
+        pdfViewer.rotate();
+        if (typeof zoom === 'string') applyZoom(zoom);
+    }, { signal });
+    document.getElementById('print').addEventListener('click', () => {
+        printDocument(pdf).catch(error => console.error('Failed to print PDF:', error));
+    }, { signal });
+    document.getElementById('download').addEventListener('click', () => {
+        downloadDocument(pdf, url).catch(error => console.error('Failed to download PDF:', error));
+    }, { signal });
+    document.getElementById('toggle-sidebar').addEventListener('click', event => {
+        const sidebarElement = document.getElementById('sidebar');
+        sidebarElement.hidden = !sidebarElement.hidden;
+        event.currentTarget.setAttribute('aria-expanded', String(!sidebarElement.hidden));
+    }, { signal });
+    // Fit modes follow the container, which resizes with the window and the sidebar
+    const resizeObserver = new ResizeObserver(() => {
+        if (typeof zoom === 'string') applyZoom(zoom);
+    });
+    resizeObserver.observe(pdfViewer.container);
+    window.addEventListener('keydown', event => {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        const direction = { '=': 1, '+': 1, '-': -1 }[event.key];
+        if (!direction) return;
+        // Zoom the pages rather than the whole viewer, toolbar included
+        event.preventDefault();
+        stepZoom(direction);
+    }, { signal });
+    const unsubscribe = pdfViewer.on('pagechange', showPage);
+    signal.addEventListener('abort', () => {
+        unsubscribe();
+        resizeObserver.disconnect();
+        clearTimeout(saveTimeout);
+    });
+
+    let stored = null;
+    try {
+        stored = await loadViewState(documentKey);
     } catch (error) {
-        currentRequest = null;
-        console.error('Error rendering PDF:', error);
-        handleRenderError(error, urlParams.get('file'));
+        console.warn('Failed to load PDF view state:', error);
+    }
+    applyZoom(stored?.zoom ?? zoom);
+    if (stored?.page > 1) {
+        pdfViewer.scrollToPage(stored.page);
+        console.debug(`Restored page ${stored.page} at zoom ${stored.zoom}`);
     }
 }
 
 /**
- * Fallback rendering for text layers when primary method fails.
+ * Prints every page of a document. Pages are drawn to images at {@link PRINT_SCALE} in a container
+ * only shown when printing, so the viewer's lazily drawn pages are left alone.
  * @async
- * @param {Object} page - The PDF page object from pdfjs-dist.
- * @param {HTMLElement} textLayerDiv - The container for the text layer.
- * @param {Object} viewport - The viewport settings for the page.
- * @returns {Promise<void>} Resolves when fallback rendering is complete.
+ * @function printDocument
+ * @param {Object} pdf - The document from pdf.js `getDocument`.
+ * @returns {Promise<void>} Resolves once the print dialog closes.
  */
-async function renderTextLayerFallback(page, textLayerDiv, viewport) {
+async function printDocument(pdf) {
+    const printContainer = document.getElementById('print-container');
+    const imageUrls = [];
     try {
-        const textContent = await page.getTextContent({ normalizeWhitespace: true });
-        console.log('Text content for page', page.pageNumber, ':', textContent);
-
-        const textLayer = new pdfjsLib.TextLayer({
-            textContent,
-            container: textLayerDiv,
-            viewport,
-            page,
-        });
-        await textLayer.render();
-        console.log(`Text layer rendered for page ${page.pageNumber} using fallback`);
-    } catch (fallbackError) {
-        console.error(`Fallback rendering failed:`, fallbackError);
-        textLayerDiv.innerHTML = '<span style="color: orange;">Text layer rendering failed</span>';
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const viewport = page.getViewport({ scale: PRINT_SCALE });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport, intent: 'print' }).promise;
+            const blob = await new Promise(resolve => canvas.toBlob(resolve));
+            canvas.width = 0;
+            canvas.height = 0;
+            const image = document.createElement('img');
+            image.alt = `Page ${number}`;
+            image.src = URL.createObjectURL(blob);
+            imageUrls.push(image.src);
+            printContainer.appendChild(image);
+            await image.decode();
+        }
+        window.print();
+    } finally {
+        printContainer.replaceChildren();
+        imageUrls.forEach(imageUrl => URL.revokeObjectURL(imageUrl));
     }
 }
 
+/**
+ * Saves the original file of a document, as loaded, so local and remote PDFs download alike.
+ * @async
+ * @function downloadDocument
+ * @param {Object} pdf - The document from pdf.js `getDocument`.
+ * @param {string|null} url - URL of the PDF, used to name the file.
+ * @returns {Promise<void>} Resolves once the download is started.
+ */
+async function downloadDocument(pdf, url) {
+    const data = await pdf.getData();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+    link.download = pdfjsLib.getPdfFilenameFromUrl(url || '', 'document.pdf');
+    link.click();
+    // Give the download time to start before freeing the data
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
 /**
  * Displays an error message and download option when PDF rendering fails.
  * @param {Error} error - The error encountered during rendering.
@@ -0,0 +1,51 @@
+/**
+ * Storage key holding the zoom and page of recently viewed PDFs in chrome.storage.local.
+ * @constant {string}
+ */
+const VIEW_STATE_KEY = 'fzfPdfViewState';
+
+/**
+ * Maximum number of documents remembered; the least recently viewed is dropped first.
+ * @constant {number}
+ */
+const MAX_DOCUMENTS = 100;
+
+/**
+ * How a document was last viewed.
+ * @typedef {Object} ViewState
+ * @property {number|string} zoom - Zoom factor, or 'page-width' or 'page-fit' to fit the window.
+ * @property {number} page - 1-based page at the top of the viewport.
+ * @property {number} [timestamp] - When it was stored, in milliseconds since the epoch.
+ */
+
+/**
+ * Loads how a document was last viewed.
+ * @async
+ * @function loadViewState
+ * @param {string} key - Identifies the document, e.g. its pdf.js fingerprint.
+ * @returns {Promise<ViewState|null>} The stored state, or null if the document was not viewed before.
+ */
+export async function loadViewState(key) {
+    const result = await chrome.storage.local.get(VIEW_STATE_KEY);
+    return result[VIEW_STATE_KEY]?.[key] || null;
+}
+
+/**
+ * Stores how a document is viewed, forgetting the least recently viewed documents beyond
+ * {@link MAX_DOCUMENTS}.
+ * @async
+ * @function saveViewState
+ * @param {string} key - Identifies the document, e.g. its pdf.js fingerprint.
+ * @param {ViewState} state - The zoom and page.
+ * @returns {Promise<void>} Resolves once the state is stored.
+ */
+export async function saveViewState(key, { zoom, page }) {
+    const result = await chrome.storage.local.get(VIEW_STATE_KEY);
+    const kept = Object.entries(result[VIEW_STATE_KEY] || {})
+        .filter(([documentKey]) => documentKey !== key)
+        .sort(([, a], [, b]) => (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, MAX_DOCUMENTS - 1);
+    await chrome.storage.local.set({
+        [VIEW_STATE_KEY]: { [key]: { zoom, page, timestamp: Date.now() }, ...Object.fromEntries(kept) }
+    });
+}
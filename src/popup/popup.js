@@ -1,3 +1,6 @@
+import { isSearchableUrl, ensureContentScript } from '../utils/tabs';
+import { loadHistory, recordQuery, toggleSavedSearch, isSaved, getSuggestions } from '../utils/history';
+
 /**
  * Initializes the popup UI and handles search functionality.
  * @listens DOMContentLoaded
@@ -6,16 +9,54 @@ document.addEventListener('DOMContentLoaded', async () => {
     // DOM elements
     const searchInput = document.getElementById('search-input');
     const searchMode = document.getElementById('search-mode');
+    const searchScope = document.getElementById('search-scope');
+    const searchFilter = document.getElementById('search-filter');
+    const filterSelector = document.getElementById('filter-selector');
     const cancelButton = document.getElementById('cancel-search');
     const prevButton = document.getElementById('prev-match');
     const nextButton = document.getElementById('next-match');
+    const nextPageButton = document.getElementById('next-page-match');
     const matchPosition = document.getElementById('match-position');
     const confirmButton = document.getElementById('confirm-search');
+    const searchStatus = document.getElementById('search-status');
+    const resultsToggle = document.getElementById('toggle-results');
+    const resultsPanel = document.getElementById('results-panel');
+    const resultsList = document.getElementById('results-list');
+    const resultsSort = document.getElementById('results-sort');
+    const saveButton = document.getElementById('save-search');
+    const suggestionsList = document.getElementById('history-suggestions');
+    const synonymChips = document.getElementById('synonym-chips');
 
     /** @type {number|undefined} Timeout ID for debouncing search input */
     let debounceTimeout;
     let currentIndex = 0;
     let totalMatches = 0;
+    /** @type {boolean} Whether the page has more regex matches than were collected */
+    let truncated = false;
+    /** @type {Array<{index: number, snippet: Object, score: number|null, page: number|null, section: string|null}>} Results of the last search */
+    let results = [];
+    /** @type {string} Mode of the last completed search, used to decide whether scores are shown */
+    let lastSearchMode = searchMode.value;
+    /** @type {number|undefined} ID of the tab the popup was opened on */
+    let activeTabId;
+    /** @type {string|undefined} URL of the tab the popup was opened on, used for per-site history */
+    let activeTabUrl;
+    /** @type {{history: Object, saved: Array<Object>}} Search history and saved searches */
+    let historyData = { history: { global: [], sites: {} }, saved: [] };
+    /** @type {Array<Object>} Autocomplete suggestions currently shown */
+    let suggestions = [];
+    /** @type {number} Index of the highlighted suggestion, or -1 when none is selected */
+    let selectedSuggestion = -1;
+    /** @type {boolean} Set when closing the popup should keep the page highlights */
+    let keepHighlightsOnClose = false;
+    /** @type {number|null} Tab an all-tabs result was opened in; it keeps its highlights when the popup closes */
+    let openedTabId = null;
+    /** @type {string} Semantic query the related-word chips were found for */
+    let chipsQuery = '';
+    /** @type {Array<{word: string, similarity: number}>} Related words shown as chips */
+    let relatedWords = [];
+    /** @type {Set<string>} Related words the user switched on, matched exactly alongside the query */
+    let enabledSynonyms = new Set();
 
     const storageAvailable = (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local);
 
@@ -28,6 +69,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
+    [{ id: activeTabId, url: activeTabUrl }] = await chrome.tabs.query({ active: true, currentWindow: true });
+
     const contentScriptReady = await waitForContentScript();
     if (!contentScriptReady) {
         console.warn('Content script not ready after timeout; functionality may be limited');
@@ -38,11 +81,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     if (storageAvailable) {
-        chrome.storage.local.get(['fzfLastMode', 'fzfLastQuery'], (result) => {
+        chrome.storage.local.get(['fzfLastMode', 'fzfLastScope', 'fzfLastFilter', 'fzfLastSelector', 'fzfLastQuery', 'fzfResultsSort', 'fzfResultsExpanded'], (result) => {
             if (result.fzfLastMode) searchMode.value = result.fzfLastMode;
+            if (result.fzfLastScope) searchScope.value = result.fzfLastScope;
+            if (result.fzfLastFilter) searchFilter.value = result.fzfLastFilter;
+            if (result.fzfLastSelector) filterSelector.value = result.fzfLastSelector;
+            filterSelector.hidden = searchFilter.value !== 'selector';
             if (result.fzfLastQuery) searchInput.value = result.fzfLastQuery;
+            if (result.fzfResultsSort) resultsSort.value = result.fzfResultsSort;
+            setResultsExpanded(!!result.fzfResultsExpanded);
+            updateSaveButton();
             checkForSelection();
         });
+        try {
+            historyData = await loadHistory();
+            updateSaveButton();
+        } catch (error) {
+            console.error('Failed to load search history:', error);
+        }
     } else {
         console.warn('chrome.storage.local not available, using defaults.');
         checkForSelection();
@@ -62,11 +118,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         return false;
     }
 
+    /**
+     * Returns the part of the page to search, as chosen in the filter row.
+     * @returns {{type: string, selector?: string}} The search filter.
+     * @private
+     */
+    function currentFilter() {
+        return searchFilter.value === 'selector'
+            ? { type: 'selector', selector: filterSelector.value.trim() }
+            : { type: searchFilter.value };
+    }
+
     /**
      * Checks for selected text on the active page and triggers a search if present.
+     * The selection is left alone when it is the part of the page being searched.
      * @async
      */
     async function checkForSelection() {
+        if (searchFilter.value === 'selection') {
+            searchInput.focus();
+            return;
+        }
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (!tab?.id) return;
         const response = await new Promise(resolve => {
@@ -88,16 +160,367 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     /**
-     * Updates the match position display in the UI (e.g., "1/5").
+     * Updates the match position display in the UI (e.g., "1/5"), with the page of the current
+     * match in PDFs (e.g., "1/5 · p. 12") and a "+" when a regex matched more often than is shown.
      * @private
      */
     function updateMatchPosition() {
-        matchPosition.textContent = `${totalMatches > 0 ? currentIndex + 1 : 0}/${totalMatches}`;
+        const page = totalMatches > 0 ? results[currentIndex]?.page : null;
+        matchPosition.textContent = `${totalMatches > 0 ? currentIndex + 1 : 0}/${totalMatches}${truncated ? '+' : ''}${page ? ` · p. ${page}` : ''}`;
+        matchPosition.title = truncated ? 'The pattern has more matches than are shown; narrow it to see the rest' : '';
+        updateActiveResult();
         console.log(totalMatches > 0
             ? `Match position updated: ${currentIndex + 1}/${totalMatches}`
             : 'No matches, showing 0/0');
     }
 
+    /**
+     * Shows an error or status message below the find bar, or hides it when empty.
+     * @param {string} [message=''] - The message to display.
+     * @private
+     */
+    function showStatus(message = '') {
+        searchStatus.textContent = message;
+        searchStatus.hidden = !message;
+    }
+
+    /**
+     * Expands or collapses the results list.
+     * @param {boolean} expanded - Whether the list should be visible.
+     * @private
+     */
+    function setResultsExpanded(expanded) {
+        resultsPanel.hidden = !expanded;
+        resultsToggle.setAttribute('aria-expanded', String(expanded));
+        resultsToggle.title = expanded ? 'Hide results list' : 'Show results list';
+    }
+
+    /**
+     * Returns the results in the order selected in the sort dropdown.
+     * Results without a score keep their document order when sorting by relevance.
+     * @returns {Array<Object>} The ordered results.
+     * @private
+     */
+    function getOrderedResults() {
+        if (resultsSort.value !== 'relevance') return results;
+        return [...results].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity) || a.index - b.index);
+    }
+
+    /**
+     * Renders the results list with snippets, scores and page numbers.
+     * @private
+     */
+    function renderResults() {
+        resultsSort.parentElement.hidden = false;
+        resultsList.replaceChildren(...getOrderedResults().map(result =>
+            createResultItem(result, () => navigateMatch('JUMP_TO_MATCH', { index: result.index }))
+        ));
+        updateActiveResult();
+    }
+
+    /**
+     * Renders all-tabs results grouped under a header per tab.
+     * @param {Array<{tabId: number, windowId: number, title: string, favIconUrl?: string, matchCount: number, results: Object[]}>} tabs - Tabs with matches.
+     * @private
+     */
+    function renderTabResults(tabs) {
+        resultsSort.parentElement.hidden = true;
+        resultsList.replaceChildren();
+        for (const tab of tabs) {
+            const header = document.createElement('li');
+            header.className = 'tab-group';
+            header.setAttribute('role', 'presentation');
+            if (tab.favIconUrl) {
+                const icon = document.createElement('img');
+                icon.src = tab.favIconUrl;
+                icon.alt = '';
+                header.append(icon);
+            }
+            const title = document.createElement('span');
+            title.className = 'tab-title';
+            title.textContent = tab.title || tab.url;
+            const count = document.createElement('span');
+            count.className = 'result-meta';
+            count.textContent = `${tab.matchCount}${tab.truncated ? '+' : ''} match${tab.matchCount === 1 && !tab.truncated ? '' : 'es'}`;
+            header.append(title, count);
+            resultsList.append(header);
+
+            for (const result of tab.results) {
+                resultsList.append(createResultItem(result, () => openTabMatch(tab, result.index)));
+            }
+        }
+    }
+
+    /**
+     * Builds a results list entry with its snippet, section, score and page number.
+     * @param {Object} result - The result summary.
+     * @param {Function} onSelect - Called when the entry is clicked.
+     * @returns {HTMLLIElement} The list entry.
+     * @private
+     */
+    function createResultItem(result, onSelect) {
+        const item = document.createElement('li');
+        item.className = 'result-item';
+        item.setAttribute('role', 'option');
+        item.dataset.index = result.index;
+
+        const snippet = document.createElement('span');
+        snippet.className = 'result-snippet';
+        const mark = document.createElement('mark');
+        mark.textContent = result.snippet.match;
+        snippet.append(result.snippet.before, mark, result.snippet.after);
+        item.append(snippet);
+
+        const meta = [];
+        if (result.synonym) {
+            mark.classList.add('synonym');
+            meta.push(`≈ ${result.synonym}`);
+        }
+        if (result.section) meta.push(`§ ${result.section}`);
+        if (result.page) meta.push(`p. ${result.page}`);
+        if (lastSearchMode === 'semantic' && result.score !== null) meta.push(result.score.toFixed(2));
+        // Fused rank scores are small (at most 2 / (rrfK + 1)), so they need another digit
+        if (lastSearchMode === 'hybrid' && result.score !== null) meta.push(result.score.toFixed(3));
+        if (meta.length) {
+            const metaEl = document.createElement('span');
+            metaEl.className = 'result-meta';
+            metaEl.textContent = meta.join(' · ');
+            metaEl.title = metaEl.textContent;
+            item.append(metaEl);
+        }
+
+        item.addEventListener('click', onSelect);
+        return item;
+    }
+
+    /**
+     * Switches to a tab from an all-tabs search and scrolls to one of its matches.
+     * The background script performs the jump because the popup closes once the tab changes.
+     * @param {{tabId: number, windowId: number}} tab - The tab holding the match.
+     * @param {number} index - Index of the match within the tab.
+     * @private
+     */
+    function openTabMatch(tab, index) {
+        keepHighlightsOnClose = true;
+        openedTabId = tab.tabId;
+        chrome.runtime.sendMessage({ type: 'OPEN_TAB_MATCH', tabId: tab.tabId, windowId: tab.windowId, index });
+    }
+
+    /**
+     * Marks the result of the current match as active and scrolls it into view.
+     * @private
+     */
+    function updateActiveResult() {
+        for (const item of resultsList.children) {
+            const isActive = Number(item.dataset.index) === currentIndex && totalMatches > 0;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive && !resultsPanel.hidden) item.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Moves to the previous or next result in the displayed order.
+     * @param {number} step - -1 for the previous result, 1 for the next.
+     * @private
+     */
+    function stepResult(step) {
+        const ordered = getOrderedResults();
+        if (!ordered.length) return;
+        const position = ordered.findIndex(result => result.index === currentIndex);
+        const next = ordered[(position + step + ordered.length) % ordered.length];
+        navigateMatch('JUMP_TO_MATCH', { index: next.index });
+    }
+
+    /**
+     * Replaces the results of the last search and re-renders the list.
+     * @param {Array<Object>} newResults - Result summaries from the content script.
+     * @param {string} mode - The mode the results were produced with.
+     * @private
+     */
+    function setResults(newResults, mode) {
+        results = newResults;
+        lastSearchMode = mode;
+        nextPageButton.hidden = !results.some(result => result.page);
+        renderResults();
+    }
+
+    /**
+     * Shows the words related to the last semantic query as toggleable chips.
+     * @private
+     */
+    function renderSynonymChips() {
+        synonymChips.replaceChildren(...relatedWords.map(({ word, similarity }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'synonym-chip';
+            chip.textContent = word;
+            chip.title = `Similarity ${similarity.toFixed(2)}. Click to also match "${word}" exactly`;
+            chip.setAttribute('aria-pressed', String(enabledSynonyms.has(word)));
+            chip.addEventListener('click', () => toggleSynonym(word));
+            return chip;
+        }));
+        synonymChips.hidden = relatedWords.length === 0;
+    }
+
+    /**
+     * Updates the chips after a search. Chips of the same query keep their state; a new query
+     * starts with every chip off.
+     * @param {string} query - The search query.
+     * @param {string} mode - The search mode.
+     * @param {Array<{word: string, similarity: number}>} [neighbors=[]] - Related words from the content script.
+     * @private
+     */
+    function setRelatedWords(query, mode, neighbors = []) {
+        const key = query.trim();
+        if (mode !== 'semantic' || key !== chipsQuery) enabledSynonyms = new Set();
+        chipsQuery = mode === 'semantic' ? key : '';
+        relatedWords = mode === 'semantic' ? neighbors : [];
+        enabledSynonyms = new Set(relatedWords.map(({ word }) => word).filter(word => enabledSynonyms.has(word)));
+        renderSynonymChips();
+    }
+
+    /**
+     * Switches a related word on or off and searches again.
+     * @param {string} word - The related word.
+     * @private
+     */
+    function toggleSynonym(word) {
+        if (enabledSynonyms.has(word)) enabledSynonyms.delete(word);
+        else enabledSynonyms.add(word);
+        renderSynonymChips();
+        performSearch(searchInput.value, searchMode.value);
+    }
+
+    /**
+     * Stores a completed search as the last query and in the search history.
+     * @async
+     * @param {string} query - The search query.
+     * @param {string} mode - The search mode.
+     * @param {string} [url] - URL of the searched page; omitted for all-tabs searches.
+     * @private
+     */
+    async function rememberQuery(query, mode, url) {
+        if (!storageAvailable) return;
+        chrome.storage.local.set({ fzfLastQuery: query });
+        try {
+            await recordQuery(query, mode, url);
+            historyData = await loadHistory();
+        } catch (error) {
+            console.error('Failed to record search history:', error);
+        }
+    }
+
+    /**
+     * Reflects whether the current query and mode are a saved search in the save button.
+     * @private
+     */
+    function updateSaveButton() {
+        const saved = !!searchInput.value.trim() && isSaved(historyData.saved, searchInput.value, searchMode.value);
+        saveButton.setAttribute('aria-pressed', String(saved));
+        saveButton.title = saved ? 'Remove saved search' : 'Save search';
+    }
+
+    /**
+     * Shows history suggestions matching the text in the search box, fzf-style.
+     * @private
+     */
+    function showSuggestions() {
+        suggestions = getSuggestions(historyData, searchInput.value, activeTabUrl);
+        selectedSuggestion = -1;
+        renderSuggestions();
+    }
+
+    /**
+     * Hides the suggestions dropdown.
+     * @private
+     */
+    function hideSuggestions() {
+        suggestions = [];
+        selectedSuggestion = -1;
+        renderSuggestions();
+    }
+
+    /**
+     * Renders the suggestions dropdown, marking the characters that matched the typed text.
+     * @private
+     */
+    function renderSuggestions() {
+        suggestionsList.replaceChildren(...suggestions.map((suggestion, index) => {
+            const item = document.createElement('li');
+            item.className = 'suggestion-item';
+            item.id = `suggestion-${index}`;
+            item.setAttribute('role', 'option');
+            item.classList.toggle('saved', suggestion.saved);
+            item.classList.toggle('selected', index === selectedSuggestion);
+            item.setAttribute('aria-selected', String(index === selectedSuggestion));
+
+            const query = document.createElement('span');
+            query.className = 'suggestion-query';
+            const matched = new Set(suggestion.positions);
+            for (const [charIndex, char] of Array.from(suggestion.query).entries()) {
+                if (matched.has(charIndex)) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = char;
+                    query.append(mark);
+                } else {
+                    query.append(char);
+                }
+            }
+            const mode = document.createElement('span');
+            mode.className = 'result-meta';
+            mode.textContent = suggestion.mode;
+            item.append(query, mode);
+
+            // Keep focus in the search box so the blur handler does not hide the list first
+            item.addEventListener('mousedown', e => e.preventDefault());
+            item.addEventListener('click', () => applySuggestion(suggestion));
+            return item;
+        }));
+        const expanded = suggestions.length > 0;
+        suggestionsList.hidden = !expanded;
+        searchInput.setAttribute('aria-expanded', String(expanded));
+        if (selectedSuggestion >= 0) {
+            searchInput.setAttribute('aria-activedescendant', `suggestion-${selectedSuggestion}`);
+            suggestionsList.children[selectedSuggestion].scrollIntoView({ block: 'nearest' });
+        } else {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Moves the suggestion selection, opening the dropdown if it is closed.
+     * @param {number} step - -1 for the previous suggestion, 1 for the next.
+     * @private
+     */
+    function moveSuggestion(step) {
+        if (!suggestions.length) {
+            showSuggestions();
+            if (!suggestions.length) return;
+        }
+        selectedSuggestion = (selectedSuggestion + step + suggestions.length + 1) % (suggestions.length + 1);
+        // The slot after the last suggestion stands for "no selection"
+        if (selectedSuggestion === suggestions.length) selectedSuggestion = -1;
+        renderSuggestions();
+    }
+
+    /**
+     * Fills the search box and mode from a suggestion and runs the search.
+     * @async
+     * @param {{query: string, mode: string}} suggestion - The chosen suggestion.
+     * @private
+     */
+    async function applySuggestion(suggestion) {
+        clearTimeout(debounceTimeout);
+        hideSuggestions();
+        searchInput.value = suggestion.query;
+        searchMode.value = suggestion.mode;
+        if (storageAvailable) chrome.storage.local.set({ fzfLastMode: suggestion.mode });
+        updateSaveButton();
+        searchInput.focus();
+        await performSearch(suggestion.query, suggestion.mode);
+    }
+
     /**
      * Determines if the current page can be searched.
      * @async
@@ -110,8 +533,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 console.log('No active tab found');
                 return false;
             }
-            const url = tab.url;
-            if (/^(chrome|about|edge|brave):\/\//i.test(url) || /chrome.google.com\/webstore/.test(url)) {
+            if (!isSearchableUrl(tab.url)) {
                 console.log('Search unavailable on this page');
                 return false;
             }
@@ -133,39 +555,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             if (!tab?.id || !(await isSearchablePage())) return false;
-
-            const pingContentScript = () => new Promise(resolve => {
-                chrome.tabs.sendMessage(tab.id, { type: 'PING' }, response => {
-                    if (chrome.runtime.lastError) {
-                        resolve(null);
-                    } else {
-                        resolve(response);
-                    }
-                });
-            });
-
-            let response = await pingContentScript();
-            if (response?.status === 'OK') return true;
-
-            for (let attempt = 0; attempt < retries; attempt++) {
-                console.log(`Content script not responding, attempt ${attempt + 1}/${retries}`);
-                try {
-                    await chrome.scripting.executeScript({
-                        target: { tabId: tab.id },
-                        files: ['content.bundle.js']
-                    });
-                    await new Promise(resolve => setTimeout(resolve, delayMs));
-                    response = await pingContentScript();
-                    if (response?.status === 'OK') {
-                        console.log('Content script successfully reinjected');
-                        return true;
-                    }
-                } catch (injectionError) {
-                    console.error(`Injection attempt ${attempt + 1} failed:`, injectionError);
-                }
-            }
-            console.log('Failed to connect to content script after retries');
-            return false;
+            return await ensureContentScript(tab.id, retries, delayMs);
         } catch (error) {
             console.error('Error checking content script:', error);
             return false;
@@ -173,16 +563,47 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     /**
-     * Executes a search operation on the active tab.
+     * Searches every open tab through the background script and lists the tabs with matches.
+     * @async
+     * @param {string} query - The search query.
+     * @param {string} mode - The search mode.
+     */
+    async function performAllTabsSearch(query, mode) {
+        console.log('Searching all tabs...');
+        const response = await new Promise(resolve =>
+            chrome.runtime.sendMessage({ type: 'SEARCH_ALL_TABS', query, mode, filter: currentFilter() }, resolve)
+        );
+        results = [];
+        lastSearchMode = mode;
+        nextPageButton.hidden = true;
+        if (!response?.success) {
+            showStatus(response?.error || 'Search failed');
+            renderTabResults([]);
+            return;
+        }
+        const tabCount = response.tabs.length;
+        showStatus();
+        matchPosition.textContent = `${tabCount} tab${tabCount === 1 ? '' : 's'}`;
+        renderTabResults(response.tabs);
+        setResultsExpanded(true);
+        await rememberQuery(query, mode);
+    }
+
+    /**
+     * Executes a search operation on the active tab, or on all tabs when that scope is selected.
      * @async
      * @param {string} query - The search query.
-     * @param {string} mode - The search mode ('semantic', 'exact', 'fuzzy').
+     * @param {string} mode - The search mode ('semantic', 'hybrid', 'exact', 'fuzzy', 'regex').
      */
     async function performSearch(query, mode) {
         if (!query.trim()) {
+            showStatus();
+            setRelatedWords(query, mode);
+            setResults([], mode);
             matchPosition.textContent = '0/0';
             currentIndex = 0;
             totalMatches = 0;
+            truncated = false;
             updateMatchPosition();
             return;
         }
@@ -190,6 +611,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             console.warn('Page not searchable, aborting.');
             return;
         }
+        if (searchScope.value === 'all') {
+            setRelatedWords(query, mode);
+            await performAllTabsSearch(query, mode);
+            return;
+        }
         console.log('Searching...');
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -197,19 +623,28 @@ document.addEventListener('DOMContentLoaded', async () => {
                 console.log('Cannot connect to page');
                 return;
             }
+            const synonyms = mode === 'semantic' && query.trim() === chipsQuery ? [...enabledSynonyms] : [];
             const response = await new Promise(resolve =>
-                chrome.tabs.sendMessage(tab.id, { type: 'START_SEARCH', query, mode }, resolve)
+                chrome.tabs.sendMessage(tab.id, { type: 'START_SEARCH', query, mode, filter: currentFilter(), synonyms }, resolve)
             );
             if (response?.success) {
+                setRelatedWords(query, mode, response.neighbors);
                 currentIndex = response.currentIndex;
                 totalMatches = response.totalMatches;
+                truncated = Boolean(response.truncated);
                 console.log(`Found ${response.matchCount} match(es)`);
+                showStatus();
+                setResults(response.results || [], mode);
                 updateMatchPosition();
-                if (storageAvailable) {
-                    chrome.storage.local.set({ fzfLastQuery: query });
-                }
+                await rememberQuery(query, mode, tab.url);
             } else {
                 console.log(response?.error || 'Search failed');
+                showStatus(response?.error || 'Search failed');
+                setResults([], mode);
+                currentIndex = 0;
+                totalMatches = 0;
+                truncated = false;
+                updateMatchPosition();
             }
         } catch (error) {
             console.error('Search error:', error);
@@ -219,9 +654,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     /**
      * Sends a navigation command to the content script.
      * @async
-     * @param {string} type - Navigation type ('NEXT_MATCH' or 'PREV_MATCH').
+     * @param {string} type - Navigation type ('NEXT_MATCH', 'PREV_MATCH', 'NEXT_PAGE_MATCH' or 'JUMP_TO_MATCH').
+     * @param {Object} [payload={}] - Extra message fields, e.g. the match index for 'JUMP_TO_MATCH'.
      */
-    async function navigateMatch(type) {
+    async function navigateMatch(type, payload = {}) {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             if (!tab?.id || !(await checkContentScript())) {
@@ -229,7 +665,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
             const response = await new Promise(resolve =>
-                chrome.tabs.sendMessage(tab.id, { type }, resolve)
+                chrome.tabs.sendMessage(tab.id, { type, ...payload }, resolve)
             );
             if (!response?.success) {
                 console.warn(`Navigation (${type}) failed:`, response?.error);
@@ -243,10 +679,50 @@ document.addEventListener('DOMContentLoaded', async () => {
     searchInput.addEventListener('input', (e) => {
         clearTimeout(debounceTimeout);
         debounceTimeout = setTimeout(() => performSearch(e.target.value, searchMode.value), 300);
+        updateSaveButton();
+        showSuggestions();
+    });
+
+    searchInput.addEventListener('blur', hideSuggestions);
+
+    searchInput.addEventListener('keydown', (e) => {
+        const step = (e.ctrlKey && e.key.toLowerCase() === 'n') ? 1
+            : (e.ctrlKey && e.key.toLowerCase() === 'p') ? -1
+            : (!suggestionsList.hidden && e.key === 'ArrowDown') ? 1
+            : (!suggestionsList.hidden && e.key === 'ArrowUp') ? -1
+            : 0;
+        if (step) {
+            e.preventDefault();
+            e.stopPropagation();
+            moveSuggestion(step);
+        } else if (e.key === 'Enter' && selectedSuggestion >= 0) {
+            e.preventDefault();
+            e.stopPropagation();
+            applySuggestion(suggestions[selectedSuggestion]);
+        } else if (e.key === 'Escape' && !suggestionsList.hidden) {
+            // First Escape closes the dropdown, the next one closes the popup
+            e.preventDefault();
+            e.stopPropagation();
+            hideSuggestions();
+        }
+    });
+
+    saveButton.addEventListener('click', async () => {
+        const query = searchInput.value.trim();
+        if (!query || !storageAvailable) return;
+        try {
+            const saved = await toggleSavedSearch(query, searchMode.value);
+            historyData = await loadHistory();
+            updateSaveButton();
+            console.log(saved ? 'Search saved' : 'Saved search removed');
+        } catch (error) {
+            console.error('Failed to update saved searches:', error);
+        }
     });
 
     searchMode.addEventListener('change', () => {
         if (storageAvailable) chrome.storage.local.set({ fzfLastMode: searchMode.value });
+        updateSaveButton();
         if (searchInput.value.trim()) performSearch(searchInput.value, searchMode.value); // Removed length check
     });
 
@@ -261,6 +737,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 matchPosition.textContent = '0/0';
                 currentIndex = 0;
                 totalMatches = 0;
+                truncated = false;
                 updateMatchPosition();
             }
         } catch (error) {
@@ -270,8 +747,41 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    resultsToggle.addEventListener('click', () => {
+        const expanded = resultsPanel.hidden;
+        setResultsExpanded(expanded);
+        if (expanded) updateActiveResult();
+        if (storageAvailable) chrome.storage.local.set({ fzfResultsExpanded: expanded });
+    });
+
+    searchScope.addEventListener('change', () => {
+        if (storageAvailable) chrome.storage.local.set({ fzfLastScope: searchScope.value });
+        if (searchInput.value.trim()) performSearch(searchInput.value, searchMode.value);
+    });
+
+    searchFilter.addEventListener('change', () => {
+        filterSelector.hidden = searchFilter.value !== 'selector';
+        if (!filterSelector.hidden) filterSelector.focus();
+        if (storageAvailable) chrome.storage.local.set({ fzfLastFilter: searchFilter.value });
+        if (searchInput.value.trim()) performSearch(searchInput.value, searchMode.value);
+    });
+
+    filterSelector.addEventListener('input', () => {
+        clearTimeout(debounceTimeout);
+        if (storageAvailable) chrome.storage.local.set({ fzfLastSelector: filterSelector.value });
+        debounceTimeout = setTimeout(() => {
+            if (searchInput.value.trim()) performSearch(searchInput.value, searchMode.value);
+        }, 300);
+    });
+
+    resultsSort.addEventListener('change', () => {
+        renderResults();
+        if (storageAvailable) chrome.storage.local.set({ fzfResultsSort: resultsSort.value });
+    });
+
     prevButton.addEventListener('click', () => navigateMatch('PREV_MATCH'));
     nextButton.addEventListener('click', () => navigateMatch('NEXT_MATCH'));
+    nextPageButton.addEventListener('click', () => navigateMatch('NEXT_PAGE_MATCH'));
 
     document.addEventListener('keydown', (e) => {
         if ((e.key === 's' && e.metaKey && e.shiftKey) || (e.key === 'S' && e.ctrlKey && e.shiftKey)) {
@@ -292,26 +802,42 @@ document.addEventListener('DOMContentLoaded', async () => {
      * @private
      */
     function cycleSearchMode() {
-        const modes = ['semantic', 'exact', 'fuzzy'];
+        const modes = ['semantic', 'hybrid', 'exact', 'fuzzy', 'regex'];
         const currentModeIndex = modes.indexOf(searchMode.value);
         const nextIndex = (currentModeIndex + 1) % modes.length;
         searchMode.value = modes[nextIndex];
         if (storageAvailable) chrome.storage.local.set({ fzfLastMode: searchMode.value });
+        updateSaveButton();
         if (searchInput.value.trim()) performSearch(searchInput.value, searchMode.value);
     }
 
+    document.addEventListener('keydown', (e) => {
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !resultsPanel.hidden && results.length) {
+            e.preventDefault();
+            stepResult(e.key === 'ArrowDown' ? 1 : -1);
+        }
+    });
+
     document.addEventListener('keydown', async (e) => {
         if (e.key === 'Enter') {
             e.preventDefault();
             if (e.shiftKey) await navigateMatch('PREV_MATCH');
+            else if (e.ctrlKey || e.metaKey) await navigateMatch('NEXT_PAGE_MATCH');
             else await navigateMatch('NEXT_MATCH');
         }
     });
 
-    chrome.runtime.onMessage.addListener((request) => {
+    chrome.runtime.onMessage.addListener((request, sender) => {
+        // All-tabs searches make every tab report progress; only the popup's own tab drives the counter
+        if (sender.tab && sender.tab.id !== activeTabId) return;
+        if (searchScope.value === 'all') return;
         if (request.type === 'MATCH_UPDATE' || request.type === 'SEARCH_PROGRESS') {
             currentIndex = request.currentIndex;
             totalMatches = request.totalMatches;
+            // Only search progress knows about truncation; moving between matches keeps it
+            if (request.truncated !== undefined) truncated = request.truncated;
+            // Live updates on dynamic pages send the refreshed results along with the counter
+            if (request.results) setResults(request.results, lastSearchMode);
             updateMatchPosition();
         }
     });
@@ -323,6 +849,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     window.addEventListener('unload', async () => {
+        // Clears the tabs of the last all-tabs search, which would otherwise keep their highlights
+        chrome.runtime.sendMessage({ type: 'CLEAR_ALL_TABS_SEARCH', keepTabId: openedTabId ?? undefined });
+        if (keepHighlightsOnClose) return;
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab?.id && (await checkContentScript())) {
             chrome.tabs.sendMessage(tab.id, { type: 'CANCEL_SEARCH' });
@@ -0,0 +1,57 @@
+import { foldText, pageLocale, tokenize } from './unicode';
+
+/**
+ * BM25 parameters: `K1` saturates repeated terms, `B` normalizes for chunk length.
+ * @constant {number} K1
+ * @constant {number} B
+ */
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Splits text into folded tokens, so lexical scores ignore case and diacritics like exact mode.
+ * @param {string} text - The text.
+ * @param {string} locale - Language of the text.
+ * @returns {string[]} The tokens.
+ * @private
+ */
+function lexicalTokens(text, locale) {
+    return tokenize(text, locale).map(token => foldText(token));
+}
+
+/**
+ * Scores texts against a query with Okapi BM25, treating each text as a document and the texts
+ * together as the collection. Rare query words weigh more than common ones, and a word repeated
+ * in a short text counts for more than in a long one. Stopwords are ignored, as in embeddings.
+ * @function bm25Scores
+ * @param {string} query - The search query.
+ * @param {string[]} texts - The texts to score.
+ * @param {Object} [options] - Scoring options.
+ * @param {string} [options.locale] - Language of the texts; defaults to {@link pageLocale}.
+ * @returns {Float32Array} The score of each text; 0 where no query word occurs.
+ */
+export function bm25Scores(query, texts, { locale = pageLocale() } = {}) {
+    const scores = new Float32Array(texts.length);
+    const queryTerms = [...new Set(lexicalTokens(query, locale))];
+    if (!queryTerms.length || !texts.length) return scores;
+
+    const termCounts = texts.map(text => {
+        const counts = new Map();
+        const tokens = lexicalTokens(text, locale);
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return { counts, length: tokens.length };
+    });
+    const averageLength = termCounts.reduce((sum, { length }) => sum + length, 0) / texts.length || 1;
+
+    for (const term of queryTerms) {
+        const documentFrequency = termCounts.filter(({ counts }) => counts.has(term)).length;
+        if (!documentFrequency) continue;
+        const idf = Math.log(1 + (texts.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        termCounts.forEach(({ counts, length }, i) => {
+            const frequency = counts.get(term);
+            if (!frequency) return;
+            scores[i] += idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * length / averageLength));
+        });
+    }
+    return scores;
+}
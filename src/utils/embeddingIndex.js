@@ -0,0 +1,259 @@
+/**
+ * Persistent store of chunk embeddings, kept in the extension's IndexedDB by the background
+ * service worker. Content scripts and search workers run with the page's origin, so they reach it
+ * through the INDEX_* messages sent by embeddingIndexClient.js.
+ *
+ * Vectors are grouped by page: a page record holds the URL, the embedding model, the total size
+ * and the last access time, which drives eviction; chunk records are keyed by page and a hash of
+ * the chunk text, so a changed chunk simply gets a new record.
+ */
+
+/**
+ * Name and version of the IndexedDB database.
+ * @constant {string} DB_NAME
+ * @constant {number} DB_VERSION
+ */
+const DB_NAME = 'fzf-embedding-index';
+const DB_VERSION = 1;
+
+/**
+ * Approximate bytes a chunk record takes besides its vector.
+ * @constant {number}
+ */
+const RECORD_OVERHEAD_BYTES = 64;
+
+/** @type {Promise<IDBDatabase>|null} Open database connection */
+let dbPromise = null;
+
+/**
+ * Summary of the index shown on the options page.
+ * @typedef {Object} IndexStats
+ * @property {number} pages - Number of indexed pages.
+ * @property {number} chunks - Number of stored chunk embeddings.
+ * @property {number} bytes - Approximate size in bytes.
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ * @private
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves on completion, rejects on error or abort.
+ * @private
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Index transaction aborted'));
+    });
+}
+
+/**
+ * Opens the database, creating its stores on first use.
+ * @returns {Promise<IDBDatabase>} The connection.
+ * @private
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const pages = db.createObjectStore('pages', { keyPath: 'key' });
+            pages.createIndex('accessedAt', 'accessedAt');
+            db.createObjectStore('chunks', { keyPath: ['page', 'hash'] });
+        };
+        dbPromise = promisify(request).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Builds the key of a page record.
+ * @param {string} model - Embedding model identifier, e.g. 'glove:en'.
+ * @param {string} url - Page URL without its fragment.
+ * @returns {string} The key.
+ * @private
+ */
+function pageKey(model, url) {
+    return `${model}|${url}`;
+}
+
+/**
+ * Key range covering every chunk of a page.
+ * @param {string} page - The page key.
+ * @returns {IDBKeyRange} The range.
+ * @private
+ */
+function pageChunks(page) {
+    // Arrays sort after strings, so [page, []] is above every [page, hash]
+    return IDBKeyRange.bound([page], [page, []]);
+}
+
+/**
+ * Encodes a vector as base64 so it survives extension messaging, which only carries JSON.
+ * @function encodeVector
+ * @param {Float32Array} vector - The vector.
+ * @returns {string} Base64 of the vector's bytes.
+ */
+export function encodeVector(vector) {
+    const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decodes a vector encoded by {@link encodeVector}.
+ * @function decodeVector
+ * @param {string} data - Base64 of the vector's bytes.
+ * @returns {Float32Array} The vector.
+ */
+export function decodeVector(data) {
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+    return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Looks up stored chunk embeddings of a page and marks the page as used.
+ * @async
+ * @function getIndexedEmbeddings
+ * @param {string} model - Embedding model identifier.
+ * @param {string} url - Page URL without its fragment.
+ * @param {string[]} hashes - Hashes of the chunk texts.
+ * @returns {Promise<Object<string, Float32Array>>} Stored vectors by hash; missing chunks are left out.
+ */
+export async function getIndexedEmbeddings(model, url, hashes) {
+    const db = await openDatabase();
+    const page = pageKey(model, url);
+    const transaction = db.transaction(['pages', 'chunks'], 'readwrite');
+    const chunks = transaction.objectStore('chunks');
+    const pages = transaction.objectStore('pages');
+
+    const pageRecord = await promisify(pages.get(page));
+    const vectors = {};
+    if (pageRecord) {
+        const records = await Promise.all([...new Set(hashes)].map(hash => promisify(chunks.get([page, hash]))));
+        records.forEach(record => {
+            if (record) vectors[record.hash] = record.vector;
+        });
+        pages.put({ ...pageRecord, accessedAt: Date.now() });
+    }
+    await transactionDone(transaction);
+    return vectors;
+}
+
+/**
+ * Stores chunk embeddings of a page.
+ * @async
+ * @function putIndexedEmbeddings
+ * @param {string} model - Embedding model identifier.
+ * @param {string} url - Page URL without its fragment.
+ * @param {Array<{hash: string, vector: Float32Array}>} entries - Vectors to store.
+ * @returns {Promise<void>} Resolves once stored.
+ */
+export async function putIndexedEmbeddings(model, url, entries) {
+    if (!entries.length) return;
+    const db = await openDatabase();
+    const page = pageKey(model, url);
+    const transaction = db.transaction(['pages', 'chunks'], 'readwrite');
+    const chunks = transaction.objectStore('chunks');
+    const pages = transaction.objectStore('pages');
+
+    const pageRecord = await promisify(pages.get(page)) || { key: page, model, url, bytes: 0, chunks: 0 };
+    let added = 0;
+    for (const { hash, vector } of entries) {
+        if (await promisify(chunks.getKey([page, hash]))) continue;
+        chunks.put({ page, hash, vector });
+        pageRecord.bytes += vector.byteLength + RECORD_OVERHEAD_BYTES;
+        added++;
+    }
+    pages.put({ ...pageRecord, chunks: pageRecord.chunks + added, accessedAt: Date.now() });
+    await transactionDone(transaction);
+}
+
+/**
+ * Deletes a page and its chunks within a transaction.
+ * @param {IDBTransaction} transaction - A readwrite transaction over both stores.
+ * @param {string} page - The page key.
+ * @private
+ */
+function deletePage(transaction, page) {
+    transaction.objectStore('pages').delete(page);
+    transaction.objectStore('chunks').delete(pageChunks(page));
+}
+
+/**
+ * Evicts pages not used for `maxAgeMs`, then the least recently used pages until the index
+ * fits in `maxBytes`.
+ * @async
+ * @function evictIndexedEmbeddings
+ * @param {number} maxAgeMs - Maximum time since a page was last searched.
+ * @param {number} maxBytes - Maximum total size.
+ * @returns {Promise<number>} Number of pages evicted.
+ */
+export async function evictIndexedEmbeddings(maxAgeMs, maxBytes) {
+    const db = await openDatabase();
+    const transaction = db.transaction(['pages', 'chunks'], 'readwrite');
+    const pages = await promisify(transaction.objectStore('pages').index('accessedAt').getAll());
+
+    const cutoff = Date.now() - maxAgeMs;
+    let total = pages.reduce((sum, page) => sum + page.bytes, 0);
+    let evicted = 0;
+    // Oldest first, as returned by the accessedAt index
+    for (const page of pages) {
+        if (page.accessedAt >= cutoff && total <= maxBytes) break;
+        deletePage(transaction, page.key);
+        total -= page.bytes;
+        evicted++;
+    }
+    await transactionDone(transaction);
+    if (evicted) console.log(`Evicted ${evicted} pages from the embedding index`);
+    return evicted;
+}
+
+/**
+ * Deletes every stored embedding.
+ * @async
+ * @function clearIndexedEmbeddings
+ * @returns {Promise<void>} Resolves once the index is empty.
+ */
+export async function clearIndexedEmbeddings() {
+    const db = await openDatabase();
+    const transaction = db.transaction(['pages', 'chunks'], 'readwrite');
+    transaction.objectStore('pages').clear();
+    transaction.objectStore('chunks').clear();
+    await transactionDone(transaction);
+}
+
+/**
+ * Summarizes the index.
+ * @async
+ * @function getIndexStats
+ * @returns {Promise<IndexStats>} Page count, chunk count and size.
+ */
+export async function getIndexStats() {
+    const db = await openDatabase();
+    const pages = await promisify(db.transaction('pages').objectStore('pages').getAll());
+    return {
+        pages: pages.length,
+        chunks: pages.reduce((sum, page) => sum + page.chunks, 0),
+        bytes: pages.reduce((sum, page) => sum + page.bytes, 0)
+    };
+}
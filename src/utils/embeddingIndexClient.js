@@ -0,0 +1,61 @@
+import { encodeVector, decodeVector } from './embeddingIndex';
+import { fnv1a } from '../models/embeddingFormat';
+
+/**
+ * Hashes chunk text for the embedding index. Two 32-bit hashes with different seeds keep
+ * collisions negligible for the few thousand chunks of a page.
+ * @function hashText
+ * @param {string} text - The chunk text.
+ * @returns {string} A 16-character hex digest.
+ */
+export function hashText(text) {
+    return fnv1a(text, 0x811c9dc5).toString(16).padStart(8, '0') +
+        fnv1a(text, 0x9747b28c).toString(16).padStart(8, '0');
+}
+
+/**
+ * Returns the URL the current page is indexed under: the address without its fragment.
+ * @function indexedPageUrl
+ * @returns {string} The URL.
+ */
+export function indexedPageUrl() {
+    return location.href.split('#')[0];
+}
+
+/**
+ * Fetches stored chunk embeddings of a page from the background's index.
+ * Failures are logged and treated as an empty index, so searches never depend on it.
+ * @async
+ * @function loadIndexedEmbeddings
+ * @param {string} model - Embedding model identifier, e.g. 'glove:en'.
+ * @param {string} url - Page URL from {@link indexedPageUrl}.
+ * @param {string[]} hashes - Hashes of the chunk texts.
+ * @returns {Promise<Map<string, Float32Array>>} Stored vectors by hash.
+ */
+export async function loadIndexedEmbeddings(model, url, hashes) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'INDEX_GET', model, url, hashes });
+        if (!response?.success) throw new Error(response?.error || 'No response from background');
+        return new Map(Object.entries(response.vectors).map(([hash, data]) => [hash, decodeVector(data)]));
+    } catch (error) {
+        console.warn('Embedding index unavailable:', error);
+        return new Map();
+    }
+}
+
+/**
+ * Sends newly computed chunk embeddings to the background's index without waiting for it.
+ * @function saveIndexedEmbeddings
+ * @param {string} model - Embedding model identifier.
+ * @param {string} url - Page URL from {@link indexedPageUrl}.
+ * @param {Array<{hash: string, vector: Float32Array}>} entries - Vectors to store.
+ */
+export function saveIndexedEmbeddings(model, url, entries) {
+    if (!entries.length) return;
+    const encoded = entries.map(({ hash, vector }) => ({ hash, vector: encodeVector(vector) }));
+    chrome.runtime.sendMessage({ type: 'INDEX_PUT', model, url, entries: encoded })
+        .then(response => {
+            if (!response?.success) console.warn('Failed to store embeddings:', response?.error);
+        })
+        .catch(error => console.warn('Failed to store embeddings:', error));
+}
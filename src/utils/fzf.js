@@ -0,0 +1,489 @@
+/**
+ * Native implementation of fzf's fuzzy matching algorithm (FuzzyMatchV2) and
+ * its extended search syntax. Scoring constants and character classes mirror
+ * fzf so results rank the same way they would in the terminal. Like fzf, text
+ * and patterns are compared with diacritics removed, so "cafe" matches "café".
+ */
+
+import { foldText } from './unicode';
+
+/**
+ * Score awarded for every matched character.
+ * @constant {number}
+ */
+const SCORE_MATCH = 16;
+
+/**
+ * Penalty for opening a gap between matched characters.
+ * @constant {number}
+ */
+const SCORE_GAP_START = -3;
+
+/**
+ * Penalty for every additional character in an open gap.
+ * @constant {number}
+ */
+const SCORE_GAP_EXTENSION = -1;
+
+/**
+ * Bonus for matching the first character of a word after a non-word character.
+ * @constant {number}
+ */
+const BONUS_BOUNDARY = SCORE_MATCH / 2;
+
+/**
+ * Bonus for matching a word that starts after whitespace.
+ * @constant {number}
+ */
+const BONUS_BOUNDARY_WHITE = BONUS_BOUNDARY + 2;
+
+/**
+ * Bonus for matching a word that starts after a delimiter such as '/' or ','.
+ * @constant {number}
+ */
+const BONUS_BOUNDARY_DELIMITER = BONUS_BOUNDARY + 1;
+
+/**
+ * Bonus for matching a non-word character.
+ * @constant {number}
+ */
+const BONUS_NON_WORD = SCORE_MATCH / 2;
+
+/**
+ * Bonus for camelCase and letter-to-digit transitions.
+ * @constant {number}
+ */
+const BONUS_CAMEL_123 = BONUS_BOUNDARY + SCORE_GAP_EXTENSION;
+
+/**
+ * Minimum bonus for each character of a consecutive run.
+ * @constant {number}
+ */
+const BONUS_CONSECUTIVE = -(SCORE_GAP_START + SCORE_GAP_EXTENSION);
+
+/**
+ * Multiplier applied to the bonus of the first pattern character.
+ * @constant {number}
+ */
+const BONUS_FIRST_CHAR_MULTIPLIER = 2;
+
+/**
+ * Character classes used to compute positional bonuses, ordered as in fzf.
+ * @enum {number}
+ */
+const CharClass = {
+    WHITE: 0,
+    NON_WORD: 1,
+    DELIMITER: 2,
+    LOWER: 3,
+    UPPER: 4,
+    LETTER: 5,
+    NUMBER: 6
+};
+
+const DELIMITER_CHARS = '/,:;|';
+const WHITE_CHARS = ' \t\n\v\f\r\x85\xA0';
+
+/**
+ * Classifies a single character.
+ * @param {string} char - A single UTF-16 code unit.
+ * @returns {number} One of the {@link CharClass} values.
+ * @private
+ */
+function classOf(char) {
+    if (char >= 'a' && char <= 'z') return CharClass.LOWER;
+    if (char >= 'A' && char <= 'Z') return CharClass.UPPER;
+    if (char >= '0' && char <= '9') return CharClass.NUMBER;
+    if (WHITE_CHARS.includes(char)) return CharClass.WHITE;
+    if (DELIMITER_CHARS.includes(char)) return CharClass.DELIMITER;
+    const lower = char.toLowerCase();
+    const upper = char.toUpperCase();
+    if (lower !== upper) return char === lower ? CharClass.LOWER : CharClass.UPPER;
+    return /\p{L}/u.test(char) ? CharClass.LETTER : CharClass.NON_WORD;
+}
+
+/**
+ * Computes the positional bonus of a character given the class of its predecessor.
+ * @param {number} prevClass - Class of the preceding character.
+ * @param {number} charClass - Class of the current character.
+ * @returns {number} The bonus for matching at this position.
+ * @private
+ */
+function bonusFor(prevClass, charClass) {
+    if (charClass > CharClass.NON_WORD) {
+        if (prevClass === CharClass.WHITE) return BONUS_BOUNDARY_WHITE;
+        if (prevClass === CharClass.DELIMITER) return BONUS_BOUNDARY_DELIMITER;
+        if (prevClass === CharClass.NON_WORD) return BONUS_BOUNDARY;
+    }
+    if ((prevClass === CharClass.LOWER && charClass === CharClass.UPPER) ||
+        (prevClass !== CharClass.NUMBER && charClass === CharClass.NUMBER)) {
+        return BONUS_CAMEL_123;
+    }
+    if (charClass === CharClass.NON_WORD || charClass === CharClass.DELIMITER) return BONUS_NON_WORD;
+    if (charClass === CharClass.WHITE) return BONUS_BOUNDARY_WHITE;
+    return 0;
+}
+
+/**
+ * Result of a successful match.
+ * @typedef {Object} FzfMatch
+ * @property {number} start - Index of the first matched character.
+ * @property {number} end - Index after the last matched character.
+ * @property {number} score - fzf score, higher is better.
+ * @property {number[]} positions - Sorted indices of every matched character.
+ */
+
+/**
+ * Runs fzf's optimal fuzzy matching algorithm (V2) against a piece of text.
+ * @function fuzzyMatch
+ * @param {string} text - The text to search.
+ * @param {string} pattern - The pattern whose characters must appear in order.
+ * @param {boolean} [caseSensitive=false] - Whether to compare characters exactly.
+ * @returns {FzfMatch|null} The best-scoring alignment, or null if the pattern is not a subsequence.
+ */
+export function fuzzyMatch(text, pattern, caseSensitive = false) {
+    const M = pattern.length;
+    if (M === 0) return { start: 0, end: 0, score: 0, positions: [] };
+    const N = text.length;
+    if (M > N) return null;
+
+    const T = foldText(text, caseSensitive);
+    const P = foldText(pattern, caseSensitive);
+
+    // Phase 1: check that the pattern is a subsequence and find the first occurrence of each character
+    const F = new Int32Array(M);
+    let pidx = 0;
+    for (let idx = 0; idx < N && pidx < M; idx++) {
+        if (T[idx] === P[pidx]) F[pidx++] = idx;
+    }
+    if (pidx < M) return null;
+
+    let lastIdx = F[M - 1];
+    for (let idx = N - 1; idx > F[M - 1]; idx--) {
+        if (T[idx] === P[M - 1]) {
+            lastIdx = idx;
+            break;
+        }
+    }
+
+    const f0 = F[0];
+    const width = lastIdx - f0 + 1;
+    const B = new Int16Array(width);
+    let prevClass = f0 > 0 ? classOf(text[f0 - 1]) : CharClass.WHITE;
+    for (let idx = f0; idx <= lastIdx; idx++) {
+        const charClass = classOf(text[idx]);
+        B[idx - f0] = bonusFor(prevClass, charClass);
+        prevClass = charClass;
+    }
+
+    // Phase 2: fill the score (H) and consecutive-run (C) matrices
+    const H = new Int16Array(width * M);
+    const C = new Int16Array(width * M);
+    let maxScore = 0;
+    let maxScorePos = f0;
+
+    let prevH0 = 0;
+    let inGap = false;
+    for (let idx = f0; idx <= lastIdx; idx++) {
+        const col = idx - f0;
+        if (T[idx] === P[0]) {
+            const score = SCORE_MATCH + B[col] * BONUS_FIRST_CHAR_MULTIPLIER;
+            H[col] = score;
+            C[col] = 1;
+            if (M === 1 && score > maxScore) {
+                maxScore = score;
+                maxScorePos = idx;
+            }
+            inGap = false;
+        } else {
+            H[col] = Math.max(prevH0 + (inGap ? SCORE_GAP_EXTENSION : SCORE_GAP_START), 0);
+            C[col] = 0;
+            inGap = true;
+        }
+        prevH0 = H[col];
+    }
+
+    for (let i = 1; i < M; i++) {
+        const row = i * width;
+        const f = F[i];
+        inGap = false;
+        H[row + f - f0 - 1] = 0;
+        for (let idx = f; idx <= lastIdx; idx++) {
+            const col = idx - f0;
+            let s1 = 0;
+            let consecutive = 0;
+            const s2 = H[row + col - 1] + (inGap ? SCORE_GAP_EXTENSION : SCORE_GAP_START);
+
+            if (T[idx] === P[i]) {
+                s1 = H[row - width + col - 1] + SCORE_MATCH;
+                let bonus = B[col];
+                consecutive = C[row - width + col - 1] + 1;
+                if (consecutive > 1) {
+                    const firstBonus = B[col - consecutive + 1];
+                    if (bonus >= BONUS_BOUNDARY && bonus > firstBonus) {
+                        consecutive = 1;
+                    } else {
+                        bonus = Math.max(bonus, BONUS_CONSECUTIVE, firstBonus);
+                    }
+                }
+                if (s1 + bonus < s2) {
+                    s1 += B[col];
+                    consecutive = 0;
+                } else {
+                    s1 += bonus;
+                }
+            }
+            C[row + col] = consecutive;
+            inGap = s1 < s2;
+            const score = Math.max(s1, s2, 0);
+            if (i === M - 1 && score > maxScore) {
+                maxScore = score;
+                maxScorePos = idx;
+            }
+            H[row + col] = score;
+        }
+    }
+
+    // Phase 3: backtrace to recover the matched positions
+    const positions = [];
+    let i = M - 1;
+    let j = maxScorePos;
+    let preferMatch = true;
+    for (;;) {
+        const row = i * width;
+        const col = j - f0;
+        const s = H[row + col];
+        const s1 = i > 0 && j >= F[i] ? H[row - width + col - 1] : 0;
+        const s2 = j > F[i] ? H[row + col - 1] : 0;
+
+        if (s > s1 && (s > s2 || (s === s2 && preferMatch))) {
+            positions.push(j);
+            if (i === 0) break;
+            i--;
+        }
+        preferMatch = C[row + col] > 1 || (row + width + col + 1 < C.length && C[row + width + col + 1] > 0);
+        j--;
+    }
+    positions.reverse();
+
+    return { start: j, end: maxScorePos + 1, score: maxScore, positions };
+}
+
+/**
+ * Finds a literal occurrence of the pattern, scored like a consecutive fuzzy match.
+ * @param {string} text - The text to search.
+ * @param {string} pattern - The literal pattern.
+ * @param {boolean} caseSensitive - Whether to compare characters exactly.
+ * @param {'any'|'prefix'|'suffix'|'equal'} anchor - Where the occurrence must sit.
+ * @returns {FzfMatch|null} The best occurrence, or null if none.
+ * @private
+ */
+function exactMatch(text, pattern, caseSensitive, anchor) {
+    const T = foldText(text, caseSensitive);
+    const P = foldText(pattern, caseSensitive);
+    const candidates = [];
+
+    if (anchor === 'prefix') {
+        const offset = T.length - T.trimStart().length;
+        if (T.startsWith(P, offset)) candidates.push(offset);
+    } else if (anchor === 'suffix') {
+        const trimmed = T.trimEnd();
+        if (trimmed.endsWith(P)) candidates.push(trimmed.length - P.length);
+    } else if (anchor === 'equal') {
+        const offset = T.length - T.trimStart().length;
+        if (T.trim() === P) candidates.push(offset);
+    } else {
+        for (let idx = T.indexOf(P); idx !== -1; idx = T.indexOf(P, idx + 1)) {
+            candidates.push(idx);
+        }
+    }
+    if (!candidates.length) return null;
+
+    let best = null;
+    for (const start of candidates) {
+        const score = scoreConsecutive(text, start, P.length);
+        if (!best || score > best.score) {
+            best = { start, end: start + P.length, score, positions: [] };
+        }
+    }
+    for (let idx = best.start; idx < best.end; idx++) best.positions.push(idx);
+    return best;
+}
+
+/**
+ * Scores a contiguous run of matched characters with fzf's bonus rules.
+ * @param {string} text - The matched text.
+ * @param {number} start - Index of the first matched character.
+ * @param {number} length - Number of matched characters.
+ * @returns {number} The fzf score of the run.
+ * @private
+ */
+function scoreConsecutive(text, start, length) {
+    let score = 0;
+    let firstBonus = 0;
+    let consecutive = 0;
+    let prevClass = start > 0 ? classOf(text[start - 1]) : CharClass.WHITE;
+    for (let idx = start; idx < start + length; idx++) {
+        const charClass = classOf(text[idx]);
+        let bonus = bonusFor(prevClass, charClass);
+        if (consecutive === 0) {
+            firstBonus = bonus;
+        } else {
+            if (bonus >= BONUS_BOUNDARY && bonus > firstBonus) firstBonus = bonus;
+            bonus = Math.max(bonus, firstBonus, BONUS_CONSECUTIVE);
+        }
+        score += SCORE_MATCH + (idx === start ? bonus * BONUS_FIRST_CHAR_MULTIPLIER : bonus);
+        prevClass = charClass;
+        consecutive++;
+    }
+    return score;
+}
+
+/**
+ * A single term of an extended-syntax query.
+ * @typedef {Object} FzfTerm
+ * @property {'fuzzy'|'exact'|'prefix'|'suffix'|'equal'} type - How the term is matched.
+ * @property {boolean} inverse - Whether the term must NOT match.
+ * @property {string} text - The term text with operators stripped.
+ * @property {boolean} caseSensitive - Result of smart-case detection for this term.
+ */
+
+/**
+ * Parses a query written in fzf's extended search syntax.
+ * Space-separated groups are ANDed; terms joined by `|` inside a group are ORed.
+ * Supported operators: `'exact`, `^prefix`, `suffix$`, `^equal$`, `!negate` and `\ ` for a literal space.
+ * @function parseExtendedQuery
+ * @param {string} query - The raw query string.
+ * @returns {FzfTerm[][]} Term groups, each satisfied when any of its terms matches.
+ */
+export function parseExtendedQuery(query) {
+    const tokens = query
+        .replace(/\\ /g, '\t')
+        .split(/ +/)
+        .filter(Boolean)
+        .map(token => token.replace(/\t/g, ' '));
+
+    const groups = [];
+    let group = [];
+    let expectOr = false;
+    for (const token of tokens) {
+        if (token === '|') {
+            expectOr = group.length > 0;
+            continue;
+        }
+        const term = parseTerm(token);
+        if (!term) continue;
+        if (expectOr) {
+            group.push(term);
+        } else {
+            if (group.length) groups.push(group);
+            group = [term];
+        }
+        expectOr = false;
+    }
+    if (group.length) groups.push(group);
+    return groups;
+}
+
+/**
+ * Parses a single extended-syntax token into a term.
+ * @param {string} token - The token, operators included.
+ * @returns {FzfTerm|null} The term, or null if nothing remains after stripping operators.
+ * @private
+ */
+function parseTerm(token) {
+    let text = token;
+    let type = 'fuzzy';
+    let inverse = false;
+
+    if (text.startsWith('!')) {
+        inverse = true;
+        type = 'exact';
+        text = text.slice(1);
+    }
+    if (text !== '$' && text.endsWith('$')) {
+        type = 'suffix';
+        text = text.slice(0, -1);
+    }
+    if (text.startsWith("'")) {
+        // `'term` is exact, but `!'term` flips back to an inverse fuzzy match as in fzf
+        if (type !== 'suffix') type = inverse ? 'fuzzy' : 'exact';
+        text = text.slice(1);
+    } else if (text.startsWith('^')) {
+        type = type === 'suffix' ? 'equal' : 'prefix';
+        text = text.slice(1);
+    }
+    if (!text) return null;
+
+    return { type, inverse, text, caseSensitive: foldText(text, true) !== foldText(text) };
+}
+
+/**
+ * Matches a single term against text.
+ * @param {string} text - The text to search.
+ * @param {FzfTerm} term - The term to match.
+ * @returns {FzfMatch|null} The match, or null if the term does not occur.
+ * @private
+ */
+function matchTerm(text, term) {
+    return term.type === 'fuzzy'
+        ? fuzzyMatch(text, term.text, term.caseSensitive)
+        : exactMatch(text, term.text, term.caseSensitive, term.type === 'exact' ? 'any' : term.type);
+}
+
+/**
+ * Matches text against a parsed extended query.
+ * @function extendedMatch
+ * @param {string} text - The text to search.
+ * @param {FzfTerm[][]} groups - Term groups produced by {@link parseExtendedQuery}.
+ * @returns {{score: number, positions: number[]}|null} Total score and matched positions, or null if any group fails.
+ */
+export function extendedMatch(text, groups) {
+    if (!groups.length) return null;
+    let score = 0;
+    const positions = new Set();
+
+    for (const group of groups) {
+        let satisfied = false;
+        for (const term of group) {
+            const match = matchTerm(text, term);
+            if (term.inverse) {
+                if (!match) {
+                    satisfied = true;
+                    break;
+                }
+                continue;
+            }
+            if (match) {
+                satisfied = true;
+                score += match.score;
+                match.positions.forEach(position => positions.add(position));
+                break;
+            }
+        }
+        if (!satisfied) return null;
+    }
+
+    return { score, positions: [...positions].sort((a, b) => a - b) };
+}
+
+/**
+ * Collapses sorted character positions into contiguous [start, end) spans.
+ * @function positionsToSpans
+ * @param {number[]} positions - Sorted character indices.
+ * @returns {Array<[number, number]>} Half-open spans covering the positions.
+ */
+export function positionsToSpans(positions) {
+    const spans = [];
+    for (const position of positions) {
+        const last = spans[spans.length - 1];
+        if (last && last[1] === position) {
+            last[1]++;
+        } else {
+            spans.push([position, position + 1]);
+        }
+    }
+    return spans;
+}
+
+export { SCORE_MATCH };
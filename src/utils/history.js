@@ -0,0 +1,235 @@
+import { fuzzyMatch } from './fzf';
+
+/**
+ * Storage key holding recent queries in chrome.storage.local.
+ * @constant {string}
+ */
+const HISTORY_KEY = 'fzfHistory';
+
+/**
+ * Storage key holding pinned searches in chrome.storage.local.
+ * @constant {string}
+ */
+const SAVED_KEY = 'fzfSavedSearches';
+
+/**
+ * Maximum number of entries kept in the global history.
+ * @constant {number}
+ */
+const MAX_GLOBAL_ENTRIES = 100;
+
+/**
+ * Maximum number of entries kept per site.
+ * @constant {number}
+ */
+const MAX_SITE_ENTRIES = 30;
+
+/**
+ * Maximum number of sites with their own history; the least recently used site is dropped first.
+ * @constant {number}
+ */
+const MAX_SITES = 50;
+
+/**
+ * Window in which a query that extends or shortens the previous one replaces it,
+ * so live search while typing stores "wildlife" rather than every prefix of it.
+ * @constant {number}
+ */
+const REFINE_WINDOW_MS = 3000;
+
+/**
+ * A query remembered in the history or pinned as a saved search.
+ * @typedef {Object} HistoryEntry
+ * @property {string} query - The search query.
+ * @property {string} mode - The search mode it was run with.
+ * @property {number} timestamp - When it was last run, in milliseconds since the epoch.
+ */
+
+/**
+ * Stored search history.
+ * @typedef {Object} SearchHistory
+ * @property {HistoryEntry[]} global - Recent queries across all sites, newest first.
+ * @property {Object<string, HistoryEntry[]>} sites - Recent queries keyed by hostname, newest first.
+ */
+
+/**
+ * An autocomplete suggestion.
+ * @typedef {Object} Suggestion
+ * @property {string} query - The suggested query.
+ * @property {string} mode - The mode the query was run with.
+ * @property {boolean} saved - Whether the query is a pinned saved search.
+ * @property {number[]} positions - Indices of the characters matching the typed text.
+ */
+
+/**
+ * Extracts the hostname used to group per-site history.
+ * @function siteKey
+ * @param {string} [url] - The page URL.
+ * @returns {string|null} The hostname ('file' for local files), or null if the URL is invalid.
+ */
+export function siteKey(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'file:' ? 'file' : parsed.hostname || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Loads the search history and saved searches.
+ * @async
+ * @function loadHistory
+ * @returns {Promise<{history: SearchHistory, saved: HistoryEntry[]}>} The stored history and saved searches.
+ */
+export async function loadHistory() {
+    const result = await chrome.storage.local.get([HISTORY_KEY, SAVED_KEY]);
+    return {
+        history: { global: [], sites: {}, ...(result[HISTORY_KEY] || {}) },
+        saved: result[SAVED_KEY] || []
+    };
+}
+
+/**
+ * Adds an entry to the front of a history list, removing duplicates and
+ * replacing the previous entry when the new query refines it.
+ * @param {HistoryEntry[]} entries - Entries, newest first.
+ * @param {HistoryEntry} entry - The entry to add.
+ * @param {number} limit - Maximum number of entries to keep.
+ * @returns {HistoryEntry[]} The updated entries.
+ * @private
+ */
+function addEntry(entries, entry, limit) {
+    const [latest] = entries;
+    const refinesLatest = latest && latest.mode === entry.mode &&
+        entry.timestamp - latest.timestamp < REFINE_WINDOW_MS &&
+        (entry.query.startsWith(latest.query) || latest.query.startsWith(entry.query));
+    const rest = (refinesLatest ? entries.slice(1) : entries)
+        .filter(item => item.query !== entry.query || item.mode !== entry.mode);
+    return [entry, ...rest].slice(0, limit);
+}
+
+/**
+ * Records a query in the global history and in the history of the site it was run on.
+ * @async
+ * @function recordQuery
+ * @param {string} query - The search query.
+ * @param {string} mode - The search mode.
+ * @param {string} [url] - URL of the searched page; omitted for all-tabs searches.
+ * @returns {Promise<void>} Resolves once the history is stored.
+ */
+export async function recordQuery(query, mode, url) {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    const { history } = await loadHistory();
+    const entry = { query: trimmed, mode, timestamp: Date.now() };
+
+    history.global = addEntry(history.global, entry, MAX_GLOBAL_ENTRIES);
+    const site = siteKey(url);
+    if (site) {
+        const { [site]: siteEntries = [], ...otherSites } = history.sites;
+        const keptSites = Object.entries(otherSites)
+            .sort(([, a], [, b]) => (b[0]?.timestamp || 0) - (a[0]?.timestamp || 0))
+            .slice(0, MAX_SITES - 1);
+        history.sites = {
+            [site]: addEntry(siteEntries, entry, MAX_SITE_ENTRIES),
+            ...Object.fromEntries(keptSites)
+        };
+    }
+    await chrome.storage.local.set({ [HISTORY_KEY]: history });
+}
+
+/**
+ * Pins a query as a saved search, or unpins it if it is already saved.
+ * @async
+ * @function toggleSavedSearch
+ * @param {string} query - The search query.
+ * @param {string} mode - The search mode.
+ * @returns {Promise<boolean>} True if the query is now saved, false if it was removed.
+ */
+export async function toggleSavedSearch(query, mode) {
+    const trimmed = query.trim();
+    const { saved } = await loadHistory();
+    const exists = saved.some(entry => entry.query === trimmed && entry.mode === mode);
+    const updated = exists
+        ? saved.filter(entry => entry.query !== trimmed || entry.mode !== mode)
+        : [{ query: trimmed, mode, timestamp: Date.now() }, ...saved];
+    await chrome.storage.local.set({ [SAVED_KEY]: updated });
+    return !exists;
+}
+
+/**
+ * Returns whether a query is pinned as a saved search.
+ * @function isSaved
+ * @param {HistoryEntry[]} saved - The saved searches.
+ * @param {string} query - The search query.
+ * @param {string} mode - The search mode.
+ * @returns {boolean} True if the query is saved with that mode.
+ */
+export function isSaved(saved, query, mode) {
+    const trimmed = query.trim();
+    return saved.some(entry => entry.query === trimmed && entry.mode === mode);
+}
+
+/**
+ * Builds autocomplete suggestions for the typed text.
+ * With no input, saved searches come first, then this site's history, then the global history.
+ * Otherwise entries are filtered and ranked with fzf's fuzzy matcher, saved searches breaking ties.
+ * @function getSuggestions
+ * @param {{history: SearchHistory, saved: HistoryEntry[]}} data - Data from {@link loadHistory}.
+ * @param {string} input - Text typed in the search box.
+ * @param {string} [url] - URL of the current page, used to prefer this site's history.
+ * @param {number} [limit=8] - Maximum number of suggestions.
+ * @returns {Suggestion[]} Suggestions, best first.
+ */
+export function getSuggestions({ history, saved }, input, url, limit = 8) {
+    const site = siteKey(url);
+    const candidates = [
+        ...saved.map(entry => ({ ...entry, saved: true })),
+        ...((site && history.sites[site]) || []).map(entry => ({ ...entry, saved: false })),
+        ...history.global.map(entry => ({ ...entry, saved: false }))
+    ];
+
+    const seen = new Set();
+    const unique = candidates.filter(entry => {
+        const key = `${entry.mode}\u0000${entry.query}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const pattern = input.trim();
+    if (!pattern) {
+        return unique.slice(0, limit).map(entry => ({ ...entry, positions: [] }));
+    }
+
+    const caseSensitive = pattern !== pattern.toLowerCase();
+    return unique
+        .filter(entry => entry.query !== pattern)
+        .map((entry, order) => ({ entry, order, match: fuzzyMatch(entry.query, pattern, caseSensitive) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+        .slice(0, limit)
+        .map(({ entry, match }) => ({ ...entry, positions: match.positions }));
+}
+
+/**
+ * Deletes the search history. Saved searches are kept.
+ * @async
+ * @function clearHistory
+ * @returns {Promise<void>} Resolves once the history is removed.
+ */
+export async function clearHistory() {
+    await chrome.storage.local.remove(HISTORY_KEY);
+}
+
+/**
+ * Serializes the history and saved searches for download.
+ * @async
+ * @function exportHistory
+ * @returns {Promise<string>} Pretty-printed JSON.
+ */
+export async function exportHistory() {
+    const { history, saved } = await loadHistory();
+    return JSON.stringify({ exportedAt: new Date().toISOString(), saved, history }, null, 2);
+}
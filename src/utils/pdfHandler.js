@@ -1,15 +1,59 @@
-import { GlobalWorkerOptions, getDocument } from 'pdfjs-dist/legacy/build/pdf';
+import { GlobalWorkerOptions, getDocument } from 'pdfjs-dist';
 
 /**
- * Extracts text content from a specified page of a PDF file.
+ * Text of one PDF page.
+ * @typedef {Object} PdfPageText
+ * @property {number} number - 1-based page number.
+ * @property {Object[]} items - Text items from `getTextContent`, with their string, size and `transform`
+ *     in PDF user space; marked content markers are left out, so the items line up with text layer spans.
+ * @property {Object<string, Object>} styles - Font styles of the items, by font name.
+ * @property {string|null} lang - Language of the page, if the document declares one.
+ */
+
+/**
+ * Extracts the positioned text of a page. The result can be passed to pdf.js `TextLayer` as its
+ * `textContentSource`.
+ * @async
+ * @function extractPageText
+ * @param {Object} pdf - The document from pdf.js `getDocument`.
+ * @param {number} number - 1-based page number.
+ * @returns {Promise<PdfPageText>} The page's text.
+ * @throws {Error} If the page does not exist or its text cannot be read.
+ */
+export async function extractPageText(pdf, number) {
+    if (number < 1 || number > pdf.numPages) {
+        throw new Error(`Page ${number} does not exist in PDF`);
+    }
+    const page = await pdf.getPage(number);
+    const { items, styles, lang } = await page.getTextContent();
+    return { number, items: items.filter(item => item.str !== undefined), styles, lang };
+}
+
+/**
+ * Extracts the positioned text of every page of a document, one page at a time.
+ * @async
+ * @function extractPdfText
+ * @param {Object} pdf - The document from pdf.js `getDocument`.
+ * @returns {Promise<PdfPageText[]>} The text of each page, in page order.
+ * @throws {Error} If the text of a page cannot be read.
+ */
+export async function extractPdfText(pdf) {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+        pages.push(await extractPageText(pdf, number));
+    }
+    return pages;
+}
+
+/**
+ * Extracts the text of every page of a PDF file.
  * @async
  * @function extractTextFromPDF
  * @param {string} url - The URL of the PDF file (local or remote).
- * @param {number} [pageNum=1] - The page number to extract text from (1-based index).
- * @returns {Promise<string>} The extracted text content, or empty string if no text is found.
- * @throws {Error} If PDF loading, page access, or text extraction fails.
+ * @returns {Promise<string[]>} The text of each page, in page order; empty strings for pages without text.
+ * @throws {Error} If PDF loading or text extraction fails.
  */
-export async function extractTextFromPDF(url, pageNum = 1) {
+export async function extractTextFromPDF(url) {
     try {
         GlobalWorkerOptions.workerSrc = chrome.runtime.getURL('pdf.worker.bundle.js');
         let pdfData;
@@ -37,22 +81,16 @@ export async function extractTextFromPDF(url, pageNum = 1) {
             cMapPacked: true
         });
         const pdf = await loadingTask.promise;
+        const pages = await extractPdfText(pdf);
+        const texts = pages.map(({ items }) => items.map(item => item.str.trim()).filter(Boolean).join(' '));
 
-        if (pdf.numPages < pageNum) {
-            throw new Error(`Page ${pageNum} does not exist in PDF`);
-        }
-
-        const page = await pdf.getPage(pageNum);
-        const content = await page.getTextContent({ normalizeWhitespace: true });
-        const pageText = content.items.map(item => item.str.trim()).join(' ');
-
-        if (!pageText) {
-            console.warn('No text extracted from PDF page');
+        if (!texts.some(Boolean)) {
+            console.warn('No text extracted from PDF');
         }
 
-        return pageText || '';
+        return texts;
     } catch (error) {
         console.error('Error extracting text from PDF:', error.message);
         throw error;
     }
-}
\ No newline at end of file
+}
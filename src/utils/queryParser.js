@@ -0,0 +1,441 @@
+import { validateSearchPattern } from './sanitizer';
+
+/**
+ * A node of a parsed boolean query.
+ * - `term`: a run of plain words, interpreted by the search mode (semantic, exact, fuzzy or regex).
+ * - `phrase`: a quoted phrase, always matched literally and case-insensitively.
+ * - `and` / `or`: every / any child must match.
+ * - `not`: the child must not match.
+ * - `near`: both sides must match with at most `distance` words between them.
+ * @typedef {Object} QueryNode
+ * @property {'term'|'phrase'|'and'|'or'|'not'|'near'} type - Kind of node.
+ * @property {string} [text] - Text of a `term` or `phrase`.
+ * @property {QueryNode[]} [children] - Operands of `and`, `or` and `near` (two for `near`).
+ * @property {QueryNode} [child] - Operand of `not`.
+ * @property {number} [distance] - Maximum word distance of a `near` node.
+ */
+
+/**
+ * Result of evaluating a query, or one of its leaves, against a chunk.
+ * @typedef {Object} QueryResult
+ * @property {Array<[number, number]>} spans - Half-open character spans to highlight.
+ * @property {number} score - Combined score; higher is better.
+ */
+
+/**
+ * Operators are only recognised in upper case, so "and"/"or"/"not" in ordinary text stay words.
+ * @constant {RegExp}
+ */
+const NEAR_PATTERN = /^NEAR\/(\d*)$/;
+
+/**
+ * Word keywords that mark a query as boolean syntax.
+ * @constant {Set<string>}
+ */
+const KEYWORDS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * Characters that may follow a `-` for it to negate, so `-draft` and `-"old notes"` negate while
+ * `--force`, `-5` and a lone `-` are searched for as written.
+ * @constant {RegExp}
+ */
+const NEGATABLE_PATTERN = /[\p{L}"(]/u;
+
+/**
+ * Splits a query into tokens. Parentheses and `-` only act as operators where they are set off
+ * like boolean syntax: `(` and `-` at the start of a word, and a `)` that closes such a `(`, so
+ * `foo()`, `f(x)` and `-webkit-` inside a word stay literal. A `"` opens a phrase at the start of
+ * a word only. In regex mode parentheses belong to the pattern and a leading `-` is literal, so
+ * grouping and negation use the word operators only.
+ * @param {string} query - The query.
+ * @param {string} mode - The search mode.
+ * @returns {Array<{type: string, start: number, end: number, text?: string, distance?: number}>} Tokens in order.
+ * @throws {Error} If a quote is not closed or a phrase is empty.
+ * @private
+ */
+function tokenize(query, mode) {
+    const structural = mode !== 'regex';
+    const tokens = [];
+    // Groups opened by a '(' token and not closed yet
+    let depth = 0;
+    let i = 0;
+
+    while (i < query.length) {
+        const ch = query[i];
+        const wordStart = i === 0 || /\s/.test(query[i - 1]) || tokens[tokens.length - 1]?.end === i;
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (structural && wordStart && ch === '(') {
+            tokens.push({ type: 'lparen', start: i, end: i + 1 });
+            depth++;
+            i++;
+        } else if (structural && ch === ')' && depth > 0) {
+            tokens.push({ type: 'rparen', start: i, end: i + 1 });
+            depth--;
+            i++;
+        } else if (structural && wordStart && ch === '-' && NEGATABLE_PATTERN.test(query[i + 1] || '')) {
+            tokens.push({ type: 'not', start: i, end: i + 1 });
+            i++;
+        } else if (wordStart && ch === '"') {
+            const close = query.indexOf('"', i + 1);
+            if (close === -1) throw new Error(`Unclosed quote at position ${i + 1}`);
+            const text = query.slice(i + 1, close).trim();
+            if (!text) throw new Error(`Empty phrase at position ${i + 1}`);
+            tokens.push({ type: 'phrase', text, start: i, end: close + 1 });
+            i = close + 1;
+        } else {
+            // A word runs to the next space; a ')' it did not open itself ends it when a group is open
+            let inner = 0;
+            let end = i;
+            for (; end < query.length && !/\s/.test(query[end]); end++) {
+                if (!structural) continue;
+                if (query[end] === '(') inner++;
+                else if (query[end] === ')' && inner > 0) inner--;
+                else if (query[end] === ')' && depth > 0) break;
+            }
+            const word = query.slice(i, end);
+            const near = word.match(NEAR_PATTERN);
+            if (near) {
+                if (!near[1]) throw new Error(`NEAR needs a word distance, e.g. NEAR/5 (position ${i + 1})`);
+                tokens.push({ type: 'near', distance: Number(near[1]), start: i, end });
+            } else if (KEYWORDS.has(word)) {
+                tokens.push({ type: word.toLowerCase(), start: i, end });
+            } else {
+                tokens.push({ type: 'word', start: i, end });
+            }
+            i = end;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Returns whether a query spells out a boolean operator, and so is meant as boolean syntax.
+ * @param {string} query - The query.
+ * @returns {boolean} True if a word of the query is AND, OR, NOT or NEAR/n.
+ * @private
+ */
+function usesKeywords(query) {
+    return query.split(/\s+/).some(word => KEYWORDS.has(word) || NEAR_PATTERN.test(word));
+}
+
+/**
+ * Recursive-descent parser. Precedence from loosest to tightest: OR, AND (also implicit
+ * between operands), NEAR/n, then NOT and `-`.
+ * @private
+ */
+class QueryParser {
+    /**
+     * @param {string} query - The query being parsed.
+     * @param {Array<Object>} tokens - Tokens from {@link tokenize}.
+     */
+    constructor(query, tokens) {
+        this.query = query;
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    /**
+     * Returns the current token without consuming it.
+     * @returns {Object|undefined} The token, or undefined at the end of the query.
+     */
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    /**
+     * Describes a token for error messages.
+     * @param {Object|undefined} token - The token.
+     * @returns {string} The token text and position, or "end of query".
+     */
+    describe(token) {
+        return token
+            ? `'${this.query.slice(token.start, token.end)}' at position ${token.start + 1}`
+            : 'end of query';
+    }
+
+    /**
+     * Parses the whole query.
+     * @returns {QueryNode} The root node.
+     * @throws {Error} If tokens are left over, e.g. an unmatched `)`.
+     */
+    parse() {
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token) throw new Error(`Unexpected ${this.describe(token)}`);
+        return node;
+    }
+
+    /**
+     * @returns {QueryNode} An `or` node, or its only operand.
+     */
+    parseOr() {
+        const children = [this.parseAnd()];
+        while (this.peek()?.type === 'or') {
+            this.position++;
+            children.push(this.parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * @returns {QueryNode} An `and` node, or its only operand.
+     */
+    parseAnd() {
+        const children = [this.parseNear()];
+        for (let token = this.peek(); token && token.type !== 'or' && token.type !== 'rparen'; token = this.peek()) {
+            if (token.type === 'and') this.position++;
+            children.push(this.parseNear());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * @returns {QueryNode} A `near` node, or its only operand.
+     */
+    parseNear() {
+        let node = this.parseUnary();
+        while (this.peek()?.type === 'near') {
+            const { distance } = this.tokens[this.position++];
+            node = { type: 'near', distance, children: [node, this.parseUnary()] };
+        }
+        return node;
+    }
+
+    /**
+     * @param {boolean} [singleWord=false] - Passed on to {@link QueryParser#parsePrimary}.
+     * @returns {QueryNode} A `not` node or a primary expression.
+     */
+    parseUnary(singleWord = false) {
+        if (this.peek()?.type === 'not') {
+            this.position++;
+            return { type: 'not', child: this.parseUnary(true) };
+        }
+        return this.parsePrimary(singleWord);
+    }
+
+    /**
+     * Parses a parenthesised group, a phrase or a run of words.
+     * @param {boolean} singleWord - Take one word only, so `-draft notes` negates just "draft".
+     * @returns {QueryNode} The node.
+     * @throws {Error} If an operand is missing or a parenthesis is unbalanced.
+     */
+    parsePrimary(singleWord) {
+        const token = this.peek();
+        if (!token || !['lparen', 'phrase', 'word'].includes(token.type)) {
+            const previous = this.tokens[this.position - 1];
+            throw new Error(previous
+                ? `Expected a search term after ${this.describe(previous)}, found ${this.describe(token)}`
+                : `Expected a search term before ${this.describe(token)}`);
+        }
+        this.position++;
+
+        if (token.type === 'lparen') {
+            if (this.peek()?.type === 'rparen') throw new Error(`Empty parentheses at position ${token.start + 1}`);
+            const node = this.parseOr();
+            if (this.peek()?.type !== 'rparen') {
+                throw new Error(`Missing ')' for the '(' at position ${token.start + 1}`);
+            }
+            this.position++;
+            return node;
+        }
+        if (token.type === 'phrase') return { type: 'phrase', text: token.text };
+
+        let last = token;
+        while (!singleWord && this.peek()?.type === 'word') last = this.tokens[this.position++];
+        return { type: 'term', text: this.query.slice(token.start, last.end) };
+    }
+}
+
+/**
+ * Returns whether a node can match by what it contains rather than by what it lacks.
+ * @param {QueryNode} node - The node.
+ * @param {boolean} [negated=false] - Whether the node sits under an odd number of NOTs.
+ * @returns {boolean} True if some term or phrase is required to be present.
+ * @private
+ */
+function hasPositiveLeaf(node, negated = false) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return !negated;
+        case 'not':
+            return hasPositiveLeaf(node.child, !negated);
+        default:
+            return node.children.some(child => hasPositiveLeaf(child, negated));
+    }
+}
+
+/**
+ * Parses a query in the boolean query language. Words without operators between them form
+ * a single term, so plain queries (and fzf or regex syntax) reach the search mode unchanged.
+ * A query that does not parse and has no AND, OR, NOT or NEAR/n is searched for as written,
+ * e.g. `f(x`, `say "hi` or `-webkit-`.
+ * @function parseQuery
+ * @param {string} query - The sanitized query.
+ * @param {string} [mode='semantic'] - The search mode the terms are matched with.
+ * @returns {QueryNode} The root node.
+ * @throws {Error} With a message suitable for display if the query cannot be parsed.
+ */
+export function parseQuery(query, mode = 'semantic') {
+    if (!query.trim()) throw new Error('Query is empty');
+    let root;
+    try {
+        root = new QueryParser(query, tokenize(query, mode)).parse();
+        if (!hasPositiveLeaf(root)) throw new Error('Query needs at least one term that is not negated');
+    } catch (error) {
+        if (usesKeywords(query)) throw error;
+        root = { type: 'term', text: query.trim() };
+    }
+    if (mode === 'regex') {
+        queryLeaves(root).filter(leaf => leaf.type === 'term').forEach(leaf => validateSearchPattern(leaf.text, mode));
+    }
+    return root;
+}
+
+/**
+ * Lists the terms and phrases of a query.
+ * @function queryLeaves
+ * @param {QueryNode} node - The root node.
+ * @returns {QueryNode[]} Every `term` and `phrase` node, left to right.
+ */
+export function queryLeaves(node) {
+    if (node.type === 'term' || node.type === 'phrase') return [node];
+    if (node.type === 'not') return queryLeaves(node.child);
+    return node.children.flatMap(queryLeaves);
+}
+
+/**
+ * Decides whether a chunk can still match when some leaves are not known yet, e.g. semantic
+ * terms that have not been scored. Chunks for which this returns false can be skipped.
+ * @function couldMatch
+ * @param {QueryNode} node - The root node.
+ * @param {function(QueryNode): (QueryResult|null|undefined)} resolveLeaf - Leaf result, or undefined when unknown.
+ * @returns {boolean|undefined} True or false when decided, undefined when it depends on unknown leaves.
+ */
+export function couldMatch(node, resolveLeaf) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase': {
+            const result = resolveLeaf(node);
+            return result === undefined ? undefined : result !== null;
+        }
+        case 'not': {
+            const result = couldMatch(node.child, resolveLeaf);
+            return result === undefined ? undefined : !result;
+        }
+        case 'or': {
+            const results = node.children.map(child => couldMatch(child, resolveLeaf));
+            if (results.includes(true)) return true;
+            return results.includes(undefined) ? undefined : false;
+        }
+        default: {
+            // NEAR is treated as AND here, which may keep chunks the full evaluation rejects
+            const results = node.children.map(child => couldMatch(child, resolveLeaf));
+            if (results.includes(false)) return false;
+            return results.includes(undefined) ? undefined : true;
+        }
+    }
+}
+
+/**
+ * Returns a function mapping a character offset to the index of the word containing it.
+ * @param {string} text - The chunk text.
+ * @returns {function(number): number} Word index lookup.
+ * @private
+ */
+function wordIndexer(text) {
+    const starts = [];
+    for (const match of text.matchAll(/\S+/g)) starts.push(match.index);
+    return offset => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (starts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+}
+
+/**
+ * Evaluates a query against one chunk.
+ * @function evaluateQuery
+ * @param {QueryNode} node - The root node.
+ * @param {string} text - The chunk text, used to measure NEAR distances.
+ * @param {function(QueryNode): (QueryResult|null)} resolveLeaf - Matches a term or phrase against the chunk.
+ * @returns {QueryResult|null} Spans of every positive term that took part in the match, or null.
+ */
+export function evaluateQuery(node, text, resolveLeaf) {
+    let wordAt = null;
+
+    const evaluate = current => {
+        switch (current.type) {
+            case 'term':
+            case 'phrase':
+                return resolveLeaf(current);
+            case 'not':
+                return evaluate(current.child) ? null : { spans: [], score: 0 };
+            case 'and': {
+                const results = [];
+                for (const child of current.children) {
+                    const result = evaluate(child);
+                    if (!result) return null;
+                    results.push(result);
+                }
+                return {
+                    spans: results.flatMap(result => result.spans),
+                    score: results.reduce((sum, result) => sum + result.score, 0)
+                };
+            }
+            case 'or': {
+                const results = current.children.map(evaluate).filter(Boolean);
+                if (!results.length) return null;
+                return {
+                    spans: results.flatMap(result => result.spans),
+                    score: Math.max(...results.map(result => result.score))
+                };
+            }
+            case 'near': {
+                const [left, right] = current.children.map(evaluate);
+                if (!left || !right) return null;
+                wordAt = wordAt || wordIndexer(text);
+                const spans = new Set();
+                for (const a of left.spans) {
+                    for (const b of right.spans) {
+                        const [first, second] = a[0] <= b[0] ? [a, b] : [b, a];
+                        // Number of words between the two spans; overlapping spans count as adjacent
+                        const between = wordAt(second[0]) - wordAt(Math.max(first[1] - 1, first[0])) - 1;
+                        if (between <= current.distance) {
+                            spans.add(a);
+                            spans.add(b);
+                        }
+                    }
+                }
+                return spans.size ? { spans: [...spans], score: left.score + right.score } : null;
+            }
+            default:
+                return null;
+        }
+    };
+
+    const result = evaluate(node);
+    return result && { ...result, spans: mergeSpans(result.spans) };
+}
+
+/**
+ * Sorts spans and merges the ones that overlap or touch.
+ * @param {Array<[number, number]>} spans - Half-open spans.
+ * @returns {Array<[number, number]>} Disjoint spans in order.
+ * @private
+ */
+function mergeSpans(spans) {
+    const merged = [];
+    for (const [start, end] of [...spans].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+}
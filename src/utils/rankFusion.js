@@ -0,0 +1,40 @@
+/**
+ * Default damping constant of reciprocal rank fusion, from Cormack et al. (2009). Larger values
+ * flatten the difference between the first few ranks.
+ * @constant {number}
+ */
+export const RRF_K = 60;
+
+/**
+ * Ranks items by score, best first, leaving out those the filter rejects.
+ * @function rankByScore
+ * @param {ArrayLike<number>} scores - Score of each item.
+ * @param {function(number, number): boolean} [include] - Called with score and index; false leaves the item unranked.
+ * @returns {number[]} Indices of the ranked items, best first; ties keep item order.
+ */
+export function rankByScore(scores, include = () => true) {
+    const indices = [];
+    for (let i = 0; i < scores.length; i++) {
+        if (include(scores[i], i)) indices.push(i);
+    }
+    return indices.sort((a, b) => scores[b] - scores[a] || a - b);
+}
+
+/**
+ * Fuses several rankings of the same items with reciprocal rank fusion: an item scores
+ * `1 / (k + rank)` in each ranking it appears in, with ranks starting at 1. Only ranks matter, so
+ * signals on different scales, like BM25 and cosine similarity, combine without normalization.
+ * @function reciprocalRankFusion
+ * @param {number[][]} rankings - Item indices of each ranking, best first.
+ * @param {number} [k=RRF_K] - Damping constant.
+ * @returns {Map<number, number>} Fused score of every ranked item.
+ */
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+    const fused = new Map();
+    for (const ranking of rankings) {
+        ranking.forEach((item, rank) => {
+            fused.set(item, (fused.get(item) || 0) + 1 / (k + rank + 1));
+        });
+    }
+    return fused;
+}
@@ -0,0 +1,136 @@
+import { createExtensionWorker } from './workerClient';
+
+/**
+ * Time budget for a regex search before the pattern is considered catastrophic.
+ * @constant {number}
+ */
+const REGEX_TIME_BUDGET_MS = 2000;
+
+/**
+ * Maximum number of matches collected for a single search; further matches are reported as truncated.
+ * @constant {number}
+ */
+export const MAX_REGEX_MATCHES = 1000;
+
+/**
+ * A single regex match within one text.
+ * @typedef {Object} RegexMatch
+ * @property {number} start - Offset of the first matched character.
+ * @property {number} end - Offset after the last matched character.
+ * @property {Array<[number, number]>} groups - Spans of participating capture groups.
+ */
+
+/**
+ * Matches of a pattern in a list of texts.
+ * @typedef {Object} RegexSearchResult
+ * @property {RegexMatch[][]} matches - Matches for each text, in the same order as the input.
+ * @property {boolean} truncated - True if the pattern matched more than {@link MAX_REGEX_MATCHES} times
+ *     and the rest of the matches were dropped.
+ */
+
+/**
+ * Builds the flags for a search pattern, applying smart-case: the search is case-insensitive
+ * unless the pattern contains an uppercase letter outside an escape and a group name, or a
+ * property escape such as `\p{Lu}`, which case folding would blur. Patterns are compiled in Unicode mode, so property escapes and astral
+ * characters work, unless they are only valid without it, like `\-` outside a class.
+ * @function regexFlags
+ * @param {string} pattern - The regex source.
+ * @returns {string} The flags to compile the pattern with.
+ */
+export function regexFlags(pattern) {
+    const literal = pattern
+        .replace(/\\k<[^>]*>|\(\?<[^>=!]*>/g, '')
+        .replace(/\\./g, '');
+    const flags = /[A-Z]/.test(literal) || /\\[pP]\{/.test(pattern) ? 'gd' : 'gdi';
+    try {
+        new RegExp(pattern, `${flags}u`);
+        return `${flags}u`;
+    } catch {
+        return flags;
+    }
+}
+
+/**
+ * Collects the matches of a pattern in each text, up to {@link MAX_REGEX_MATCHES} in all.
+ * Runs inside the regex worker, which is terminated if a pattern takes too long.
+ * @function collectMatches
+ * @param {string} pattern - The regex source.
+ * @param {string} flags - Flags produced by {@link regexFlags}.
+ * @param {string[]} texts - Texts to search.
+ * @returns {RegexSearchResult} The matches, and whether some were dropped.
+ */
+export function collectMatches(pattern, flags, texts) {
+    const regex = new RegExp(pattern, flags);
+    let total = 0;
+    let truncated = false;
+
+    const matches = texts.map(text => {
+        const found = [];
+        if (truncated) return found;
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                // Step over a whole astral character in Unicode mode rather than into its surrogate pair
+                regex.lastIndex += regex.unicode && text.codePointAt(regex.lastIndex) > 0xffff ? 2 : 1;
+                continue;
+            }
+            if (total === MAX_REGEX_MATCHES) {
+                truncated = true;
+                break;
+            }
+            const groups = (match.indices || [])
+                .slice(1)
+                .filter(Boolean)
+                .filter(([start, end]) => end > start);
+            found.push({ start: match.index, end: match.index + match[0].length, groups });
+            total++;
+        }
+        return found;
+    });
+    return { matches, truncated };
+}
+
+/**
+ * Runs a regex search in a dedicated worker so a catastrophic pattern cannot freeze the tab.
+ * The worker is terminated once the time budget is exceeded. A single match can backtrack for
+ * as long as it likes, so user patterns never run on the main thread: when the page forbids
+ * workers, regex search is unavailable.
+ * @async
+ * @function runRegexSearch
+ * @param {string} pattern - The validated regex source.
+ * @param {string[]} texts - Texts to search.
+ * @param {number} [timeoutMs=REGEX_TIME_BUDGET_MS] - Time budget in milliseconds.
+ * @returns {Promise<RegexSearchResult>} The matches, and whether some were dropped.
+ * @throws {Error} If the worker cannot be started or the pattern exceeds the time budget.
+ */
+export async function runRegexSearch(pattern, texts, timeoutMs = REGEX_TIME_BUDGET_MS) {
+    const flags = regexFlags(pattern);
+    let worker;
+    try {
+        worker = await createExtensionWorker('regex.worker.bundle.js');
+    } catch (error) {
+        console.warn('Regex worker unavailable:', error);
+        throw new Error('Regex search needs a worker, which this page does not allow');
+    }
+
+    return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+            worker.terminate();
+            reject(new Error(`Pattern took longer than ${timeoutMs / 1000}s and was stopped (possible catastrophic backtracking)`));
+        }, timeoutMs);
+
+        worker.onmessage = (e) => {
+            clearTimeout(timeoutId);
+            worker.terminate();
+            if (e.data.type === 'REGEX_RESULTS') resolve(e.data.results);
+            else reject(new Error(e.data.error));
+        };
+        worker.onerror = (e) => {
+            clearTimeout(timeoutId);
+            worker.terminate();
+            reject(new Error(e.message || 'Regex worker failed'));
+        };
+        worker.postMessage({ type: 'REGEX_SEARCH', pattern, flags, texts });
+    });
+}
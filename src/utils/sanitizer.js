@@ -1,22 +1,46 @@
+/**
+ * Maximum accepted length of a search pattern.
+ * @constant {number}
+ */
+const MAX_PATTERN_LENGTH = 500;
+
 /**
  * Sanitizes input by removing potentially dangerous characters.
+ * Regex patterns are only trimmed: '<' and '>' are part of their syntax, as in `(?<name>...)`
+ * and lookbehinds, and a pattern is only ever compiled, never inserted into the page.
  * @function sanitizeInput
  * @param {string} input - The input string to sanitize.
- * @returns {string} The sanitized string with '<' and '>' removed and trimmed.
+ * @param {string} [mode] - The search mode the input is used with.
+ * @returns {string} The sanitized string with '<' and '>' removed, outside regex mode, and trimmed.
  */
-const sanitizeInput = (input) => {
+const sanitizeInput = (input, mode) => {
+  if (mode === 'regex') return input.trim();
   return input.replace(/[<>]/g, '').trim();
 };
 
 /**
 * Validates a search pattern, ensuring it meets basic requirements.
+* In regex mode the pattern must also compile; the engine's message is reworded for display.
 * @function validateSearchPattern
 * @param {string} pattern - The search pattern to validate.
+* @param {string} [mode] - The search mode the pattern is used with.
 * @returns {string} The trimmed pattern if valid.
-* @throws {Error} If validation fails (currently no constraints enforced beyond trimming).
+* @throws {Error} If the pattern is too long or is not a valid regular expression in regex mode.
 */
-const validateSearchPattern = (pattern) => {
-  return pattern.trim();
+const validateSearchPattern = (pattern, mode) => {
+  const trimmed = pattern.trim();
+  if (trimmed.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern is too long (maximum ${MAX_PATTERN_LENGTH} characters)`);
+  }
+  if (mode === 'regex') {
+    try {
+      new RegExp(trimmed, 'gd');
+    } catch (error) {
+      const reason = error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '');
+      throw new Error(`Invalid regular expression: ${reason}`);
+    }
+  }
+  return trimmed;
 };
 
-export { sanitizeInput, validateSearchPattern };
\ No newline at end of file
+export { sanitizeInput, validateSearchPattern };
@@ -0,0 +1,128 @@
+/**
+ * Storage key holding the user's settings in chrome.storage.sync.
+ * @constant {string}
+ */
+const SETTINGS_KEY = 'fzfSettings';
+
+/**
+ * Default tuning values, grouped by search mode. The `semantic.topK` most similar chunks are
+ * always returned by semantic searches, even below the threshold, and up to `semantic.synonyms`
+ * related words are offered in the popup. `embedding.useThreshold` replaces
+ * `semantic.threshold` when the Universal Sentence Encoder is used, whose scores run lower.
+ * `index` limits the stored chunk embeddings; pages are evicted once unused for `maxAgeDays`
+ * or when the index outgrows `maxSizeMB`. Hybrid searches fuse lexical and semantic ranks with
+ * reciprocal rank fusion damped by `hybrid.rrfK`, keeping chunks that contain a query word or
+ * reach `hybrid.minSimilarity`, at most `hybrid.maxResults` of them.
+ * @constant {Object}
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+    semantic: Object.freeze({
+        threshold: 0.8,
+        chunkWords: 20,
+        subChunkWords: 50,
+        topK: 5,
+        synonyms: 8
+    }),
+    exact: Object.freeze({
+        chunkWords: 20
+    }),
+    fuzzy: Object.freeze({
+        minScoreRatio: 0.5,
+        chunkWords: 20
+    }),
+    regex: Object.freeze({
+        chunkWords: 20,
+        timeBudgetMs: 2000
+    }),
+    hybrid: Object.freeze({
+        chunkWords: 20,
+        minSimilarity: 0.5,
+        rrfK: 60,
+        maxResults: 50
+    }),
+    rateLimit: Object.freeze({
+        maxRequests: 10,
+        perMinutes: 1
+    }),
+    live: Object.freeze({
+        enabled: true,
+        debounceMs: 500
+    }),
+    embedding: Object.freeze({
+        provider: 'glove',
+        useThreshold: 0.5
+    }),
+    index: Object.freeze({
+        enabled: true,
+        maxAgeDays: 30,
+        maxSizeMB: 100
+    })
+});
+
+/**
+ * Fills in defaults for any section or value missing from stored settings,
+ * so settings saved by an older version keep working.
+ * @function mergeWithDefaults
+ * @param {Object} [stored={}] - Settings read from storage.
+ * @returns {Object} A complete settings object.
+ */
+export function mergeWithDefaults(stored = {}) {
+    const merged = {};
+    for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+        merged[section] = { ...defaults, ...(stored[section] || {}) };
+    }
+    return merged;
+}
+
+/**
+ * Loads settings from chrome.storage.sync, falling back to defaults when storage is unavailable.
+ * @async
+ * @function loadSettings
+ * @returns {Promise<Object>} The complete settings object.
+ */
+export async function loadSettings() {
+    if (!chrome?.storage?.sync) return mergeWithDefaults();
+    try {
+        const result = await chrome.storage.sync.get(SETTINGS_KEY);
+        return mergeWithDefaults(result[SETTINGS_KEY]);
+    } catch (error) {
+        console.error('Failed to load settings:', error);
+        return mergeWithDefaults();
+    }
+}
+
+/**
+ * Saves settings to chrome.storage.sync. Open tabs pick up the change through {@link onSettingsChanged}.
+ * @async
+ * @function saveSettings
+ * @param {Object} settings - The complete settings object.
+ * @returns {Promise<void>} Resolves once the settings are stored.
+ */
+export async function saveSettings(settings) {
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: mergeWithDefaults(settings) });
+}
+
+/**
+ * Restores every setting to its default value.
+ * @async
+ * @function resetSettings
+ * @returns {Promise<Object>} The default settings.
+ */
+export async function resetSettings() {
+    await chrome.storage.sync.remove(SETTINGS_KEY);
+    return mergeWithDefaults();
+}
+
+/**
+ * Subscribes to settings changes made from any extension page.
+ * @function onSettingsChanged
+ * @param {function(Object): void} callback - Receives the complete new settings object.
+ */
+export function onSettingsChanged(callback) {
+    if (!chrome?.storage?.onChanged) return;
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' && SETTINGS_KEY in changes) {
+            callback(mergeWithDefaults(changes[SETTINGS_KEY].newValue));
+        }
+    });
+}
@@ -0,0 +1,52 @@
+/**
+ * Function words left out of semantic embeddings, keyed by primary language subtag.
+ * They carry little meaning and would otherwise pull every mean embedding towards the same point.
+ * Lists are NFKC-normalized and lowercase, like the tokens they are compared with.
+ * @constant {Object<string, Set<string>>}
+ */
+export const STOPWORDS = Object.freeze({
+    en: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'did', 'do', 'does',
+        'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it',
+        'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+        'then', 'there', 'these', 'they', 'this', 'those', 'to', 'was', 'we', 'were', 'what', 'when',
+        'which', 'who', 'will', 'with', 'would', 'you', 'your'
+    ]),
+    de: new Set([
+        'aber', 'als', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'das', 'dass', 'dem', 'den',
+        'der', 'des', 'die', 'du', 'ein', 'eine', 'einem', 'einen', 'einer', 'es', 'für', 'hat', 'ich',
+        'ihr', 'im', 'in', 'ist', 'mit', 'nach', 'nicht', 'noch', 'oder', 'sich', 'sie', 'sind', 'so',
+        'um', 'und', 'von', 'vor', 'war', 'wie', 'wir', 'zu', 'zum', 'zur'
+    ]),
+    fr: new Set([
+        'au', 'aux', 'avec', 'ce', 'ces', 'cette', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et',
+        'il', 'ils', 'je', 'la', 'le', 'les', 'leur', 'lui', 'ma', 'mais', 'me', 'mon', 'ne', 'nous',
+        'on', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sont', 'sur',
+        'ta', 'te', 'tu', 'un', 'une', 'vous', 'à', 'été', 'être'
+    ]),
+    es: new Set([
+        'al', 'como', 'con', 'de', 'del', 'el', 'ella', 'en', 'es', 'esta', 'este', 'fue', 'ha', 'la',
+        'las', 'le', 'les', 'lo', 'los', 'me', 'mi', 'más', 'no', 'nos', 'o', 'para', 'pero', 'por',
+        'que', 'se', 'si', 'sin', 'su', 'sus', 'sí', 'te', 'tu', 'un', 'una', 'y', 'ya', 'yo', 'él'
+    ]),
+    it: new Set([
+        'a', 'al', 'alla', 'che', 'chi', 'con', 'da', 'dei', 'del', 'della', 'di', 'e', 'gli', 'ha',
+        'i', 'il', 'in', 'io', 'la', 'le', 'lo', 'ma', 'mi', 'ne', 'nel', 'non', 'per', 'più', 'se',
+        'si', 'sono', 'su', 'ti', 'tu', 'un', 'una', 'uno', 'è'
+    ]),
+    pt: new Set([
+        'a', 'ao', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele', 'em', 'era',
+        'eu', 'foi', 'há', 'isso', 'lhe', 'mais', 'mas', 'me', 'na', 'nas', 'no', 'nos', 'não', 'o',
+        'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'se', 'sem', 'seu', 'sua', 'um', 'uma', 'é'
+    ]),
+    nl: new Set([
+        'aan', 'al', 'als', 'bij', 'dat', 'de', 'den', 'der', 'die', 'dit', 'een', 'en', 'er', 'het',
+        'hij', 'ik', 'in', 'is', 'je', 'maar', 'met', 'na', 'niet', 'nog', 'of', 'om', 'ook', 'op',
+        'te', 'tot', 'uit', 'van', 'voor', 'was', 'wat', 'we', 'zij', 'zijn', 'ze'
+    ]),
+    ru: new Set([
+        'а', 'без', 'бы', 'в', 'во', 'вы', 'да', 'для', 'до', 'его', 'ее', 'если', 'же', 'за', 'и',
+        'из', 'или', 'им', 'их', 'к', 'как', 'ко', 'ли', 'мы', 'на', 'не', 'нет', 'но', 'о', 'об',
+        'он', 'она', 'они', 'от', 'по', 'при', 'с', 'со', 'так', 'то', 'у', 'что', 'это', 'я'
+    ])
+});
@@ -0,0 +1,63 @@
+/**
+ * Determines whether a tab URL can host the content script.
+ * @function isSearchableUrl
+ * @param {string} url - The tab URL.
+ * @returns {boolean} False for browser-internal pages and the Chrome Web Store.
+ */
+export function isSearchableUrl(url) {
+    if (!url) return false;
+    return !/^(chrome|about|edge|brave):\/\//i.test(url) && !/chrome.google.com\/webstore/.test(url);
+}
+
+/**
+ * Sends a message to a tab's content script without throwing when nothing is listening.
+ * @function sendTabMessage
+ * @param {number} tabId - The target tab.
+ * @param {Object} message - The message to send.
+ * @returns {Promise<Object|null>} The response, or null if the tab could not be reached.
+ */
+export function sendTabMessage(tabId, message) {
+    return new Promise(resolve => {
+        chrome.tabs.sendMessage(tabId, message, response => {
+            if (chrome.runtime.lastError) {
+                resolve(null);
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+/**
+ * Verifies that a tab's content script responds, reinjecting it if necessary.
+ * @async
+ * @function ensureContentScript
+ * @param {number} tabId - The tab to check.
+ * @param {number} [retries=2] - Number of retry attempts.
+ * @param {number} [delayMs=500] - Delay between retries in milliseconds.
+ * @returns {Promise<boolean>} True if the script is responsive, false otherwise.
+ */
+export async function ensureContentScript(tabId, retries = 2, delayMs = 500) {
+    let response = await sendTabMessage(tabId, { type: 'PING' });
+    if (response?.status === 'OK') return true;
+
+    for (let attempt = 0; attempt < retries; attempt++) {
+        console.log(`Content script not responding in tab ${tabId}, attempt ${attempt + 1}/${retries}`);
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                files: ['content.bundle.js']
+            });
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            response = await sendTabMessage(tabId, { type: 'PING' });
+            if (response?.status === 'OK') {
+                console.log('Content script successfully reinjected');
+                return true;
+            }
+        } catch (injectionError) {
+            console.error(`Injection attempt ${attempt + 1} failed:`, injectionError);
+        }
+    }
+    console.log(`Failed to connect to content script in tab ${tabId} after retries`);
+    return false;
+}
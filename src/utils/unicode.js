@@ -0,0 +1,133 @@
+import { STOPWORDS } from './stopwords';
+
+/**
+ * Scripts written without spaces, where a single character is often a whole word.
+ * @constant {RegExp}
+ */
+const SINGLE_CHAR_WORD_SCRIPTS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Matches any character that needs more than ASCII lowercasing to fold.
+ * @constant {RegExp}
+ */
+const NON_ASCII = /[^\p{ASCII}]/u;
+
+/** @type {Map<string, Intl.Segmenter>} Segmenters by granularity and locale */
+const segmenters = new Map();
+
+/** @type {Map<string, string>} Folded form of each non-ASCII character seen, for case-insensitive folding */
+const foldedChars = new Map();
+
+/** @type {Map<string, string>} Folded form of each non-ASCII character seen, for case-sensitive folding */
+const foldedCharsKeepCase = new Map();
+
+/**
+ * Folds a single character: compatibility forms to their plain equivalent, diacritics removed and,
+ * unless case matters, lowercased. Characters whose folded form has a different length are kept
+ * as they are (lowercased if possible), so folding never moves offsets.
+ * @param {string} char - One code point.
+ * @param {boolean} caseSensitive - Whether to keep the case.
+ * @returns {string} The folded character, same length as the input.
+ * @private
+ */
+function foldChar(char, caseSensitive) {
+    let folded = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    if (!caseSensitive) folded = folded.toLowerCase();
+    if (folded.length === char.length) return folded;
+    const lower = char.toLowerCase();
+    return !caseSensitive && lower.length === char.length ? lower : char;
+}
+
+/**
+ * Folds text for diacritic-insensitive matching, so "resume" finds "résumé" and "Ｆｕｌｌ" finds "Full".
+ * The result has the same length as the input, so match offsets apply to the original text.
+ * Decomposed characters (a letter followed by a combining mark) keep their mark.
+ * @function foldText
+ * @param {string} text - The text to fold.
+ * @param {boolean} [caseSensitive=false] - Whether to keep the case.
+ * @returns {string} The folded text.
+ */
+export function foldText(text, caseSensitive = false) {
+    if (!NON_ASCII.test(text)) return caseSensitive ? text : text.toLowerCase();
+
+    const cache = caseSensitive ? foldedCharsKeepCase : foldedChars;
+    let result = '';
+    for (const char of text) {
+        if (char.charCodeAt(0) < 0x80) {
+            result += caseSensitive ? char : char.toLowerCase();
+            continue;
+        }
+        let folded = cache.get(char);
+        if (folded === undefined) {
+            folded = foldChar(char, caseSensitive);
+            cache.set(char, folded);
+        }
+        result += folded;
+    }
+    return result;
+}
+
+/**
+ * Returns the locale of the current page, or the browser's in a worker.
+ * @function pageLocale
+ * @returns {string} A BCP 47 language tag.
+ */
+export function pageLocale() {
+    const lang = typeof document !== 'undefined' ? document.documentElement?.lang : '';
+    return (lang || navigator.language || 'en').replace(/_/g, '-');
+}
+
+/**
+ * Returns a cached segmenter for a locale, falling back to English for invalid tags.
+ * @param {string} locale - A BCP 47 language tag.
+ * @param {'word'|'sentence'} [granularity='word'] - What to split text into.
+ * @returns {Intl.Segmenter} The segmenter.
+ * @private
+ */
+function getSegmenter(locale, granularity = 'word') {
+    const key = `${granularity}:${locale}`;
+    if (!segmenters.has(key)) {
+        let segmenter;
+        try {
+            segmenter = new Intl.Segmenter(locale, { granularity });
+        } catch {
+            segmenter = new Intl.Segmenter('en', { granularity });
+        }
+        segmenters.set(key, segmenter);
+    }
+    return segmenters.get(key);
+}
+
+/**
+ * Splits text into sentences with `Intl.Segmenter`, which knows the sentence punctuation of the
+ * locale's script. Each sentence keeps its trailing whitespace, so the spans cover the whole text.
+ * @function splitSentences
+ * @param {string} text - The text to split.
+ * @param {string} [locale] - Language of the text; defaults to {@link pageLocale}.
+ * @returns {Array<[number, number]>} Half-open span of each sentence, in text order.
+ */
+export function splitSentences(text, locale = pageLocale()) {
+    return Array.from(getSegmenter(locale, 'sentence').segment(text), ({ index, segment }) => [index, index + segment.length]);
+}
+
+/**
+ * Splits text into words suitable for embedding. Text is NFKC-normalized and lowercased, then split
+ * with `Intl.Segmenter`, which also finds word boundaries in scripts written without spaces.
+ * Stopwords of the locale's language (English when there is no list for it) and single letters
+ * are dropped; single characters of Chinese, Japanese and Korean are kept.
+ * @function tokenize
+ * @param {string} text - The input text to tokenize.
+ * @param {string} [locale] - Language of the text; defaults to {@link pageLocale}.
+ * @returns {string[]} The tokens, in text order.
+ */
+export function tokenize(text, locale = pageLocale()) {
+    const language = locale.split('-')[0].toLowerCase();
+    const stopwords = STOPWORDS[language] || STOPWORDS.en;
+    const tokens = [];
+    for (const { segment, isWordLike } of getSegmenter(locale).segment(text.normalize('NFKC').toLowerCase())) {
+        if (!isWordLike || stopwords.has(segment)) continue;
+        if (segment.length === 1 && !SINGLE_CHAR_WORD_SCRIPTS.test(segment)) continue;
+        tokens.push(segment);
+    }
+    return tokens;
+}
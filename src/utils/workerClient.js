@@ -0,0 +1,26 @@
+/**
+ * Cache of blob URLs for worker bundles, keyed by bundle file name.
+ * @type {Map<string, Promise<string>>}
+ */
+const workerUrls = new Map();
+
+/**
+ * Creates a Web Worker from a bundled extension script.
+ * Content scripts run with the page's origin and cannot start workers from
+ * chrome-extension:// URLs directly, so the bundle is fetched once and served from a blob URL.
+ * @async
+ * @function createExtensionWorker
+ * @param {string} file - The worker bundle name, e.g. 'regex.worker.bundle.js'.
+ * @returns {Promise<Worker>} The started worker.
+ * @throws {Error} If the bundle cannot be fetched or the page's CSP forbids blob workers.
+ */
+export async function createExtensionWorker(file) {
+    if (!workerUrls.has(file)) {
+        const urlPromise = fetch(chrome.runtime.getURL(file))
+            .then(response => response.ok ? response.text() : Promise.reject(new Error(`HTTP ${response.status}`)))
+            .then(source => URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+        workerUrls.set(file, urlPromise);
+        urlPromise.catch(() => workerUrls.delete(file));
+    }
+    return new Worker(await workerUrls.get(file));
+}
@@ -0,0 +1,16 @@
+import { collectMatches } from '../utils/regexSearch';
+
+/**
+ * Runs regex searches off the main thread. The caller terminates this worker
+ * if a pattern exceeds its time budget.
+ * @param {MessageEvent} e - The message event containing the pattern, flags and texts.
+ */
+self.onmessage = function(e) {
+    if (e.data.type !== 'REGEX_SEARCH') return;
+    try {
+        const results = collectMatches(e.data.pattern, e.data.flags, e.data.texts);
+        self.postMessage({ type: 'REGEX_RESULTS', results });
+    } catch (error) {
+        self.postMessage({ type: 'ERROR', error: error.message });
+    }
+};
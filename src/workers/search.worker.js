@@ -1,4 +1,7 @@
 import * as tf from '@tensorflow/tfjs';
+import { similarityScores, topKIndices } from '../models/embedding';
+import { createEmbeddingProvider } from '../models/providerFactory';
+import EmbeddingCache from '../models/embeddingCache';
 
 /**
  * Minimum similarity score required for a match.
@@ -19,23 +22,16 @@ const MAX_RESULTS = 50;
 const CONTEXT_WORDS = 10;
 
 /**
- * Vocabulary size for embeddings.
+ * Maximum number of text embeddings kept in the cache. Vectors are plain arrays, so a long PDF's
+ * chunks fit without holding backend memory.
  * @constant {number}
  */
-const VOCAB_SIZE = 7000;
+const MAX_CACHED_EMBEDDINGS = 20000;
 
-/**
- * Dimension of embedding vectors.
- * @constant {number}
- */
-const EMBEDDING_DIM = 50;
-
-/** @type {Object|null} Mapping of words to their indices */
-let wordToIndex = null;
-/** @type {tf.Tensor|null} Tensor containing word embeddings */
-let embeddings = null;
-/** @type {Map<string, tf.Tensor>} Cache for computed text embeddings */
-let embeddingCache = new Map();
+/** @type {import('../models/embeddingProvider').default|null} The embedding provider chosen in the settings */
+let provider = null;
+/** @type {EmbeddingCache} Cache for computed text embeddings */
+const embeddingCache = new EmbeddingCache(MAX_CACHED_EMBEDDINGS);
 
 /**
  * Tracks whether TensorFlow.js has been initialized in the worker.
@@ -44,7 +40,7 @@ let embeddingCache = new Map();
 let workerTfInitialized = false;
 
 /**
- * Handles messages from the main thread to initialize or perform searches.
+ * Handles messages from the main thread to initialize, perform searches, score chunks or look up related words.
  * @param {MessageEvent} e - The message event containing type and data.
  */
 self.onmessage = async function(e) {
@@ -53,23 +49,45 @@ self.onmessage = async function(e) {
             if (!workerTfInitialized) {
                 if (!tf.getBackend()) {
                     console.log('Worker: Setting WebGL backend');
-                    await tf.setBackend('webgl');
+                    try {
+                        await tf.setBackend('webgl');
+                    } catch (backendError) {
+                        // WebGL needs OffscreenCanvas, which some pages and browsers deny to workers
+                        console.warn('Worker: WebGL unavailable, using CPU backend:', backendError);
+                        await tf.setBackend('cpu');
+                    }
                     await tf.ready();
-                    console.log('TensorFlow.js initialized in worker with WebGL backend');
+                    console.log(`TensorFlow.js initialized in worker with ${tf.getBackend()} backend`);
                 }
                 workerTfInitialized = true;
             }
-            const response = await fetch(e.data.embeddingsUrl);
-            const data = await response.json();
-            wordToIndex = data.vocabulary;
-            embeddings = tf.tensor2d(data.embeddings, [VOCAB_SIZE, EMBEDDING_DIM]);
+            dispose();
+            const nextProvider = createEmbeddingProvider(e.data.provider, e.data.baseUrl);
+            await nextProvider.initialize();
+            provider = nextProvider;
+            console.log(`Worker: embedding provider "${e.data.provider}" loaded (${provider.dimension}d)`);
             self.postMessage({ type: 'INIT_COMPLETE' });
         } catch (error) {
             self.postMessage({ type: 'ERROR', error: error.message });
         }
     } else if (e.data.type === 'SEARCH') {
-        const results = await performSearch(e.data.query, e.data.chunks);
-        self.postMessage({ type: 'SEARCH_RESULTS', results });
+        const { query, chunks, threshold, topK, locale, cached } = e.data;
+        const { results, computed } = await performSearch(query, chunks, { threshold, topK, locale, cached });
+        self.postMessage({ type: 'SEARCH_RESULTS', id: e.data.id, results, computed });
+    } else if (e.data.type === 'SCORE') {
+        const { query, chunks, locale, cached } = e.data;
+        const { similarities, computed } = await scoreChunks(query, chunks, { locale, cached });
+        self.postMessage({ type: 'SCORE_RESULTS', id: e.data.id, similarities, computed });
+    } else if (e.data.type === 'NEIGHBORS') {
+        let words = [];
+        try {
+            words = await provider.nearestWords(e.data.query, e.data.k, { locale: e.data.locale });
+        } catch (error) {
+            console.error('Nearest-word lookup failed in worker:', error);
+        }
+        self.postMessage({ type: 'NEIGHBORS_RESULTS', id: e.data.id, words });
+    } else if (e.data.type === 'DISPOSE') {
+        dispose();
     }
 };
 
@@ -115,133 +133,156 @@ function calculateRelevanceScore(chunk, query, similarity) {
 }
 
 /**
- * Performs a semantic search across provided text chunks.
+ * Finds the word offset of the first query term in a chunk, for centering context.
+ * @param {string[]} chunkWords - The chunk split into words.
+ * @param {string[]} queryTerms - Lowercased query terms.
+ * @returns {number} Index of the first word containing a query term, or 0 if none does.
+ */
+function findContextCenter(chunkWords, queryTerms) {
+    const index = chunkWords.findIndex(word => queryTerms.some(term => word.toLowerCase().includes(term)));
+    return Math.max(index, 0);
+}
+
+/**
+ * Performs a semantic search across provided text chunks. Every candidate is scored against the
+ * query in one matrix product; chunks above the threshold are kept, plus the `topK` most similar
+ * chunks even when they fall below it.
  * @async
  * @param {string} query - The search query.
- * @param {Object[]} chunks - Array of chunk objects with 'text' properties.
- * @returns {Promise<Object[]>} Array of matching chunks with scores and context.
+ * @param {Object[]} chunks - Array of chunk objects with 'index' and 'text' properties.
+ * @param {Object} [options] - Search options.
+ * @param {number} [options.threshold=SIMILARITY_THRESHOLD] - Minimum similarity and relevance score for a match.
+ * @param {number} [options.topK=0] - Number of most similar chunks always returned.
+ * @param {string} [options.locale] - Language of the page, for tokenization.
+ * @param {Array<Float32Array|null>} [options.cached] - Stored embeddings of the chunks, aligned with `chunks`.
+ * @returns {Promise<{results: Object[], computed: Array<{index: number, vector: Float32Array}>}>}
+ *     Matching chunks with scores and context, best first, and the chunk embeddings computed for
+ *     this search, by position in `chunks`, so the caller can store them.
  */
-async function performSearch(query, chunks) {
+async function performSearch(query, chunks, { threshold = SIMILARITY_THRESHOLD, topK = 0, locale, cached = [] } = {}) {
     try {
-        const queryEmbedding = await getTextEmbedding(query);
-        if (!queryEmbedding) return [];
-
-        const results = [];
         const queryTerms = query.toLowerCase().split(/\s+/);
         const isMultiWord = queryTerms.length > 1;
+        const positions = chunks.map((chunk, i) => i);
+        const candidatePositions = isMultiWord
+            ? positions.filter(i => queryTerms.some(term => chunks[i].text.toLowerCase().includes(term)))
+            : positions;
+        const candidates = candidatePositions.map(i => chunks[i]);
 
-        for (const chunk of chunks) {
-            if (isMultiWord && !queryTerms.some(term => chunk.text.toLowerCase().includes(term))) {
-                continue;
-            }
+        const { queryEmbedding, chunkEmbeddings, computed } = await embedChunks(query, chunks, candidatePositions, locale, cached);
+        if (!queryEmbedding) return { results: [], computed };
 
-            const similarity = await getSimilarity(queryEmbedding, chunk.text);
-            if (similarity > SIMILARITY_THRESHOLD) {
-                const score = calculateRelevanceScore(chunk, query, similarity);
-
-                if (score > SIMILARITY_THRESHOLD) {
-                    const chunkWords = chunk.text.split(/\s+/);
-                    const matchIndex = chunk.text.toLowerCase().indexOf(query.toLowerCase());
-                    const contextStart = Math.max(0, matchIndex - CONTEXT_WORDS);
-                    const contextEnd = Math.min(chunkWords.length, matchIndex + CONTEXT_WORDS);
-
-                    results.push({
-                        ...chunk,
-                        score,
-                        context: chunkWords.slice(contextStart, contextEnd).join(' ')
-                    });
-                }
-            }
-        }
+        const similarities = await similarityScores(queryEmbedding, chunkEmbeddings);
+        const selected = new Set(topKIndices(similarities, topK).filter(i => chunkEmbeddings[i]));
+        const results = [];
+        candidates.forEach((chunk, i) => {
+            const similarity = similarities[i];
+            const isTop = selected.has(i);
+            if (similarity <= threshold && !isTop) return;
+
+            const score = calculateRelevanceScore(chunk, query, similarity);
+            if (score <= threshold && !isTop) return;
 
-        return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+            const chunkWords = chunk.text.split(/\s+/);
+            const center = findContextCenter(chunkWords, queryTerms);
+            const contextStart = Math.max(0, center - CONTEXT_WORDS);
+            const contextEnd = Math.min(chunkWords.length, center + CONTEXT_WORDS);
+
+            results.push({
+                ...chunk,
+                similarity,
+                score,
+                context: chunkWords.slice(contextStart, contextEnd).join(' ')
+            });
+        });
+
+        return { results: results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS), computed };
     } catch (error) {
         console.error('Search error in worker:', error);
-        return [];
+        return { results: [], computed: [] };
     }
 }
 
 /**
- * Generates an embedding vector for the given text.
+ * Scores every chunk against the query, without a threshold, for callers that rank chunks themselves.
  * @async
- * @param {string} text - The text to embed.
- * @returns {Promise<tf.Tensor|null>} The mean embedding tensor, or null if no valid tokens.
+ * @param {string} query - The search query.
+ * @param {Object[]} chunks - Array of chunk objects with a 'text' property.
+ * @param {Object} [options] - Scoring options.
+ * @param {string} [options.locale] - Language of the page, for tokenization.
+ * @param {Array<Float32Array|null>} [options.cached] - Stored embeddings of the chunks, aligned with `chunks`.
+ * @returns {Promise<{similarities: Float32Array, computed: Array<{index: number, vector: Float32Array}>}>}
+ *     Cosine similarity of each chunk (0 where there is no embedding) and the newly computed embeddings.
  */
-async function getTextEmbedding(text) {
+async function scoreChunks(query, chunks, { locale, cached = [] } = {}) {
     try {
-        if (embeddingCache.has(text)) return embeddingCache.get(text);
-        if (embeddingCache.size > 1000) embeddingCache.clear();
-
-        const tokens = tokenize(text);
-        const validIndices = tokens
-            .map(token => wordToIndex[token])
-            .filter(index => index !== undefined && index < VOCAB_SIZE);
-
-        if (validIndices.length === 0) {
-            console.log(`No embeddings found for text: "${text}"`);
-            return null;
-        }
-
-        return tf.tidy(() => {
-            const embeddingsArr = validIndices.map(index =>
-                embeddings.slice([index, 0], [1, EMBEDDING_DIM])
-            );
-            const stacked = tf.concat(embeddingsArr, 0);
-            const meanEmbedding = stacked.mean(0);
-            embeddingCache.set(text, meanEmbedding);
-            return meanEmbedding;
-        });
+        const { queryEmbedding, chunkEmbeddings, computed } = await embedChunks(query, chunks, chunks.map((chunk, i) => i), locale, cached);
+        const similarities = queryEmbedding
+            ? await similarityScores(queryEmbedding, chunkEmbeddings)
+            : new Float32Array(chunks.length);
+        return { similarities, computed };
     } catch (error) {
-        console.error('Error generating embedding in worker:', error);
-        return null;
+        console.error('Scoring error in worker:', error);
+        return { similarities: new Float32Array(chunks.length), computed: [] };
     }
 }
 
 /**
- * Calculates similarity between a query embedding and text.
+ * Embeds the query and some of the chunks, seeding the cache with stored embeddings first.
  * @async
- * @param {tf.Tensor} queryEmbedding - The query's embedding vector.
- * @param {string} text - The text to compare against.
- * @returns {Promise<number>} The cosine similarity score.
+ * @param {string} query - The search query.
+ * @param {Object[]} chunks - The chunks of the request.
+ * @param {number[]} positions - Positions in `chunks` to embed.
+ * @param {string} [locale] - Language of the page, for tokenization.
+ * @param {Array<Float32Array|null>} cached - Stored embeddings of the chunks, aligned with `chunks`.
+ * @returns {Promise<{queryEmbedding: Float32Array|null, chunkEmbeddings: Array<Float32Array|null>, computed: Array<{index: number, vector: Float32Array}>}>}
+ *     The embeddings, aligned with `positions`, and those computed for this request by position in `chunks`.
  */
-async function getSimilarity(queryEmbedding, text) {
-    const textEmbedding = await getTextEmbedding(text);
-    if (!textEmbedding) return 0;
-    return cosineSimilarity(queryEmbedding, textEmbedding);
+async function embedChunks(query, chunks, positions, locale, cached) {
+    // Vectors stored by an older build of the model may have another length; recompute those
+    const known = new Map();
+    positions.forEach(i => {
+        if (cached[i]?.length === provider.dimension) known.set(chunks[i].text, cached[i]);
+    });
+    const uncached = new Set(positions.filter(i => !known.has(chunks[i].text) && !embeddingCache.has(chunks[i].text)));
+
+    const [queryEmbedding, ...chunkEmbeddings] = await getTextEmbeddings([query, ...positions.map(i => chunks[i].text)], locale, known);
+    const computed = positions
+        .map((index, i) => ({ index, vector: chunkEmbeddings[i] }))
+        .filter(({ index, vector }) => vector && uncached.has(index));
+    return { queryEmbedding, chunkEmbeddings, computed };
 }
 
 /**
- * Tokenizes text into words for embedding.
- * @param {string} text - The input text.
- * @returns {string[]} Array of cleaned tokens.
+ * Embeds texts with the current provider in one batch, reusing cached and stored embeddings.
+ * The cache is emptied before it would outgrow {@link MAX_CACHED_EMBEDDINGS}.
+ * @async
+ * @param {string[]} texts - The texts to embed.
+ * @param {string} [locale] - Language of the texts, for tokenization.
+ * @param {Map<string, Float32Array>} [known] - Embeddings already computed for some texts, e.g. from the page index.
+ * @returns {Promise<Array<Float32Array|null>>} One embedding per text, or null where the provider has none.
  */
-function tokenize(text) {
-    const cleanedText = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-    return cleanedText.split(/\s+/).filter(word => word.length > 2);
+async function getTextEmbeddings(texts, locale, known = new Map()) {
+    try {
+        return await embeddingCache.embed(texts, toEmbed => provider.embedVectors(toEmbed, { locale }), known);
+    } catch (error) {
+        console.error('Error generating embeddings in worker:', error);
+        return texts.map(() => null);
+    }
 }
 
 /**
- * Computes cosine similarity between two embeddings.
- * @param {tf.Tensor} embedding1 - First embedding vector.
- * @param {tf.Tensor} embedding2 - Second embedding vector.
- * @returns {number} The cosine similarity score (0 if invalid).
+ * Empties the embedding cache.
  */
-function cosineSimilarity(embedding1, embedding2) {
-    if (!embedding1 || !embedding2) return 0;
-    return tf.tidy(() => {
-        const dotProduct = embedding1.dot(embedding2);
-        const norm1 = embedding1.norm();
-        const norm2 = embedding2.norm();
-        const similarity = dotProduct.div(norm1.mul(norm2)).dataSync()[0];
-        return isNaN(similarity) ? 0 : similarity;
-    });
+function clearCache() {
+    embeddingCache.clear();
 }
 
 /**
  * Disposes of TensorFlow resources in the worker.
  */
 function dispose() {
-    if (embeddings) embeddings.dispose();
-    for (const tensor of embeddingCache.values()) tensor.dispose();
-    embeddingCache.clear();
+    if (provider) provider.dispose();
+    provider = null;
+    clearCache();
 }
\ No newline at end of file
@@ -0,0 +1,65 @@
+import EmbeddingCache from '../src/models/embeddingCache';
+
+/**
+ * Embeds each text as a one-element vector of its length, counting the texts it was asked for.
+ * @returns {{embedVectors: function(string[]): Promise<Float32Array[]>, calls: string[][]}} The embedder and its calls.
+ */
+function createEmbedder() {
+    const calls = [];
+    const embedVectors = async texts => {
+        calls.push(texts);
+        return texts.map(text => Float32Array.of(text.length));
+    };
+    return { embedVectors, calls };
+}
+
+describe('EmbeddingCache', () => {
+    test('embeds only texts that are not cached', async () => {
+        const cache = new EmbeddingCache(10);
+        const { embedVectors, calls } = createEmbedder();
+        await cache.embed(['a', 'bb'], embedVectors);
+        const vectors = await cache.embed(['bb', 'ccc', 'ccc'], embedVectors);
+
+        expect(calls).toEqual([['a', 'bb'], ['ccc']]);
+        expect(vectors.map(vector => vector[0])).toEqual([2, 3, 3]);
+    });
+
+    test('returns every vector when a batch fills the cache past its limit', async () => {
+        const cache = new EmbeddingCache(4);
+        const { embedVectors } = createEmbedder();
+        await cache.embed(['a', 'bb', 'ccc'], embedVectors);
+        const vectors = await cache.embed(['a', 'bb', 'ccc', 'dddd', 'eeeee'], embedVectors);
+
+        expect(vectors.every(vector => vector !== null)).toBe(true);
+        expect(vectors.map(vector => vector[0])).toEqual([1, 2, 3, 4, 5]);
+        expect(cache.size).toBeLessThanOrEqual(4);
+    });
+
+    test('returns every vector when one batch alone exceeds the limit', async () => {
+        const cache = new EmbeddingCache(2);
+        const { embedVectors } = createEmbedder();
+        const vectors = await cache.embed(['a', 'bb', 'ccc', 'dddd'], embedVectors);
+
+        expect(vectors.every(vector => vector !== null)).toBe(true);
+        expect(cache.size).toBe(2);
+    });
+
+    test('uses known embeddings instead of computing them', async () => {
+        const cache = new EmbeddingCache(10);
+        const { embedVectors, calls } = createEmbedder();
+        const stored = Float32Array.of(42);
+        const vectors = await cache.embed(['a', 'bb'], embedVectors, new Map([['bb', stored]]));
+
+        expect(calls).toEqual([['a']]);
+        expect(vectors[1]).toBe(stored);
+        expect(cache.has('bb')).toBe(true);
+    });
+
+    test('returns null for texts the embedder has no vector for', async () => {
+        const cache = new EmbeddingCache(10);
+        const vectors = await cache.embed(['a', 'bb'], async texts => texts.map(text => text === 'a' ? null : Float32Array.of(1)));
+
+        expect(vectors[0]).toBeNull();
+        expect(cache.has('a')).toBe(false);
+    });
+});
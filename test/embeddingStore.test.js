@@ -0,0 +1,49 @@
+import * as tf from '@tensorflow/tfjs';
+import EmbeddingStore from '../src/models/embeddingStore';
+
+beforeAll(() => tf.setBackend('cpu'));
+
+beforeEach(() => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+});
+
+describe('EmbeddingStore', () => {
+    test('treats the words of a shard that fails to load as unknown and does not fetch it again', async () => {
+        const store = new EmbeddingStore({
+            vocabSize: 10,
+            dim: 2,
+            shards: [{ url: 'shard-1.bin', mayContain: () => true }]
+        });
+
+        await expect(store.ensureTokens(['alpha', 'beta'])).resolves.toBeUndefined();
+        expect(store.absent).toEqual(new Set(['alpha', 'beta']));
+        expect(store.pendingShards).toEqual([]);
+        expect(console.error).toHaveBeenCalledTimes(1);
+
+        await store.ensureTokens(['gamma']);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        store.dispose();
+    });
+
+    test('turns subwords off when the n-gram table fails to load', async () => {
+        const store = new EmbeddingStore({
+            vocabSize: 10,
+            dim: 2,
+            subwords: { url: 'subwords.bin', buckets: 4, minN: 3, maxN: 5, mean: [0, 0], norm: 1 }
+        });
+
+        await expect(store.ensureTokens(['alpha'])).resolves.toBeUndefined();
+        expect(store.subwords).toBeNull();
+        expect(store.subwordVector('alpha')).toBeNull();
+
+        await store.ensureTokens(['beta']);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        store.dispose();
+    });
+});
@@ -0,0 +1,59 @@
+import { parseQuery } from '../src/utils/queryParser';
+
+describe('parseQuery', () => {
+    test.each([
+        ['foo()', 'exact'],
+        ['f(x)', 'exact'],
+        ['--force', 'exact'],
+        ['-webkit-', 'fuzzy'],
+        ['-5', 'exact'],
+        ['f(x', 'exact'],
+        ['say "hi', 'fuzzy'],
+        ['call foo() twice', 'exact'],
+        ['npm install --save-dev', 'fuzzy']
+    ])('searches %s literally in %s mode', (query, mode) => {
+        expect(parseQuery(query, mode)).toEqual({ type: 'term', text: query });
+    });
+
+    test('keeps literal parentheses inside a group', () => {
+        expect(parseQuery('(f(x) OR g(y)) z', 'exact')).toEqual({
+            type: 'and',
+            children: [
+                { type: 'or', children: [{ type: 'term', text: 'f(x)' }, { type: 'term', text: 'g(y)' }] },
+                { type: 'term', text: 'z' }
+            ]
+        });
+    });
+
+    test('negates words that start with a dash after other terms', () => {
+        expect(parseQuery('notes -draft', 'exact')).toEqual({
+            type: 'and',
+            children: [{ type: 'term', text: 'notes' }, { type: 'not', child: { type: 'term', text: 'draft' } }]
+        });
+    });
+
+    test('groups parenthesised terms set off by spaces', () => {
+        expect(parseQuery('(alpha beta) "gamma ray"', 'fuzzy')).toEqual({
+            type: 'and',
+            children: [{ type: 'term', text: 'alpha beta' }, { type: 'phrase', text: 'gamma ray' }]
+        });
+    });
+
+    test('reports syntax errors in queries that use keywords', () => {
+        expect(() => parseQuery('(a OR b', 'exact')).toThrow("Missing ')'");
+        expect(() => parseQuery('a AND', 'exact')).toThrow('Expected a search term');
+        expect(() => parseQuery('a NEAR/ b', 'exact')).toThrow('NEAR needs a word distance');
+    });
+
+    test('leaves parentheses and dashes to the pattern in regex mode', () => {
+        expect(parseQuery('(foo|bar)-baz', 'regex')).toEqual({ type: 'term', text: '(foo|bar)-baz' });
+        expect(parseQuery('foo OR -bar', 'regex')).toEqual({
+            type: 'or',
+            children: [{ type: 'term', text: 'foo' }, { type: 'term', text: '-bar' }]
+        });
+    });
+
+    test('rejects empty queries', () => {
+        expect(() => parseQuery('   ')).toThrow('Query is empty');
+    });
+});
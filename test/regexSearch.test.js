@@ -0,0 +1,47 @@
+import { collectMatches, regexFlags, MAX_REGEX_MATCHES } from '../src/utils/regexSearch';
+
+describe('regexFlags', () => {
+    test('searches case-insensitively unless the pattern has uppercase letters', () => {
+        expect(regexFlags('foo')).toBe('gdiu');
+        expect(regexFlags('Foo')).toBe('gdu');
+        expect(regexFlags('\\Bfoo')).toBe('gdiu');
+    });
+
+    test('ignores group names for smart-case', () => {
+        expect(regexFlags('(?<Year>\\d{4})-\\k<Year>')).toBe('gdiu');
+    });
+
+    test('searches case-sensitively with property escapes', () => {
+        expect(regexFlags('\\p{Lu}+')).toBe('gdu');
+    });
+
+    test('leaves out Unicode mode for patterns only valid without it', () => {
+        expect(regexFlags('a\\-b')).toBe('gdi');
+    });
+});
+
+describe('collectMatches', () => {
+    test('matches property escapes and astral characters', () => {
+        const { matches } = collectMatches('\\p{Lu}\\p{Ll}+', regexFlags('\\p{Lu}\\p{Ll}+'), ['hello World']);
+        expect(matches[0].map(({ start, end }) => [start, end])).toEqual([[6, 11]]);
+
+        const emoji = collectMatches('.', 'gdu', ['😀']).matches[0];
+        expect(emoji).toEqual([{ start: 0, end: 2, groups: [] }]);
+    });
+
+    test('steps over astral characters after empty matches', () => {
+        const { matches } = collectMatches('x*', 'gdu', ['😀x']);
+        expect(matches[0].map(({ start, end }) => [start, end])).toEqual([[2, 3]]);
+    });
+
+    test('reports truncation only when more matches were dropped', () => {
+        const exact = collectMatches('a', 'gd', ['a'.repeat(MAX_REGEX_MATCHES)]);
+        expect(exact.truncated).toBe(false);
+        expect(exact.matches[0]).toHaveLength(MAX_REGEX_MATCHES);
+
+        const over = collectMatches('a', 'gd', ['a'.repeat(MAX_REGEX_MATCHES), 'a']);
+        expect(over.truncated).toBe(true);
+        expect(over.matches[0]).toHaveLength(MAX_REGEX_MATCHES);
+        expect(over.matches[1]).toEqual([]);
+    });
+});
@@ -0,0 +1,13 @@
+import { sanitizeInput } from '../src/utils/sanitizer';
+
+describe('sanitizeInput', () => {
+    test('removes angle brackets from plain queries', () => {
+        expect(sanitizeInput(' <b>bold</b> ')).toBe('bbold/b');
+    });
+
+    test('keeps regex syntax that uses angle brackets', () => {
+        expect(sanitizeInput('(?<year>\\d{4})', 'regex')).toBe('(?<year>\\d{4})');
+        expect(sanitizeInput('(?<=\\$)\\d+ (?<!-)x', 'regex')).toBe('(?<=\\$)\\d+ (?<!-)x');
+        expect(sanitizeInput(' <div> ', 'regex')).toBe('<div>');
+    });
+});
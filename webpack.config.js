@@ -11,7 +11,9 @@ module.exports = {
         background: './src/background/background.js',
         content: './src/content/content.js',
         popup: './src/popup/popup.js',
+        options: './src/options/options.js',
         'search.worker': './src/workers/search.worker.js',
+        'regex.worker': './src/workers/regex.worker.js',
         pdfViewer: './src/pdfViewer/pdfViewer.js'
     },
     output: {
@@ -49,8 +51,12 @@ module.exports = {
             patterns: [
                 { from: 'src/popup/popup.html', to: 'popup.html' },
                 { from: 'src/popup/popup.css', to: 'popup.css' },
+                { from: 'src/options/options.html', to: 'options.html' },
+                { from: 'src/options/options.css', to: 'options.css' },
                 { from: 'manifest.json', to: 'manifest.json' },
-                { from: 'src/data/embeddings.json', to: 'embeddings.json' },
+                { from: 'src/data/embeddings', to: 'embeddings' },
+                // Only there after `npm run fetch-model`; without it the build ships GloVe alone
+                { from: 'src/data/use', to: 'use', noErrorOnMissing: true },
                 { from: 'node_modules/pdfjs-dist/build/pdf.worker.mjs', to: 'pdf.worker.bundle.js' },
                 { from: 'src/pdfViewer/pdfViewer.html', to: 'pdfViewer.html' },
                 { from: 'icons', to: 'icons' },